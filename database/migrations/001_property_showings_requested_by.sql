@@ -0,0 +1,6 @@
+-- Showings record the user who booked them, so clients can list only their own showings.
+IF COL_LENGTH('PropertyShowings', 'requested_by') IS NULL
+    ALTER TABLE PropertyShowings ADD requested_by NVARCHAR(100) NULL;
+GO
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PropertyShowings_requested_by' AND object_id = OBJECT_ID('PropertyShowings'))
+    CREATE INDEX IX_PropertyShowings_requested_by ON PropertyShowings (requested_by);
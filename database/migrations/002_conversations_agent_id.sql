@@ -0,0 +1,11 @@
+-- The listing agent moves out of Conversations.metadata, which is now encrypted at rest, into its own column so that
+-- agents can still be matched to their conversations.
+IF COL_LENGTH('Conversations', 'agent_id') IS NULL
+    ALTER TABLE Conversations ADD agent_id NVARCHAR(100) NULL;
+GO
+-- Rows written before encryption still carry the agent in plaintext metadata.
+UPDATE Conversations SET agent_id = JSON_VALUE(metadata, '$.agentId')
+WHERE agent_id IS NULL AND ISJSON(metadata) = 1 AND JSON_VALUE(metadata, '$.agentId') IS NOT NULL;
+GO
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Conversations_agent_id' AND object_id = OBJECT_ID('Conversations'))
+    CREATE INDEX IX_Conversations_agent_id ON Conversations (agent_id);
@@ -0,0 +1,13 @@
+-- Encrypted originals of PII tokenized out of stored messages (PII_MESSAGE_MODE=tokenize).
+IF OBJECT_ID('PiiVault', 'U') IS NULL
+    CREATE TABLE PiiVault (
+        token_id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        conversation_id UNIQUEIDENTIFIER NOT NULL,
+        message_id UNIQUEIDENTIFIER NULL,
+        pii_type NVARCHAR(50) NOT NULL,
+        value NVARCHAR(MAX) NOT NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETDATE()
+    );
+GO
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PiiVault_conversation_id' AND object_id = OBJECT_ID('PiiVault'))
+    CREATE INDEX IX_PiiVault_conversation_id ON PiiVault (conversation_id);
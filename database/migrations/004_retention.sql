@@ -0,0 +1,37 @@
+-- Soft-deleted conversations keep the time they were deleted so the purge grace period runs from deletion.
+IF COL_LENGTH('Conversations', 'deleted_at') IS NULL
+    ALTER TABLE Conversations ADD deleted_at DATETIME2 NULL;
+GO
+-- target_id is a lowercase conversation ID or a user ID, depending on scope; holds are released, never deleted.
+IF OBJECT_ID('LegalHolds', 'U') IS NULL
+    CREATE TABLE LegalHolds (
+        hold_id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        scope NVARCHAR(20) NOT NULL CHECK (scope IN ('conversation', 'user')),
+        target_id NVARCHAR(100) NOT NULL,
+        reason NVARCHAR(500) NOT NULL,
+        placed_by NVARCHAR(100) NOT NULL,
+        placed_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        released_by NVARCHAR(100) NULL,
+        released_at DATETIME2 NULL
+    );
+GO
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_LegalHolds_target' AND object_id = OBJECT_ID('LegalHolds'))
+    CREATE INDEX IX_LegalHolds_target ON LegalHolds (scope, target_id) WHERE released_at IS NULL;
+GO
+-- One row per retention run, including dry runs and failed runs.
+IF OBJECT_ID('RetentionAuditLog', 'U') IS NULL
+    CREATE TABLE RetentionAuditLog (
+        run_id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        trigger_source NVARCHAR(20) NOT NULL,
+        dry_run BIT NOT NULL,
+        started_at DATETIME2 NOT NULL,
+        completed_at DATETIME2 NULL,
+        retention_days INT NOT NULL,
+        grace_days INT NOT NULL,
+        soft_deleted INT NOT NULL DEFAULT 0,
+        purged_conversations INT NOT NULL DEFAULT 0,
+        purged_rows NVARCHAR(MAX) NULL,
+        held_conversations INT NOT NULL DEFAULT 0,
+        status NVARCHAR(20) NOT NULL,
+        error_message NVARCHAR(MAX) NULL
+    );
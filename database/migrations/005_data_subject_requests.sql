@@ -0,0 +1,13 @@
+-- Record of every export and erasure request; details holds the export summary or the signed erasure receipt.
+IF OBJECT_ID('DataSubjectRequests', 'U') IS NULL
+    CREATE TABLE DataSubjectRequests (
+        request_id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        request_type NVARCHAR(20) NOT NULL CHECK (request_type IN ('export', 'erasure')),
+        subject_user_id NVARCHAR(100) NOT NULL,
+        requested_by NVARCHAR(100) NOT NULL,
+        details NVARCHAR(MAX) NOT NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETDATE()
+    );
+GO
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_DataSubjectRequests_subject' AND object_id = OBJECT_ID('DataSubjectRequests'))
+    CREATE INDEX IX_DataSubjectRequests_subject ON DataSubjectRequests (subject_user_id, created_at);
@@ -0,0 +1,10 @@
+-- One learned preference profile per client; preferences holds JSON, encrypted when encryption at rest is configured.
+IF OBJECT_ID('ClientPreferences', 'U') IS NULL
+    CREATE TABLE ClientPreferences (
+        user_id NVARCHAR(100) NOT NULL PRIMARY KEY,
+        preferences NVARCHAR(MAX) NOT NULL,
+        source_conversation_id UNIQUEIDENTIFIER NULL,
+        updated_by NVARCHAR(100) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETDATE()
+    );
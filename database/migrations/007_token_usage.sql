@@ -0,0 +1,17 @@
+-- Per-message and per-conversation prompt/completion token counts, plus a daily rollup per user and model.
+IF COL_LENGTH('Messages', 'prompt_tokens') IS NULL
+    ALTER TABLE Messages ADD prompt_tokens INT NULL, completion_tokens INT NULL;
+GO
+IF COL_LENGTH('Conversations', 'prompt_tokens') IS NULL
+    ALTER TABLE Conversations ADD prompt_tokens INT NULL, completion_tokens INT NULL;
+GO
+IF OBJECT_ID('TokenUsageDaily', 'U') IS NULL
+    CREATE TABLE TokenUsageDaily (
+        usage_date DATE NOT NULL,
+        user_id NVARCHAR(100) NOT NULL,
+        model NVARCHAR(100) NOT NULL,
+        prompt_tokens BIGINT NOT NULL DEFAULT 0,
+        completion_tokens BIGINT NOT NULL DEFAULT 0,
+        request_count INT NOT NULL DEFAULT 0,
+        CONSTRAINT PK_TokenUsageDaily PRIMARY KEY (usage_date, user_id, model)
+    );
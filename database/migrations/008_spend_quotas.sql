@@ -0,0 +1,28 @@
+-- Costs are priced in USD from src/config/pricing.js and rolled up next to the usage they price.
+IF COL_LENGTH('Conversations', 'cost_usd') IS NULL
+    ALTER TABLE Conversations ADD cost_usd DECIMAL(18, 6) NULL;
+GO
+IF COL_LENGTH('TokenUsageDaily', 'cost_usd') IS NULL
+    ALTER TABLE TokenUsageDaily ADD cost_usd DECIMAL(18, 6) NOT NULL CONSTRAINT DF_TokenUsageDaily_cost_usd DEFAULT 0;
+GO
+IF OBJECT_ID('VoiceUsageDaily', 'U') IS NULL
+    CREATE TABLE VoiceUsageDaily (
+        usage_date DATE NOT NULL,
+        user_id NVARCHAR(100) NOT NULL,
+        model NVARCHAR(100) NOT NULL,
+        characters BIGINT NOT NULL DEFAULT 0,
+        cost_usd DECIMAL(18, 6) NOT NULL DEFAULT 0,
+        request_count INT NOT NULL DEFAULT 0,
+        CONSTRAINT PK_VoiceUsageDaily PRIMARY KEY (usage_date, user_id, model)
+    );
+GO
+-- Per-user overrides of SPEND_DAILY_LIMIT_USD and SPEND_MONTHLY_LIMIT_USD; a NULL limit falls back to the default.
+IF OBJECT_ID('SpendQuotas', 'U') IS NULL
+    CREATE TABLE SpendQuotas (
+        user_id NVARCHAR(100) NOT NULL PRIMARY KEY,
+        daily_limit_usd DECIMAL(18, 2) NULL,
+        monthly_limit_usd DECIMAL(18, 2) NULL,
+        updated_by NVARCHAR(100) NOT NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETDATE()
+    );
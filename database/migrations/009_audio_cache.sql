@@ -0,0 +1,16 @@
+-- Backing table for AUDIO_CACHE_BACKEND=database. cache_key is the SHA-256 of text, voice, model, settings, format
+-- and provider; rows are pruned by expiry and then least recently used once the cache exceeds AUDIO_CACHE_MAX_BYTES.
+IF OBJECT_ID('AudioCache', 'U') IS NULL
+    CREATE TABLE AudioCache (
+        cache_key CHAR(64) NOT NULL PRIMARY KEY,
+        audio VARBINARY(MAX) NOT NULL,
+        metadata NVARCHAR(MAX) NOT NULL,
+        size_bytes INT NOT NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        expires_at DATETIME2 NOT NULL,
+        last_accessed_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        hit_count INT NOT NULL DEFAULT 0
+    );
+GO
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_AudioCache_last_accessed_at' AND object_id = OBJECT_ID('AudioCache'))
+    CREATE INDEX IX_AudioCache_last_accessed_at ON AudioCache (last_accessed_at DESC) INCLUDE (size_bytes);
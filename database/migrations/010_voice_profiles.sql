@@ -0,0 +1,19 @@
+-- Named voice profiles assigned to an agent, office or tenant. Names are stored lowercase and are unique per scope.
+IF OBJECT_ID('VoiceProfiles', 'U') IS NULL
+    CREATE TABLE VoiceProfiles (
+        profile_id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,
+        name NVARCHAR(50) NOT NULL,
+        scope_type NVARCHAR(10) NOT NULL CHECK (scope_type IN ('agent', 'office', 'tenant')),
+        scope_id NVARCHAR(100) NOT NULL,
+        voice_id NVARCHAR(100) NULL,
+        model_id NVARCHAR(100) NULL,
+        voice_settings NVARCHAR(MAX) NULL,
+        pronunciations NVARCHAR(MAX) NULL,
+        greeting NVARCHAR(500) NULL,
+        market NVARCHAR(50) NULL,
+        created_by NVARCHAR(100) NOT NULL,
+        updated_by NVARCHAR(100) NOT NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_VoiceProfiles_scope_name UNIQUE (scope_type, scope_id, name)
+    );
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// @compliance BIG_BROTHER_V2
+// Re-encrypts conversation content and metadata with the active ENCRYPTION_KEY_VERSION.
+// Usage: npm run rotate-keys -- [--dry-run] [--batch-size=500]
+require('dotenv').config();
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const KeyRotationService = require('../services/keyRotationService');
+function parseArgs(argv) {
+    const batchArg = argv.find(arg => arg.startsWith('--batch-size='));
+    return { dryRun: argv.includes('--dry-run'), batchSize: batchArg ? parseInt(batchArg.split('=')[1]) || 500 : 500 };
+}
+async function main() {
+    const { dryRun, batchSize } = parseArgs(process.argv.slice(2));
+    let exitCode = 0;
+    try {
+        const summary = await new KeyRotationService(batchSize).rotate({ dryRun });
+        console.log(JSON.stringify(summary, null, 2));
+        if (Object.values(summary.tables).some(stats => stats.failed > 0)) exitCode = 1;
+    } catch (error) {
+        logger.error('Encryption key rotation failed', { component: 'KeyRotationCLI', error: error.message, stack: error.stack });
+        console.error(`Key rotation failed: ${error.message}`);
+        exitCode = 1;
+    } finally {
+        await database.close().catch(() => {});
+    }
+    process.exit(exitCode);
+}
+main();
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// @compliance BIG_BROTHER_V2
+// Applies the pending database/migrations/*.sql files in name order and records each one in SchemaMigrations.
+// Files are split into batches on lines containing only GO. Usage: npm run migrate -- [--dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations');
+const CREATE_MIGRATIONS_TABLE = `IF OBJECT_ID('SchemaMigrations', 'U') IS NULL
+    CREATE TABLE SchemaMigrations (name NVARCHAR(200) NOT NULL PRIMARY KEY, applied_at DATETIME2 NOT NULL DEFAULT GETDATE())`;
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+}
+function splitBatches(script) {
+    return script.split(/^\s*GO\s*$/im).map(batch => batch.trim()).filter(Boolean);
+}
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+    let exitCode = 0;
+    try {
+        await database.executeQuery(CREATE_MIGRATIONS_TABLE, {}, 'create-schema-migrations');
+        const applied = new Set((await database.executeQuery('SELECT name FROM SchemaMigrations', {}, 'list-schema-migrations')).recordset.map(row => row.name));
+        const pending = listMigrations().filter(name => !applied.has(name));
+        for (const name of dryRun ? [] : pending) {
+            for (const batch of splitBatches(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8'))) await database.executeQuery(batch, {}, `migration-${name}`);
+            await database.executeQuery('INSERT INTO SchemaMigrations (name, applied_at) VALUES (@name, GETDATE())', { name }, 'record-schema-migration');
+            logger.info('Migration applied', { component: 'MigrationCLI', migration: name });
+        }
+        console.log(JSON.stringify({ dryRun, applied: dryRun ? [] : pending, pending: dryRun ? pending : [] }, null, 2));
+    } catch (error) {
+        logger.error('Migration run failed', { component: 'MigrationCLI', error: error.message, stack: error.stack });
+        console.error(`Migration run failed: ${error.message}`);
+        exitCode = 1;
+    } finally {
+        await database.close().catch(() => {});
+    }
+    process.exit(exitCode);
+}
+main();
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// @compliance BIG_BROTHER_V2
+// Soft-deletes expired conversations and hard-purges those past the grace period, skipping legal holds.
+// Usage: npm run retention -- [--dry-run]
+require('dotenv').config();
+const logger = require('../utils/logger');
+const database = require('../config/database');
+const { RetentionService } = require('../services/retentionService');
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+    let exitCode = 0;
+    try {
+        const summary = await new RetentionService().run({ trigger: 'cli', dryRun });
+        console.log(JSON.stringify(summary, null, 2));
+    } catch (error) {
+        logger.error('Retention run failed', { component: 'RetentionCLI', error: error.message, stack: error.stack });
+        console.error(`Retention run failed: ${error.message}`);
+        exitCode = 1;
+    } finally {
+        await database.close().catch(() => {});
+    }
+    process.exit(exitCode);
+}
+main();
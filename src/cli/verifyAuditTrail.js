@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// @compliance BIG_BROTHER_V2
+// Walks the audit trail hash chain and reports the first tampered, missing or reordered entry.
+// Usage: npm run audit:verify -- [path/to/audit-trail.jsonl]
+require('dotenv').config();
+const { AuditTrail, AUDIT_CONFIG } = require('../utils/auditTrail');
+async function main() {
+    const filePath = process.argv[2] || AUDIT_CONFIG.filePath;
+    try {
+        const result = await new AuditTrail(filePath).verify();
+        console.log(JSON.stringify({ filePath, ...result }, null, 2));
+        process.exit(result.valid ? 0 : 2);
+    } catch (error) {
+        console.error(`Audit trail verification failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+main();
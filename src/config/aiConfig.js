@@ -1,13 +1,25 @@
 // @compliance BIG_BROTHER_V2
 const logger = require('../utils/logger');
 const AI_CONFIG = {
+    provider: process.env.AI_PROVIDER || 'mock',
+    apiKey: process.env.AI_API_KEY,
+    apiUrl: process.env.AI_API_URL || 'https://api.openai.com/v1',
     model: process.env.AI_MODEL || 'gpt-4-turbo-preview',
     temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.7,
     maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 1000,
     systemPromptVersion: process.env.AI_SYSTEM_PROMPT_VERSION || 'v2.0',
     conversationMemoryLimit: parseInt(process.env.AI_CONVERSATION_MEMORY_LIMIT) || 20,
-    responseTimeout: parseInt(process.env.AI_RESPONSE_TIMEOUT) || 30000
+    contextTokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET) || 3000,
+    contextMaxMessages: parseInt(process.env.AI_CONTEXT_MAX_MESSAGES) || 100,
+    summaryMaxTokens: parseInt(process.env.AI_SUMMARY_MAX_TOKENS) || 300,
+    responseTimeout: parseInt(process.env.AI_RESPONSE_TIMEOUT) || 30000,
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES) || 2,
+    retryDelay: parseInt(process.env.AI_RETRY_DELAY) || 1000,
+    maxRetryDelay: parseInt(process.env.AI_MAX_RETRY_DELAY_MS) || 8000,
+    toolsEnabled: process.env.AI_TOOLS_ENABLED !== 'false',
+    maxToolIterations: parseInt(process.env.AI_MAX_TOOL_ITERATIONS) || 3
 };
+const SUPPORTED_AI_PROVIDERS = ['openai', 'mock'];
 const ELEVENLABS_CONFIG = {
     apiKey: process.env.ELEVENLABS_API_KEY,
     apiUrl: process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io/v1',
@@ -20,22 +32,60 @@ const ELEVENLABS_CONFIG = {
         useSpeakerBoost: process.env.ELEVENLABS_USE_SPEAKER_BOOST === 'true'
     },
     requestTimeout: 30000,
-    maxRetries: 3,
-    retryDelay: 1000
+    maxRetries: parseInt(process.env.ELEVENLABS_MAX_RETRIES) || 3,
+    retryDelay: parseInt(process.env.ELEVENLABS_RETRY_DELAY_MS) || 1000,
+    maxRetryDelay: parseInt(process.env.ELEVENLABS_MAX_RETRY_DELAY_MS) || 8000
+};
+// Synthesis goes to `provider` first and fails over through `fallbackProviders`; providers without credentials are skipped.
+const TTS_CONFIG = {
+    provider: process.env.TTS_PROVIDER || 'elevenlabs',
+    fallbackProviders: (process.env.TTS_FALLBACK_PROVIDERS ?? 'openai').split(',').map(name => name.trim()).filter(Boolean),
+    supportedProviders: ['elevenlabs', 'openai', 'local'],
+    failureThreshold: parseInt(process.env.TTS_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.TTS_COOLDOWN_MS) || 30000,
+    openai: {
+        apiKey: process.env.OPENAI_TTS_API_KEY || process.env.AI_API_KEY,
+        apiUrl: process.env.OPENAI_TTS_API_URL || process.env.AI_API_URL || 'https://api.openai.com/v1',
+        model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+        voice: process.env.OPENAI_TTS_VOICE || 'nova',
+        requestTimeout: parseInt(process.env.OPENAI_TTS_TIMEOUT) || 30000,
+        maxRetries: parseInt(process.env.OPENAI_TTS_MAX_RETRIES) || 2,
+        retryDelay: parseInt(process.env.OPENAI_TTS_RETRY_DELAY_MS) || 1000,
+        maxRetryDelay: parseInt(process.env.OPENAI_TTS_MAX_RETRY_DELAY_MS) || 8000
+    }
+};
+const STT_CONFIG = {
+    provider: process.env.STT_PROVIDER || 'stub',
+    apiKey: process.env.STT_API_KEY || process.env.AI_API_KEY,
+    apiUrl: process.env.STT_API_URL || process.env.AI_API_URL || 'https://api.openai.com/v1',
+    model: process.env.STT_MODEL || 'whisper-1',
+    language: process.env.STT_LANGUAGE || 'en',
+    requestTimeout: parseInt(process.env.STT_REQUEST_TIMEOUT) || 30000,
+    maxFileSize: parseInt(process.env.STT_MAX_FILE_SIZE) || 25 * 1024 * 1024,
+    supportedMimeTypes: ['audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/webm', 'audio/ogg', 'audio/flac', 'video/webm']
 };
 const SYSTEM_PROMPTS = {
     'v2.0': {
         base: `You are Rachel, a knowledgeable real estate assistant. Help with property searches, market analysis, viewings, and guidance. Be professional, warm, patient with first-time buyers, efficient with investors. Ask clarifying questions, provide actionable information, respect privacy, never guarantee values.`,
         conversation: `Continue as Rachel, the real estate assistant. Maintain consistency with conversation history and adapt based on client's experience level, preferences, communication style, and process stage. Reference previous points, ask follow-ups, provide next steps.`,
+        summary: `Summarize this real estate conversation between a client and Rachel so it can replace the original turns as context. Keep every concrete fact: budget, financing, locations, property types, bedrooms, must-haves, timelines, properties discussed, showings scheduled and open questions. Merge in the existing summary if one is given. Use short bullet points, at most 200 words.`,
         error: `I apologize for the technical issue. As Rachel, I can help with property searches, market analysis, viewings, process guidance, and agent connections. Please rephrase your question.`
     }
 };
 const VOICE_CONFIG = {
-    supportedFormats: ['mp3_44100_128', 'mp3_22050_32', 'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100'],
+    supportedFormats: ['mp3_44100_128', 'mp3_22050_32', 'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100', 'wav_16000', 'wav_22050', 'wav_24000', 'wav_44100', 'ogg_opus'],
     supportedModels: ['eleven_monolingual_v1', 'eleven_multilingual_v1', 'eleven_multilingual_v2', 'eleven_turbo_v2'],
     defaultFormat: 'mp3_44100_128',
     maxTextLength: 5000,
     minTextLength: 1,
+    longForm: {
+        maxTextLength: parseInt(process.env.NARRATION_MAX_TEXT_LENGTH) || 100000,
+        chunkLength: parseInt(process.env.NARRATION_CHUNK_LENGTH) || 2500,
+        concurrency: parseInt(process.env.NARRATION_CONCURRENCY) || 3,
+        maxConcurrentJobs: parseInt(process.env.NARRATION_MAX_CONCURRENT_JOBS) || 2,
+        maxJobsPerUser: parseInt(process.env.NARRATION_MAX_JOBS_PER_USER) || 5,
+        jobTtlMs: parseInt(process.env.NARRATION_JOB_TTL_MS) || 60 * 60 * 1000
+    },
     qualitySettings: {
         high: { stability: 0.8, similarityBoost: 0.8, style: 0.2 },
         medium: { stability: 0.75, similarityBoost: 0.75, style: 0.0 },
@@ -51,9 +101,14 @@ async function validateConfiguration() {
     const timer = logger.performance('config-validation', 'AIConfig');
     try {
         const issues = [];
+        if (!SUPPORTED_AI_PROVIDERS.includes(AI_CONFIG.provider)) issues.push(`AI_PROVIDER must be one of: ${SUPPORTED_AI_PROVIDERS.join(', ')}`);
+        if (AI_CONFIG.provider === 'openai' && !AI_CONFIG.apiKey) issues.push('AI_API_KEY not configured');
         if (!AI_CONFIG.model) issues.push('AI_MODEL not configured');
         if (AI_CONFIG.temperature < 0 || AI_CONFIG.temperature > 2) issues.push('AI_TEMPERATURE must be between 0 and 2');
         if (AI_CONFIG.maxTokens < 100 || AI_CONFIG.maxTokens > 4000) issues.push('AI_MAX_TOKENS must be between 100 and 4000');
+        if (AI_CONFIG.contextTokenBudget < 500) issues.push('AI_CONTEXT_TOKEN_BUDGET must be at least 500');
+        if (!['whisper', 'stub'].includes(STT_CONFIG.provider)) issues.push('STT_PROVIDER must be one of: whisper, stub');
+        if (STT_CONFIG.provider === 'whisper' && !STT_CONFIG.apiKey) issues.push('STT_API_KEY not configured');
         if (!ELEVENLABS_CONFIG.apiKey) issues.push('ELEVENLABS_API_KEY not configured');
         if (!ELEVENLABS_CONFIG.defaultVoiceId) issues.push('ELEVENLABS_VOICE_ID not configured');
         const s = ELEVENLABS_CONFIG.defaultSettings;
@@ -67,7 +122,7 @@ async function validateConfiguration() {
             throw error;
         }
         timer.end('Configuration validation completed');
-        logger.info('AI configuration validated successfully', { component: 'AIConfig', model: AI_CONFIG.model, promptVersion: AI_CONFIG.systemPromptVersion, voiceConfigured: !!ELEVENLABS_CONFIG.apiKey });
+        logger.info('AI configuration validated successfully', { component: 'AIConfig', provider: AI_CONFIG.provider, model: AI_CONFIG.model, promptVersion: AI_CONFIG.systemPromptVersion, voiceConfigured: !!ELEVENLABS_CONFIG.apiKey });
     } catch (error) {
         timer.endWithError(error, 'Configuration validation failed');
         throw error;
@@ -91,7 +146,10 @@ function getPerformanceThreshold(operation) {
 }
 module.exports = {
     AI_CONFIG,
+    SUPPORTED_AI_PROVIDERS,
     ELEVENLABS_CONFIG,
+    TTS_CONFIG,
+    STT_CONFIG,
     VOICE_CONFIG,
     SYSTEM_PROMPTS,
     PERFORMANCE_THRESHOLDS,
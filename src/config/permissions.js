@@ -0,0 +1,82 @@
+// @compliance BIG_BROTHER_V2
+const ROLES = ['client', 'agent', 'broker-admin', 'system'];
+// Scopes: 'own' = records the caller created, 'listings' = records tied to the caller's listings
+// (plus their own), 'all' = every record in the brokerage office.
+const ROLE_PERMISSIONS = {
+    client: {
+        'conversations:read': 'own',
+        'conversations:write': 'own',
+        'conversations:manage': 'own',
+        'showings:read': 'own',
+        'showings:create': 'own',
+        'preferences:read': 'own',
+        'preferences:write': 'own',
+        'usage:read': 'own',
+        'voice:synthesize': 'own'
+    },
+    agent: {
+        'conversations:read': 'listings',
+        'conversations:write': 'own',
+        'conversations:manage': 'listings',
+        'showings:read': 'listings',
+        'showings:create': 'own',
+        'preferences:read': 'listings',
+        'preferences:write': 'listings',
+        'usage:read': 'own',
+        'voice:synthesize': 'own',
+        'voice-profiles:read': 'own',
+        'voice-profiles:manage': 'own'
+    },
+    'broker-admin': {
+        'conversations:read': 'all',
+        'conversations:write': 'own',
+        'conversations:manage': 'all',
+        'showings:read': 'all',
+        'showings:create': 'own',
+        'stats:read': 'all',
+        'health:detailed': 'all',
+        'pii:reveal': 'all',
+        'retention:read': 'all',
+        'retention:run': 'all',
+        'legal-holds:manage': 'all',
+        'data-subjects:manage': 'all',
+        'audit:read': 'all',
+        'preferences:read': 'all',
+        'preferences:write': 'all',
+        'usage:read': 'all',
+        'quotas:manage': 'all',
+        'voice:synthesize': 'own',
+        'voice-profiles:read': 'all',
+        'voice-profiles:manage': 'all'
+    },
+    system: {
+        'conversations:read': 'all',
+        'conversations:write': 'own',
+        'conversations:manage': 'all',
+        'showings:read': 'all',
+        'showings:create': 'own',
+        'stats:read': 'all',
+        'health:detailed': 'all',
+        'pii:reveal': 'all',
+        'retention:read': 'all',
+        'retention:run': 'all',
+        'legal-holds:manage': 'all',
+        'data-subjects:manage': 'all',
+        'audit:read': 'all',
+        'preferences:read': 'all',
+        'preferences:write': 'all',
+        'usage:read': 'all',
+        'quotas:manage': 'all',
+        'voice:synthesize': 'own',
+        'voice-profiles:read': 'all',
+        'voice-profiles:manage': 'all'
+    }
+};
+function getPermissionScope(role, permission) {
+    return ROLE_PERMISSIONS[role]?.[permission] || null;
+}
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    getPermissionScope
+};
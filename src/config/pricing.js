@@ -0,0 +1,67 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('../utils/logger');
+// USD list prices. LLM models are priced per 1K prompt/completion tokens, voice models per 1K characters.
+// Override or extend with PRICING_OVERRIDES='{"models":{"gpt-4o":{"prompt":0.0025,"completion":0.01}},"voiceModels":{...}}'.
+const MODEL_PRICING = {
+    'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+    'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+    'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+    'gpt-4': { prompt: 0.03, completion: 0.06 },
+    'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+    'mock': { prompt: 0, completion: 0 }
+};
+const VOICE_PRICING = {
+    'eleven_monolingual_v1': { characters: 0.3 },
+    'eleven_multilingual_v1': { characters: 0.3 },
+    'eleven_multilingual_v2': { characters: 0.3 },
+    'eleven_turbo_v2': { characters: 0.15 },
+    'tts-1': { characters: 0.015 },
+    'tts-1-hd': { characters: 0.03 },
+    'local': { characters: 0 }
+};
+const SPEND_CONFIG = {
+    quotasEnabled: process.env.SPEND_QUOTAS_ENABLED !== 'false',
+    dailyLimitUsd: parseFloat(process.env.SPEND_DAILY_LIMIT_USD) || 5,
+    monthlyLimitUsd: parseFloat(process.env.SPEND_MONTHLY_LIMIT_USD) || 50
+};
+const unpriced = new Set();
+function loadOverrides() {
+    if (!process.env.PRICING_OVERRIDES) return;
+    try {
+        const overrides = JSON.parse(process.env.PRICING_OVERRIDES);
+        Object.assign(MODEL_PRICING, overrides.models);
+        Object.assign(VOICE_PRICING, overrides.voiceModels);
+    } catch (error) {
+        logger.error('Invalid PRICING_OVERRIDES, using built-in prices', { component: 'Pricing', error: error.message });
+    }
+}
+function lookupPrice(table, model, fallback) {
+    // Dated releases (gpt-4-turbo-2024-04-09, gpt-4o-mini-2024-07-18) use their family's price; longest prefix wins.
+    const family = Object.keys(table).filter(name => model === name || (model || '').startsWith(`${name}-`)).sort((a, b) => b.length - a.length)[0];
+    if (family) return table[family];
+    if (!unpriced.has(model)) {
+        unpriced.add(model);
+        logger.warn('No price configured for model, billing at fallback rate', { component: 'Pricing', model, fallback });
+    }
+    return table[fallback];
+}
+function roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+function priceTokens(model, promptTokens = 0, completionTokens = 0) {
+    const price = lookupPrice(MODEL_PRICING, model, 'gpt-4-turbo');
+    return roundUsd((promptTokens * price.prompt + completionTokens * price.completion) / 1000);
+}
+function priceCharacters(voiceModel, characters = 0) {
+    const price = lookupPrice(VOICE_PRICING, voiceModel, 'eleven_multilingual_v2');
+    return roundUsd(characters * price.characters / 1000);
+}
+loadOverrides();
+module.exports = {
+    MODEL_PRICING,
+    VOICE_PRICING,
+    SPEND_CONFIG,
+    priceTokens,
+    priceCharacters,
+    roundUsd
+};
@@ -0,0 +1,59 @@
+// @compliance BIG_BROTHER_V2
+const fs = require('fs');
+const logger = require('../utils/logger');
+// Per-market pronunciation lexicons for local street, neighborhood and city names. Entries are either a respelling
+// ("BURN-it") or { alias, ipa }; the IPA form is sent as an SSML <phoneme> tag on models that support it.
+// Every market also inherits the `default` entries. Extend with PRONUNCIATION_LEXICON_FILE pointing at JSON of the same shape.
+const PRONUNCIATION_LEXICONS = {
+    default: {},
+    austin: {
+        'Manchaca': 'MAN-chack',
+        'Burnet': 'BURN-it',
+        'Guadalupe': 'GWAD-a-loop',
+        'Pflugerville': 'FLOO-ger-ville',
+        'MoPac': 'MO-pack'
+    },
+    houston: {
+        'Kuykendahl': 'KIRK-en-doll',
+        'Bissonnet': 'BISS-oh-nay',
+        'San Jacinto': 'San juh-SIN-toe'
+    },
+    seattle: {
+        'Puyallup': 'pew-AL-up',
+        'Sequim': 'SKWIM',
+        'Mukilteo': 'muck-il-TEE-oh',
+        'Enumclaw': 'EE-num-claw'
+    }
+};
+const SPEECH_CONFIG = {
+    normalizationEnabled: process.env.SPEECH_NORMALIZATION_ENABLED !== 'false',
+    defaultMarket: process.env.SPEECH_DEFAULT_MARKET || 'default',
+    // ElevenLabs only honors <phoneme> tags on its English v1, Turbo v2 and Flash v2 models.
+    phonemeModels: ['eleven_monolingual_v1', 'eleven_turbo_v2', 'eleven_flash_v2']
+};
+function loadLexiconFile() {
+    if (!process.env.PRONUNCIATION_LEXICON_FILE) return;
+    try {
+        const lexicons = JSON.parse(fs.readFileSync(process.env.PRONUNCIATION_LEXICON_FILE, 'utf8'));
+        for (const [market, entries] of Object.entries(lexicons)) {
+            PRONUNCIATION_LEXICONS[market.toLowerCase()] = { ...PRONUNCIATION_LEXICONS[market.toLowerCase()], ...entries };
+        }
+    } catch (error) {
+        logger.error('Invalid PRONUNCIATION_LEXICON_FILE, using built-in lexicons', { component: 'Pronunciation', error: error.message });
+    }
+}
+function listMarkets() {
+    return Object.keys(PRONUNCIATION_LEXICONS);
+}
+function getLexicon(market = SPEECH_CONFIG.defaultMarket) {
+    const key = (market || SPEECH_CONFIG.defaultMarket).toLowerCase();
+    if (!PRONUNCIATION_LEXICONS[key]) throw new Error(`Unknown pronunciation market: ${market}`);
+    return { ...PRONUNCIATION_LEXICONS.default, ...PRONUNCIATION_LEXICONS[key] };
+}
+loadLexiconFile();
+module.exports = {
+    PRONUNCIATION_LEXICONS,
+    SPEECH_CONFIG,
+    listMarkets,
+    getLexicon
+};
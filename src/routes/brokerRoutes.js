@@ -0,0 +1,113 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { apiRateLimit, complianceMiddleware, authorize } = require('../utils/middleware');
+const { validateBrokerService } = require('../utils/validators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const BrokerService = require('../services/brokerService');
+const router = express.Router();
+const brokerService = new BrokerService();
+const brokerAction = (action) => (req, res, next) => {
+    req.body = { ...(req.body || {}), action };
+    next();
+};
+function missingParameters(parameters, fields) {
+    return fields.filter(field => parameters[field] === undefined || parameters[field] === null || parameters[field] === '');
+}
+function sendMissingParameters(req, res, missing) {
+    return res.status(400).json({ success: false, error: 'Missing Parameters', message: `Required parameters missing: ${missing.join(', ')}`, details: missing, requestId: req.requestId });
+}
+router.post('/properties/search', apiRateLimit, complianceMiddleware, brokerAction('search_properties'), validateBrokerService, async (req, res) => {
+    const timer = logger.performance('property-search-endpoint', 'BrokerRoutes');
+    const { parameters } = req.body;
+    try {
+        const result = await brokerService.searchProperties(parameters);
+        timer.addMetadata('propertyCount', result.totalFound);
+        timer.end('Property search completed successfully');
+        res.json({ success: true, properties: result.properties, totalFound: result.totalFound, searchCriteria: result.searchCriteria, pagination: { limit: parameters.limit || 20, offset: parameters.offset || 0 }, requestId: req.requestId, timestamp: result.timestamp });
+    } catch (error) {
+        timer.endWithError(error, 'Property search failed');
+        logger.error('Property search endpoint error', { component: 'BrokerRoutes', requestId: req.requestId, error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, error: 'Property Search Failed', message: 'Unable to search properties at this time', requestId: req.requestId });
+    }
+});
+router.post('/market-analysis', apiRateLimit, complianceMiddleware, brokerAction('get_market_analysis'), validateBrokerService, async (req, res) => {
+    const timer = logger.performance('market-analysis-endpoint', 'BrokerRoutes');
+    const { parameters } = req.body;
+    try {
+        const missing = missingParameters(parameters, ['location']);
+        if (missing.length > 0) return sendMissingParameters(req, res, missing);
+        const analysis = await brokerService.getMarketAnalysis(parameters.location, parameters.propertyType);
+        timer.addMetadata('location', parameters.location);
+        timer.end('Market analysis completed successfully');
+        res.json({ success: true, analysis, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Market analysis failed');
+        logger.error('Market analysis endpoint error', { component: 'BrokerRoutes', requestId: req.requestId, location: parameters.location, error: error.message });
+        if (error.message.startsWith('No market data found')) {
+            return res.status(404).json({ success: false, error: 'Market Data Not Found', message: error.message, requestId: req.requestId });
+        }
+        res.status(500).json({ success: false, error: 'Market Analysis Failed', message: 'Unable to retrieve market analysis at this time', requestId: req.requestId });
+    }
+});
+router.get('/showings', apiRateLimit, complianceMiddleware, authenticate, authorize('showings:read'), async (req, res) => {
+    const timer = logger.performance('list-showings-endpoint', 'BrokerRoutes');
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    try {
+        const validStatuses = ['requested', 'confirmed', 'completed', 'cancelled'];
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({ success: false, error: 'Invalid Status', message: `Status must be one of: ${validStatuses.join(', ')}`, requestId: req.requestId });
+        }
+        const showings = await brokerService.listShowings({ scope: req.accessScope, userId: req.user.userId, agentId: req.user.agentId, status, limit, offset });
+        timer.addMetadata('scope', req.accessScope);
+        timer.addMetadata('showingCount', showings.length);
+        timer.end('Showings listed successfully');
+        res.json({ success: true, scope: req.accessScope, showings, pagination: { limit, offset, total: showings.length }, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'List showings failed');
+        logger.error('List showings endpoint error', { component: 'BrokerRoutes', requestId: req.requestId, userId: req.user.userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Showings Retrieval Failed', message: 'Unable to retrieve showings at this time', requestId: req.requestId });
+    }
+});
+router.post('/showings', apiRateLimit, complianceMiddleware, authenticate, authorize('showings:create'), brokerAction('schedule_showing'), validateBrokerService, async (req, res) => {
+    const timer = logger.performance('schedule-showing-endpoint', 'BrokerRoutes');
+    const { parameters } = req.body;
+    try {
+        const missing = missingParameters(parameters, ['propertyId', 'clientName', 'clientEmail', 'preferredDate']);
+        if (missing.length > 0) return sendMissingParameters(req, res, missing);
+        const { propertyId, clientName, clientEmail, clientPhone, preferredDate, timeSlot } = parameters;
+        const showing = await brokerService.scheduleShowing(propertyId, { clientName, clientEmail, clientPhone }, preferredDate, timeSlot, req.user.userId);
+        timer.addMetadata('propertyId', propertyId);
+        timer.addMetadata('showingId', showing.showingId);
+        timer.end('Showing scheduled successfully');
+        res.status(201).json({ success: true, showing, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Schedule showing failed');
+        logger.error('Schedule showing endpoint error', { component: 'BrokerRoutes', requestId: req.requestId, propertyId: parameters.propertyId, error: error.message });
+        if (error.message.startsWith('Property not found')) {
+            return res.status(404).json({ success: false, error: 'Property Not Available', message: error.message, requestId: req.requestId });
+        }
+        res.status(500).json({ success: false, error: 'Showing Scheduling Failed', message: 'Unable to schedule the showing at this time', requestId: req.requestId });
+    }
+});
+router.post('/agents', apiRateLimit, complianceMiddleware, brokerAction('get_agent_info'), validateBrokerService, async (req, res) => {
+    const timer = logger.performance('agent-info-endpoint', 'BrokerRoutes');
+    const { agentId } = req.body.parameters;
+    try {
+        const result = await brokerService.getAgentInfo(agentId || null);
+        if (agentId && !result) {
+            timer.end('Agent not found');
+            return res.status(404).json({ success: false, error: 'Agent Not Found', message: 'The specified agent does not exist or is not active', requestId: req.requestId });
+        }
+        timer.addMetadata('agentCount', agentId ? 1 : result.length);
+        timer.end('Agent information retrieved');
+        res.json(agentId ? { success: true, agent: result, requestId: req.requestId } : { success: true, agents: result, totalCount: result.length, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Get agent info failed');
+        logger.error('Agent info endpoint error', { component: 'BrokerRoutes', requestId: req.requestId, agentId, error: error.message });
+        res.status(500).json({ success: false, error: 'Agent Retrieval Failed', message: 'Unable to retrieve agent information', requestId: req.requestId });
+    }
+});
+module.exports = router;
@@ -1,19 +1,26 @@
 const express = require('express');
-const { chatRateLimit, complianceMiddleware } = require('../utils/middleware');
+const { chatRateLimit, complianceMiddleware, authorize, enforceSpendQuota } = require('../utils/middleware');
 const { validateChatMessage, validateConversationHistory } = require('../utils/validators');
+const { authenticate, requireConversationAccess } = require('../utils/auth');
+const { getPermissionScope } = require('../config/permissions');
 const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/eventStream');
 const AIService = require('../services/aiService');
 const ConversationManager = require('../services/conversationManager');
+const UsageService = require('../services/usageService');
 const router = express.Router();
 const aiService = new AIService();
 const conversationManager = new ConversationManager();
-router.post('/message', chatRateLimit, complianceMiddleware, validateChatMessage, async (req, res) => {
+const usageService = new UsageService();
+// beginTurn re-checks the conversation after the middleware, so a conversation deleted or reassigned in between surfaces here.
+const TURN_ERRORS = { 403: 'Forbidden', 404: 'Conversation Not Found' };
+router.post('/message', chatRateLimit, complianceMiddleware, authenticate, authorize('conversations:write'), validateChatMessage, requireConversationAccess, enforceSpendQuota(), async (req, res) => {
     const timer = logger.performance('chat-message-endpoint', 'ChatRoutes');
     try {
-        const { message, conversationId, userId, context, metadata } = req.body;
+        const { message, conversationId, context, metadata } = req.body;
+        const { userId } = req.user;
         timer.addMetadata('messageLength', message.length);
         timer.addMetadata('hasConversationId', !!conversationId);
-        timer.addMetadata('hasUserId', !!userId);
         const result = await aiService.processChatMessage(message, conversationId, userId, context || {});
         timer.addMetadata('responseLength', result.response.length);
         timer.addMetadata('conversationId', result.conversationId);
@@ -22,21 +29,43 @@ router.post('/message', chatRateLimit, complianceMiddleware, validateChatMessage
     } catch (error) {
         timer.endWithError(error, 'Chat message processing failed');
         logger.error('Chat message endpoint error', { component: 'ChatRoutes', requestId: req.requestId, error: error.message, stack: error.stack });
+        if (TURN_ERRORS[error.statusCode]) return res.status(error.statusCode).json({ success: false, error: TURN_ERRORS[error.statusCode], message: error.message, requestId: req.requestId });
         res.status(500).json({ success: false, error: 'Chat Processing Failed', message: 'Unable to process your message at this time', requestId: req.requestId });
     }
 });
-router.get('/conversation/:conversationId', complianceMiddleware, async (req, res) => {
+router.post('/message/stream', chatRateLimit, complianceMiddleware, authenticate, authorize('conversations:write'), validateChatMessage, requireConversationAccess, enforceSpendQuota(), async (req, res) => {
+    const timer = logger.performance('chat-message-stream-endpoint', 'ChatRoutes');
+    const { message, conversationId, context } = req.body;
+    const { userId } = req.user;
+    const stream = openEventStream(res);
+    try {
+        timer.addMetadata('messageLength', message.length);
+        timer.addMetadata('hasConversationId', !!conversationId);
+        const result = await aiService.streamChatMessage(message, conversationId, userId, context || {}, {
+            signal: stream.signal,
+            onStart: (turn) => stream.send('start', { conversationId: turn.conversationId, requestId: req.requestId }),
+            onDelta: (content) => stream.send('delta', { content })
+        });
+        timer.addMetadata('conversationId', result.conversationId);
+        timer.addMetadata('aborted', !!result.metadata.aborted);
+        timer.addMetadata('failed', !!result.metadata.error);
+        timer.end('Chat message streamed successfully');
+        // A provider failure mid-stream still saves the partial reply, so the client gets its IDs along with success: false.
+        stream.send('done', { success: !result.metadata.error, conversationId: result.conversationId, messageId: result.messageId, tokenCount: result.metadata.tokenCount, usage: { promptTokens: result.metadata.usage?.promptTokens || 0, completionTokens: result.metadata.usage?.completionTokens || result.metadata.tokenCount }, metadata: { model: result.metadata.model, provider: result.metadata.provider, responseTime: result.metadata.responseTime, toolsUsed: result.metadata.toolsUsed, messageCount: result.metadata.messageCount }, requestId: req.requestId, timestamp: new Date().toISOString() });
+    } catch (error) {
+        timer.endWithError(error, 'Chat message streaming failed');
+        logger.error('Chat message stream endpoint error', { component: 'ChatRoutes', requestId: req.requestId, error: error.message, stack: error.stack });
+        if (TURN_ERRORS[error.statusCode]) stream.send('error', { success: false, error: TURN_ERRORS[error.statusCode], message: error.message, requestId: req.requestId });
+        else stream.send('error', { success: false, error: 'Chat Processing Failed', message: 'Unable to process your message at this time', requestId: req.requestId });
+    } finally {
+        stream.end();
+    }
+});
+router.get('/conversation/:conversationId', complianceMiddleware, authenticate, authorize('conversations:read'), requireConversationAccess, async (req, res) => {
     const timer = logger.performance('get-conversation-endpoint', 'ChatRoutes');
     const { conversationId } = req.params;
     try {
-        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(conversationId)) {
-            return res.status(400).json({ success: false, error: 'Invalid Conversation ID', message: 'Conversation ID must be a valid UUID', requestId: req.requestId });
-        }
-        const conversation = await conversationManager.getConversation(conversationId);
-        if (!conversation) {
-            timer.end('Conversation not found');
-            return res.status(404).json({ success: false, error: 'Conversation Not Found', message: 'The specified conversation does not exist', requestId: req.requestId });
-        }
+        const { conversation } = req;
         timer.addMetadata('conversationId', conversationId);
         timer.addMetadata('messageCount', conversation.messageCount);
         timer.end('Conversation details retrieved');
@@ -47,15 +76,21 @@ router.get('/conversation/:conversationId', complianceMiddleware, async (req, re
         res.status(500).json({ success: false, error: 'Conversation Retrieval Failed', message: 'Unable to retrieve conversation details', requestId: req.requestId });
     }
 });
-router.get('/conversation/:conversationId/history', complianceMiddleware, validateConversationHistory, async (req, res) => {
+router.get('/conversation/:conversationId/history', complianceMiddleware, authenticate, authorize('conversations:read'), validateConversationHistory, requireConversationAccess, async (req, res) => {
     const timer = logger.performance('get-conversation-history-endpoint', 'ChatRoutes');
     const { conversationId } = req.params;
-    const { limit, offset, includeMetadata } = req.query;
+    const { limit, offset, includeMetadata, reveal } = req.query;
     try {
-        const messages = await conversationManager.getConversationHistory(conversationId, parseInt(limit) || 20, parseInt(offset) || 0);
+        if (reveal && !getPermissionScope(req.user.role, 'pii:reveal')) {
+            timer.end('PII reveal denied');
+            return res.status(403).json({ success: false, error: 'Forbidden', message: `Role '${req.user.role}' is not permitted to reveal PII`, requestId: req.requestId });
+        }
+        const history = await conversationManager.getConversationHistory(conversationId, parseInt(limit) || 20, parseInt(offset) || 0);
+        const messages = reveal ? await conversationManager.revealMessages(history) : conversationManager.maskMessages(history);
+        if (reveal) logger.warn('PII revealed from vault', { component: 'ChatRoutes', requestId: req.requestId, conversationId, userId: req.user.userId, role: req.user.role, messageCount: messages.length });
         const filteredMessages = messages.map(msg => {
             const message = { messageId: msg.messageId, role: msg.role, content: msg.content, createdAt: msg.createdAt };
-            if (includeMetadata === 'true') {
+            if (includeMetadata === true) {
                 message.metadata = msg.metadata;
                 message.tokenCount = msg.tokenCount;
             }
@@ -71,7 +106,7 @@ router.get('/conversation/:conversationId/history', complianceMiddleware, valida
         res.status(500).json({ success: false, error: 'History Retrieval Failed', message: 'Unable to retrieve conversation history', requestId: req.requestId });
     }
 });
-router.put('/conversation/:conversationId/status', complianceMiddleware, async (req, res) => {
+router.put('/conversation/:conversationId/status', complianceMiddleware, authenticate, authorize('conversations:manage'), requireConversationAccess, async (req, res) => {
     const timer = logger.performance('update-conversation-status-endpoint', 'ChatRoutes');
     const { conversationId } = req.params;
     const { status, metadata } = req.body;
@@ -91,11 +126,32 @@ router.put('/conversation/:conversationId/status', complianceMiddleware, async (
         res.status(500).json({ success: false, error: 'Status Update Failed', message: 'Unable to update conversation status', requestId: req.requestId });
     }
 });
-router.get('/conversations/user/:userId', complianceMiddleware, async (req, res) => {
+router.get('/conversations', complianceMiddleware, authenticate, authorize('conversations:read'), async (req, res) => {
+    const timer = logger.performance('list-conversations-endpoint', 'ChatRoutes');
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    try {
+        const conversations = await conversationManager.listConversations(req.accessScope, req.user, limit, offset);
+        timer.addMetadata('scope', req.accessScope);
+        timer.addMetadata('conversationCount', conversations.length);
+        timer.end('Conversations listed');
+        res.json({ success: true, scope: req.accessScope, conversations, pagination: { limit, offset, total: conversations.length }, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'List conversations failed');
+        logger.error('List conversations endpoint error', { component: 'ChatRoutes', requestId: req.requestId, userId: req.user.userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Conversations Retrieval Failed', message: 'Unable to retrieve conversations', requestId: req.requestId });
+    }
+});
+router.get('/conversations/user/:userId', complianceMiddleware, authenticate, authorize('conversations:read'), async (req, res) => {
     const timer = logger.performance('get-user-conversations-endpoint', 'ChatRoutes');
     const { userId } = req.params;
     const { limit = 10, offset = 0 } = req.query;
     try {
+        if (userId !== req.user.userId && req.accessScope !== 'all') {
+            logger.warn('User conversations access denied', { component: 'ChatRoutes', requestId: req.requestId, userId, callerId: req.user.userId });
+            timer.end('User conversations access denied');
+            return res.status(403).json({ success: false, error: 'Forbidden', message: 'You can only list your own conversations', requestId: req.requestId });
+        }
         const conversations = await conversationManager.getUserConversations(userId, parseInt(limit), parseInt(offset));
         timer.addMetadata('userId', userId);
         timer.addMetadata('conversationCount', conversations.length);
@@ -107,12 +163,15 @@ router.get('/conversations/user/:userId', complianceMiddleware, async (req, res)
         res.status(500).json({ success: false, error: 'User Conversations Retrieval Failed', message: 'Unable to retrieve user conversations', requestId: req.requestId });
     }
 });
-router.get('/stats', complianceMiddleware, async (req, res) => {
+router.get('/stats', complianceMiddleware, authenticate, authorize('stats:read'), async (req, res) => {
     const timer = logger.performance('get-chat-stats-endpoint', 'ChatRoutes');
     try {
         const aiStats = aiService.getServiceStats();
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const tokenUsage = await usageService.getUsageSummary({ days, userId: req.query.userId || null });
+        timer.addMetadata('days', days);
         timer.end('Chat statistics retrieved');
-        res.json({ success: true, statistics: { ...aiStats, service: 'chat', version: '2.0.0', compliance: 'BIG_BROTHER_V2' }, requestId: req.requestId });
+        res.json({ success: true, statistics: { ...aiStats, tokenUsage, service: 'chat', version: '2.0.0', compliance: 'BIG_BROTHER_V2' }, requestId: req.requestId });
     } catch (error) {
         timer.endWithError(error, 'Get chat statistics failed');
         logger.error('Get chat statistics endpoint error', { component: 'ChatRoutes', requestId: req.requestId, error: error.message });
@@ -0,0 +1,172 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { apiRateLimit, complianceMiddleware, authorize } = require('../utils/middleware');
+const { VALIDATION_PATTERNS } = require('../utils/validators');
+const { validateLegalHold, validateDataSubjectExport, validateDataSubjectErasure } = require('../utils/complianceValidators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const { RetentionService } = require('../services/retentionService');
+const { DataSubjectService, verifyReceipt } = require('../services/dataSubjectService');
+const { auditTrail } = require('../utils/auditTrail');
+const router = express.Router();
+const retentionService = new RetentionService();
+const dataSubjectService = new DataSubjectService();
+router.post('/retention/run', apiRateLimit, complianceMiddleware, authenticate, authorize('retention:run'), async (req, res) => {
+    const timer = logger.performance('retention-run-endpoint', 'ComplianceRoutes');
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    try {
+        if (retentionService.running) {
+            timer.end('Retention run already in progress');
+            return res.status(409).json({ success: false, error: 'Retention Run In Progress', message: 'A retention run is already in progress', requestId: req.requestId });
+        }
+        const run = await retentionService.run({ trigger: `api:${req.user.userId}`, dryRun });
+        timer.addMetadata('runId', run.runId);
+        timer.end('Retention run completed');
+        res.json({ success: true, run, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Retention run failed');
+        logger.error('Retention run endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Retention Run Failed', message: 'Unable to complete the retention run', requestId: req.requestId });
+    }
+});
+router.get('/retention/runs', apiRateLimit, complianceMiddleware, authenticate, authorize('retention:read'), async (req, res) => {
+    const timer = logger.performance('retention-runs-endpoint', 'ComplianceRoutes');
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    try {
+        const runs = await retentionService.listRuns(limit, offset);
+        timer.addMetadata('runCount', runs.length);
+        timer.end('Retention runs retrieved');
+        res.json({ success: true, runs, pagination: { limit, offset }, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to list retention runs');
+        logger.error('Retention runs endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Retention Runs Retrieval Failed', message: 'Unable to retrieve retention runs', requestId: req.requestId });
+    }
+});
+router.get('/legal-holds', apiRateLimit, complianceMiddleware, authenticate, authorize('legal-holds:manage'), async (req, res) => {
+    const timer = logger.performance('list-legal-holds-endpoint', 'ComplianceRoutes');
+    try {
+        const holds = await retentionService.listLegalHolds(req.query.includeReleased === 'true');
+        timer.addMetadata('holdCount', holds.length);
+        timer.end('Legal holds retrieved');
+        res.json({ success: true, holds, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to list legal holds');
+        logger.error('List legal holds endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Legal Hold Retrieval Failed', message: 'Unable to retrieve legal holds', requestId: req.requestId });
+    }
+});
+router.post('/legal-holds', apiRateLimit, complianceMiddleware, authenticate, authorize('legal-holds:manage'), validateLegalHold, async (req, res) => {
+    const timer = logger.performance('place-legal-hold-endpoint', 'ComplianceRoutes');
+    try {
+        const hold = await retentionService.placeLegalHold(req.body, req.user.userId);
+        timer.addMetadata('holdId', hold.holdId);
+        timer.end('Legal hold placed');
+        res.status(201).json({ success: true, hold, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to place legal hold');
+        logger.error('Place legal hold endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Legal Hold Failed', message: 'Unable to place legal hold', requestId: req.requestId });
+    }
+});
+router.delete('/legal-holds/:holdId', apiRateLimit, complianceMiddleware, authenticate, authorize('legal-holds:manage'), async (req, res) => {
+    const timer = logger.performance('release-legal-hold-endpoint', 'ComplianceRoutes');
+    const { holdId } = req.params;
+    try {
+        if (!VALIDATION_PATTERNS.UUID.test(holdId)) {
+            timer.end('Invalid legal hold ID');
+            return res.status(400).json({ success: false, error: 'Invalid Hold ID', message: 'Legal hold ID must be a valid UUID', requestId: req.requestId });
+        }
+        const released = await retentionService.releaseLegalHold(holdId, req.user.userId);
+        if (!released) {
+            timer.end('Legal hold not found');
+            return res.status(404).json({ success: false, error: 'Legal Hold Not Found', message: 'No active legal hold with that ID', requestId: req.requestId });
+        }
+        timer.end('Legal hold released');
+        res.json({ success: true, holdId, released: true, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to release legal hold');
+        logger.error('Release legal hold endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, holdId, error: error.message });
+        res.status(500).json({ success: false, error: 'Legal Hold Release Failed', message: 'Unable to release legal hold', requestId: req.requestId });
+    }
+});
+router.get('/data-subjects/:userId/export', apiRateLimit, complianceMiddleware, authenticate, authorize('data-subjects:manage'), validateDataSubjectExport, async (req, res) => {
+    const timer = logger.performance('data-subject-export-endpoint', 'ComplianceRoutes');
+    const { userId } = req.params;
+    try {
+        const bundle = await dataSubjectService.exportUserData(userId, { email: req.query.email, requestedBy: req.user.userId });
+        timer.addMetadata('conversationCount', bundle.conversations.length);
+        timer.end('Data subject export completed');
+        res.setHeader('Content-Disposition', `attachment; filename="data-subject-export-${bundle.requestId}.json"`);
+        res.json(bundle);
+    } catch (error) {
+        timer.endWithError(error, 'Data subject export failed');
+        logger.error('Data subject export endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Export Failed', message: 'Unable to export data subject records', requestId: req.requestId });
+    }
+});
+router.post('/data-subjects/:userId/erasure', apiRateLimit, complianceMiddleware, authenticate, authorize('data-subjects:manage'), validateDataSubjectErasure, async (req, res) => {
+    const timer = logger.performance('data-subject-erasure-endpoint', 'ComplianceRoutes');
+    const { userId } = req.params;
+    try {
+        if (req.body.confirm !== true) {
+            timer.end('Erasure not confirmed');
+            return res.status(400).json({ success: false, error: 'Confirmation Required', message: 'Set confirm to true to permanently erase this data subject', requestId: req.requestId });
+        }
+        const receipt = await dataSubjectService.eraseUserData(userId, { email: req.body.email, requestedBy: req.user.userId });
+        timer.addMetadata('receiptId', receipt.receiptId);
+        timer.end('Data subject erasure completed');
+        res.json({ success: true, receipt, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Data subject erasure failed');
+        logger.error('Data subject erasure endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, userId, error: error.message });
+        if (error.statusCode === 503) return res.status(503).json({ success: false, error: 'Erasure Unavailable', message: error.message, requestId: req.requestId });
+        res.status(500).json({ success: false, error: 'Erasure Failed', message: 'Unable to erase data subject records', requestId: req.requestId });
+    }
+});
+router.post('/data-subjects/receipts/verify', apiRateLimit, complianceMiddleware, authenticate, authorize('data-subjects:manage'), (req, res) => {
+    try {
+        res.json({ success: true, valid: verifyReceipt(req.body?.receipt), requestId: req.requestId });
+    } catch (error) {
+        logger.error('Receipt verification error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(error.statusCode || 500).json({ success: false, error: 'Verification Failed', message: error.message, requestId: req.requestId });
+    }
+});
+router.get('/audit', apiRateLimit, complianceMiddleware, authenticate, authorize('audit:read'), async (req, res) => {
+    const timer = logger.performance('audit-query-endpoint', 'ComplianceRoutes');
+    const { actor, action, outcome, requestId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    try {
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            timer.end('Invalid audit date range');
+            return res.status(400).json({ success: false, error: 'Invalid Date Range', message: 'from and to must be ISO-8601 timestamps', requestId: req.requestId });
+        }
+        const { entries, skipped } = await auditTrail.query({ actor, action, outcome, requestId, from, to, limit });
+        timer.addMetadata('entryCount', entries.length);
+        timer.addMetadata('skipped', skipped);
+        timer.end('Audit trail queried');
+        res.json({ success: true, entries, skipped, filters: { actor, action, outcome, requestId, from, to }, limit, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Audit trail query failed');
+        logger.error('Audit query endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Audit Query Failed', message: 'Unable to query the audit trail', requestId: req.requestId });
+    }
+});
+router.get('/audit/verify', apiRateLimit, complianceMiddleware, authenticate, authorize('audit:read'), async (req, res) => {
+    const timer = logger.performance('audit-verify-endpoint', 'ComplianceRoutes');
+    try {
+        const verification = await auditTrail.verify();
+        timer.addMetadata('valid', verification.valid);
+        timer.end('Audit trail verified');
+        if (!verification.valid) logger.error('Audit trail verification failed', { component: 'ComplianceRoutes', requestId: req.requestId, ...verification });
+        res.json({ success: true, verification, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Audit trail verification failed');
+        logger.error('Audit verify endpoint error', { component: 'ComplianceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Audit Verification Failed', message: 'Unable to verify the audit trail', requestId: req.requestId });
+    }
+});
+module.exports = router;
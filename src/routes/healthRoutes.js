@@ -1,11 +1,13 @@
 const express = require('express');
-const { healthCheckBypass, complianceMiddleware } = require('../utils/middleware');
+const { healthCheckBypass, complianceMiddleware, authorize } = require('../utils/middleware');
+const { authenticate } = require('../utils/auth');
 const { validateHealthCheck } = require('../utils/validators');
 const logger = require('../utils/logger');
 const database = require('../config/database');
 const { validateConfiguration } = require('../config/aiConfig');
 const AIService = require('../services/aiService');
 const BrokerService = require('../services/brokerService');
+const { auditTrail } = require('../utils/auditTrail');
 const router = express.Router();
 const aiService = new AIService();
 const brokerService = new BrokerService();
@@ -21,12 +23,12 @@ router.get('/', healthCheckBypass, complianceMiddleware, async (req, res) => {
         res.status(503).json({ status: 'unhealthy', service: 'Big Brother AI Assistant v2', error: error.message, timestamp: new Date().toISOString() });
     }
 });
-router.get('/detailed', healthCheckBypass, complianceMiddleware, validateHealthCheck, async (req, res) => {
+router.get('/detailed', healthCheckBypass, complianceMiddleware, authenticate, authorize('health:detailed'), validateHealthCheck, async (req, res) => {
     const timer = logger.performance('detailed-health-check', 'HealthRoutes');
     const { detailed, includeMetrics } = req.query;
     try {
-        const healthChecks = await Promise.allSettled([checkDatabaseHealth(), checkAIServiceHealth(), checkBrokerServiceHealth(), checkSystemResources()]);
-        const [dbHealth, aiHealth, brokerHealth, systemHealth] = healthChecks;
+        const healthChecks = await Promise.allSettled([checkDatabaseHealth(), checkAIServiceHealth(), checkBrokerServiceHealth(), checkSystemResources(), checkVoiceProviderHealth(), checkAuditTrailHealth()]);
+        const [dbHealth, aiHealth, brokerHealth, systemHealth, voiceHealth, auditHealth] = healthChecks;
         const overallStatus = healthChecks.every(check => check.status === 'fulfilled' && check.value.status === 'healthy') ? 'healthy' : 'degraded';
         const healthStatus = {
             status: overallStatus, service: 'Big Brother AI Assistant v2', version: '2.0.0', compliance: 'BIG_BROTHER_V2', timestamp: new Date().toISOString(), uptime: process.uptime(), environment: process.env.NODE_ENV || 'development',
@@ -34,7 +36,9 @@ router.get('/detailed', healthCheckBypass, complianceMiddleware, validateHealthC
                 database: dbHealth.status === 'fulfilled' ? dbHealth.value : { status: 'unhealthy', error: dbHealth.reason?.message },
                 aiService: aiHealth.status === 'fulfilled' ? aiHealth.value : { status: 'unhealthy', error: aiHealth.reason?.message },
                 brokerService: brokerHealth.status === 'fulfilled' ? brokerHealth.value : { status: 'unhealthy', error: brokerHealth.reason?.message },
-                system: systemHealth.status === 'fulfilled' ? systemHealth.value : { status: 'unhealthy', error: systemHealth.reason?.message }
+                system: systemHealth.status === 'fulfilled' ? systemHealth.value : { status: 'unhealthy', error: systemHealth.reason?.message },
+                voiceProviders: voiceHealth.status === 'fulfilled' ? voiceHealth.value : { status: 'unhealthy', error: voiceHealth.reason?.message },
+                auditTrail: auditHealth.status === 'fulfilled' ? auditHealth.value : { status: 'unhealthy', error: auditHealth.reason?.message }
             }
         };
         if (includeMetrics === 'true') healthStatus.metrics = await getSystemMetrics();
@@ -97,7 +101,7 @@ async function checkAIServiceHealth() {
     try {
         const aiStats = aiService.getServiceStats();
         timer.end('AI service health check completed');
-        return { status: 'healthy', elevenlabsConfigured: aiStats.elevenlabsConfigured, aiModel: aiStats.aiModel, requestCount: aiStats.requestCount, uptime: aiStats.uptime, averageRequestsPerMinute: aiStats.averageRequestsPerMinute };
+        return { status: 'healthy', elevenlabsConfigured: aiStats.elevenlabsConfigured, aiModel: aiStats.aiModel, aiProvider: aiStats.aiProvider, requestCount: aiStats.requestCount, uptime: aiStats.uptime, averageRequestsPerMinute: aiStats.averageRequestsPerMinute };
     } catch (error) {
         timer.endWithError(error, 'AI service health check failed');
         throw error;
@@ -126,6 +130,30 @@ async function checkSystemResources() {
         throw error;
     }
 }
+// Degraded while any provider's circuit is open, since synthesis is then running on a fallback or not at all.
+async function checkVoiceProviderHealth() {
+    const timer = logger.performance('voice-provider-health-check', 'HealthCheck');
+    try {
+        const providers = aiService.voiceService.getProviderHealth();
+        const available = providers.filter(provider => provider.healthy).length;
+        timer.end('Voice provider health check completed');
+        return { status: available === 0 ? 'unhealthy' : available < providers.length ? 'degraded' : 'healthy', providers };
+    } catch (error) {
+        timer.endWithError(error, 'Voice provider health check failed');
+        throw error;
+    }
+}
+async function checkAuditTrailHealth() {
+    const timer = logger.performance('audit-trail-health-check', 'HealthCheck');
+    try {
+        const auditHealth = await auditTrail.getHealth();
+        timer.end('Audit trail health check completed');
+        return auditHealth;
+    } catch (error) {
+        timer.endWithError(error, 'Audit trail health check failed');
+        throw error;
+    }
+}
 async function getSystemMetrics() {
     const timer = logger.performance('system-metrics', 'HealthCheck');
     try {
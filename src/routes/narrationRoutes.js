@@ -0,0 +1,63 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { apiRateLimit, voiceRateLimit, complianceMiddleware, enforceSpendQuota } = require('../utils/middleware');
+const { validateNarration } = require('../utils/speechValidators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const AIService = require('../services/aiService');
+const { NarrationService } = require('../services/narrationService');
+const { ELEVENLABS_CONFIG } = require('../config/aiConfig');
+const { priceCharacters } = require('../config/pricing');
+const { getAudioFormat, isFormatAvailable, getSupportedFormats } = require('../utils/audioFormats');
+const router = express.Router();
+const narrationService = new NarrationService(new AIService());
+router.post('/', voiceRateLimit, complianceMiddleware, authenticate, validateNarration, enforceSpendQuota(req => priceCharacters(req.body.modelId || ELEVENLABS_CONFIG.defaultModelId, req.body.text.length)), (req, res) => {
+    const timer = logger.performance('create-narration-endpoint', 'NarrationRoutes');
+    try {
+        if (!isFormatAvailable(req.body.outputFormat)) {
+            timer.end('Narration format unavailable');
+            return res.status(400).json({ success: false, error: 'Invalid Output Format', message: `Output format must be one of: ${getSupportedFormats().join(', ')}`, requestId: req.requestId });
+        }
+        if (req.body.provider && !narrationService.aiService.voiceService.listProviders().includes(req.body.provider)) {
+            timer.end('Narration provider unavailable');
+            return res.status(400).json({ success: false, error: 'Invalid Provider', message: `Provider must be one of: ${narrationService.aiService.voiceService.listProviders().join(', ')}`, requestId: req.requestId });
+        }
+        const job = narrationService.createJob(req.user.userId, req.body);
+        timer.addMetadata('jobId', job.jobId);
+        timer.addMetadata('textLength', job.textLength);
+        timer.end('Narration job created');
+        res.status(202).location(`${req.baseUrl}/${job.jobId}`).json({ success: true, job: narrationService.describeJob(job), statusUrl: `${req.baseUrl}/${job.jobId}`, downloadUrl: `${req.baseUrl}/${job.jobId}/audio`, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Create narration failed');
+        if (error.statusCode === 429) return res.status(429).json({ success: false, error: 'Too Many Narration Jobs', message: error.message, requestId: req.requestId });
+        logger.error('Create narration endpoint error', { component: 'NarrationRoutes', requestId: req.requestId, textLength: req.body?.text?.length || 0, error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, error: 'Narration Failed', message: 'Unable to start narration job', requestId: req.requestId });
+    }
+});
+router.get('/:jobId', apiRateLimit, complianceMiddleware, authenticate, (req, res) => {
+    const job = narrationService.getJob(req.params.jobId, req.user.userId);
+    if (!job) return res.status(404).json({ success: false, error: 'Narration Not Found', message: 'Narration job not found or expired', requestId: req.requestId });
+    res.json({ success: true, job: narrationService.describeJob(job), downloadUrl: job.status === 'completed' ? `${req.baseUrl}/${job.jobId}/audio` : null, requestId: req.requestId });
+});
+router.get('/:jobId/audio', apiRateLimit, complianceMiddleware, authenticate, (req, res) => {
+    const job = narrationService.getJob(req.params.jobId, req.user.userId);
+    if (!job) return res.status(404).json({ success: false, error: 'Narration Not Found', message: 'Narration job not found or expired', requestId: req.requestId });
+    if (job.status !== 'completed') {
+        return res.status(409).json({ success: false, error: 'Narration Not Ready', message: `Narration job is ${job.status}`, status: job.status, requestId: req.requestId });
+    }
+    const { mimeType, extension } = getAudioFormat(job.outputFormat);
+    logger.info('Narration audio downloaded', { component: 'NarrationRoutes', requestId: req.requestId, jobId: job.jobId, audioSize: job.audioBuffer.length });
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', job.audioBuffer.length);
+    res.setHeader('X-Audio-Format', job.outputFormat);
+    res.setHeader('X-Audio-Duration-Ms', job.durationMs);
+    res.setHeader('Content-Disposition', `attachment; filename="narration-${job.jobId}.${extension}"`);
+    res.send(job.audioBuffer);
+});
+router.delete('/:jobId', apiRateLimit, complianceMiddleware, authenticate, (req, res) => {
+    if (!narrationService.deleteJob(req.params.jobId, req.user.userId)) {
+        return res.status(404).json({ success: false, error: 'Narration Not Found', message: 'Narration job not found or expired', requestId: req.requestId });
+    }
+    res.json({ success: true, jobId: req.params.jobId, deleted: true, requestId: req.requestId });
+});
+module.exports = router;
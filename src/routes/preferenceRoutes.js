@@ -0,0 +1,51 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { apiRateLimit, complianceMiddleware, authorize } = require('../utils/middleware');
+const { validatePreferencePatch } = require('../utils/preferenceValidators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const { PreferenceService, EMPTY_PROFILE } = require('../services/preferenceService');
+const router = express.Router();
+const preferenceService = new PreferenceService();
+const requireClientAccess = async (req, res, next) => {
+    const { userId } = req.params;
+    try {
+        const allowed = req.accessScope === 'all' || userId === req.user.userId || (req.accessScope === 'listings' && await preferenceService.isClientOfAgent(userId, req.user.agentId));
+        if (!allowed) {
+            logger.warn('Client preference access denied', { component: 'PreferenceRoutes', requestId: req.requestId, userId: req.user.userId, targetUserId: userId, scope: req.accessScope });
+            return res.status(403).json({ success: false, error: 'Forbidden', message: 'You do not have access to this client', requestId: req.requestId });
+        }
+        next();
+    } catch (error) {
+        logger.error('Client access check failed', { component: 'PreferenceRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Access Check Failed', message: 'Unable to verify access to this client', requestId: req.requestId });
+    }
+};
+router.get('/:userId', apiRateLimit, complianceMiddleware, authenticate, authorize('preferences:read'), requireClientAccess, async (req, res) => {
+    const timer = logger.performance('get-preferences-endpoint', 'PreferenceRoutes');
+    const { userId } = req.params;
+    try {
+        const profile = await preferenceService.getProfile(userId);
+        timer.end('Client preferences retrieved');
+        res.json({ success: true, userId, preferences: profile?.preferences || EMPTY_PROFILE, updatedBy: profile?.updatedBy || null, updatedAt: profile?.updatedAt || null, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to get client preferences');
+        logger.error('Get preferences endpoint error', { component: 'PreferenceRoutes', requestId: req.requestId, userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Preferences Retrieval Failed', message: 'Unable to retrieve client preferences', requestId: req.requestId });
+    }
+});
+router.patch('/:userId', apiRateLimit, complianceMiddleware, authenticate, authorize('preferences:write'), validatePreferencePatch, requireClientAccess, async (req, res) => {
+    const timer = logger.performance('update-preferences-endpoint', 'PreferenceRoutes');
+    const { userId } = req.params;
+    try {
+        const profile = await preferenceService.updateProfile(userId, req.body, req.user.userId);
+        timer.addMetadata('fieldCount', Object.keys(req.body).length);
+        timer.end('Client preferences updated');
+        res.json({ success: true, userId, preferences: profile.preferences, updatedBy: profile.updatedBy, updatedAt: profile.updatedAt, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to update client preferences');
+        logger.error('Update preferences endpoint error', { component: 'PreferenceRoutes', requestId: req.requestId, userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Preferences Update Failed', message: 'Unable to update client preferences', requestId: req.requestId });
+    }
+});
+module.exports = router;
@@ -0,0 +1,38 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { complianceMiddleware } = require('../utils/middleware');
+const { validateSpeechPreview } = require('../utils/speechValidators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const { ELEVENLABS_CONFIG } = require('../config/aiConfig');
+const { normalizeForSpeech } = require('../utils/speechNormalizer');
+const { SPEECH_CONFIG, listMarkets } = require('../config/pronunciation');
+const router = express.Router();
+// Shows what the voice will actually read without synthesizing (or paying for) any audio.
+router.post('/', complianceMiddleware, authenticate, validateSpeechPreview, (req, res) => {
+    const timer = logger.performance('speech-normalize-endpoint', 'SpeechRoutes');
+    try {
+        const { text, modelId } = req.body;
+        const market = req.body.market || SPEECH_CONFIG.defaultMarket;
+        const normalized = normalizeForSpeech(text, { market, modelId: modelId || ELEVENLABS_CONFIG.defaultModelId });
+        timer.addMetadata('textLength', text.length);
+        timer.addMetadata('market', market);
+        timer.end('Speech text normalized');
+        res.json({
+            success: true,
+            original: text,
+            normalized,
+            changed: normalized !== text,
+            market,
+            ssml: normalized.includes('<phoneme'),
+            markets: listMarkets(),
+            normalizationEnabled: SPEECH_CONFIG.normalizationEnabled,
+            requestId: req.requestId
+        });
+    } catch (error) {
+        timer.endWithError(error, 'Speech normalization failed');
+        logger.error('Speech normalize endpoint error', { component: 'SpeechRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Normalization Failed', message: 'Unable to normalize text for speech', requestId: req.requestId });
+    }
+});
+module.exports = router;
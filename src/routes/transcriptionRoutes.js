@@ -0,0 +1,95 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { voiceRateLimit, complianceMiddleware, authorize, enforceSpendQuota } = require('../utils/middleware');
+const { chatMessageSchema } = require('../utils/validators');
+const { parseJsonField, validateAudioOptions } = require('../utils/voiceMiddleware');
+const { audioUpload } = require('../utils/audioUpload');
+const { authenticate, requireConversationAccess } = require('../utils/auth');
+const logger = require('../utils/logger');
+const AIService = require('../services/aiService');
+const { createSTTProvider, transcribeAudio } = require('../services/sttProvider');
+const { getVoiceSettings } = require('../config/aiConfig');
+const { getAudioFormat } = require('../utils/audioFormats');
+const router = express.Router();
+const aiService = new AIService();
+const sttProvider = createSTTProvider();
+async function transcribeAndChat(req) {
+    const { conversationId, language } = req.body;
+    const { userId } = req.user;
+    const transcription = await transcribeAudio(sttProvider, req.file.buffer, { mimeType: req.file.mimetype, filename: req.file.originalname, language });
+    if (!transcription.transcript) {
+        return { transcription, rejection: { status: 422, error: 'No Speech Detected', message: 'No speech could be recognized in the uploaded audio' } };
+    }
+    const message = { message: transcription.transcript, conversationId: conversationId || undefined, context: parseJsonField(req.body.context) };
+    const { error, value } = chatMessageSchema.validate(message, { stripUnknown: true, convert: true });
+    if (error) {
+        return { transcription, rejection: { status: 400, error: 'Validation Error', message: error.details.map(detail => detail.message).join('; ') } };
+    }
+    const chatResult = await aiService.processChatMessage(value.message, value.conversationId, userId, value.context || {});
+    return { transcription, chatResult };
+}
+function transcriptionMetadata(transcription, req) {
+    return { provider: transcription.provider, language: transcription.language, duration: transcription.duration, audioSize: req.file.size };
+}
+router.post('/transcribe', voiceRateLimit, complianceMiddleware, authenticate, authorize('conversations:write'), audioUpload, requireConversationAccess, enforceSpendQuota(), async (req, res) => {
+    const timer = logger.performance('transcribe-endpoint', 'TranscriptionRoutes');
+    try {
+        timer.addMetadata('audioSize', req.file.size);
+        const { transcription, chatResult, rejection } = await transcribeAndChat(req);
+        if (rejection) {
+            timer.end('Transcription rejected');
+            return res.status(rejection.status).json({ success: false, error: rejection.error, message: rejection.message, transcript: transcription.transcript, confidence: transcription.confidence, requestId: req.requestId });
+        }
+        timer.addMetadata('conversationId', chatResult.conversationId);
+        timer.end('Audio transcribed and answered');
+        res.json({
+            success: true,
+            conversationId: chatResult.conversationId,
+            transcript: transcription.transcript,
+            confidence: transcription.confidence,
+            response: chatResult.response,
+            metadata: { ...chatResult.metadata, transcription: transcriptionMetadata(transcription, req), requestId: req.requestId, timestamp: new Date().toISOString() }
+        });
+    } catch (error) {
+        timer.endWithError(error, 'Transcription failed');
+        logger.error('Transcribe endpoint error', { component: 'TranscriptionRoutes', requestId: req.requestId, audioSize: req.file?.size || 0, error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, error: 'Transcription Failed', message: 'Unable to transcribe audio at this time', requestId: req.requestId });
+    }
+});
+router.post('/listen-and-speak', voiceRateLimit, complianceMiddleware, authenticate, authorize('conversations:write'), audioUpload, requireConversationAccess, validateAudioOptions, enforceSpendQuota(), async (req, res) => {
+    const timer = logger.performance('listen-and-speak-endpoint', 'TranscriptionRoutes');
+    try {
+        const { voiceId, outputFormat, modelId, market, provider } = req.body;
+        const voiceSettings = parseJsonField(req.body.voiceSettings);
+        timer.addMetadata('audioSize', req.file.size);
+        const { transcription, chatResult, rejection } = await transcribeAndChat(req);
+        if (rejection) {
+            timer.end('Transcription rejected');
+            return res.status(rejection.status).json({ success: false, error: rejection.error, message: rejection.message, transcript: transcription.transcript, confidence: transcription.confidence, requestId: req.requestId });
+        }
+        const voiceResult = await aiService.synthesizeVoice(chatResult.response, voiceId, voiceSettings || getVoiceSettings('medium'), outputFormat || 'mp3_44100_128', { userId: req.user.userId, modelId, market, provider });
+        timer.addMetadata('conversationId', chatResult.conversationId);
+        timer.addMetadata('audioSize', voiceResult.audioSize);
+        timer.end('Listen and speak completed successfully');
+        res.json({
+            success: true,
+            conversationId: chatResult.conversationId,
+            transcript: transcription.transcript,
+            confidence: transcription.confidence,
+            response: chatResult.response,
+            audio: { data: voiceResult.audioBuffer.toString('base64'), format: voiceResult.format, mimeType: getAudioFormat(voiceResult.format).mimeType, size: voiceResult.audioSize, voiceId: voiceResult.voiceId, provider: voiceResult.provider },
+            metadata: {
+                ...chatResult.metadata,
+                transcription: transcriptionMetadata(transcription, req),
+                voiceSynthesis: { textLength: voiceResult.textLength, audioSize: voiceResult.audioSize, format: voiceResult.format, modelId: voiceResult.modelId, cache: voiceResult.cache },
+                requestId: req.requestId,
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        timer.endWithError(error, 'Listen and speak failed');
+        logger.error('Listen and speak endpoint error', { component: 'TranscriptionRoutes', requestId: req.requestId, audioSize: req.file?.size || 0, error: error.message, stack: error.stack });
+        res.status(500).json({ success: false, error: 'Listen and Speak Failed', message: 'Unable to transcribe, answer and synthesize voice', requestId: req.requestId });
+    }
+});
+module.exports = router;
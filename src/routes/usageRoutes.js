@@ -0,0 +1,40 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { apiRateLimit, complianceMiddleware, authorize } = require('../utils/middleware');
+const { validateSpendQuota } = require('../utils/usageValidators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const { QuotaService } = require('../services/quotaService');
+const router = express.Router();
+const quotaService = new QuotaService();
+router.get('/quotas/:userId', apiRateLimit, complianceMiddleware, authenticate, authorize('usage:read'), async (req, res) => {
+    const timer = logger.performance('get-spend-quota-endpoint', 'UsageRoutes');
+    const { userId } = req.params;
+    if (req.accessScope !== 'all' && userId !== req.user.userId) {
+        timer.end('Spend quota access denied');
+        return res.status(403).json({ success: false, error: 'Forbidden', message: 'You can only view your own spend quota', requestId: req.requestId });
+    }
+    try {
+        const quota = await quotaService.getStatus(userId);
+        timer.end('Spend quota retrieved');
+        res.json({ success: true, quota, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to get spend quota');
+        logger.error('Get spend quota endpoint error', { component: 'UsageRoutes', requestId: req.requestId, userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Quota Retrieval Failed', message: 'Unable to retrieve spend quota', requestId: req.requestId });
+    }
+});
+router.put('/quotas/:userId', apiRateLimit, complianceMiddleware, authenticate, authorize('quotas:manage'), validateSpendQuota, async (req, res) => {
+    const timer = logger.performance('set-spend-quota-endpoint', 'UsageRoutes');
+    const { userId } = req.params;
+    try {
+        const quota = await quotaService.setLimits(userId, req.body, req.user.userId);
+        timer.end('Spend quota updated');
+        res.json({ success: true, quota, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to update spend quota');
+        logger.error('Set spend quota endpoint error', { component: 'UsageRoutes', requestId: req.requestId, userId, error: error.message });
+        res.status(500).json({ success: false, error: 'Quota Update Failed', message: 'Unable to update spend quota', requestId: req.requestId });
+    }
+});
+module.exports = router;
@@ -0,0 +1,104 @@
+// @compliance BIG_BROTHER_V2
+const express = require('express');
+const { apiRateLimit, complianceMiddleware, authorize } = require('../utils/middleware');
+const { VALIDATION_PATTERNS } = require('../utils/validators');
+const { validateVoiceProfile } = require('../utils/voiceProfileValidators');
+const { authenticate } = require('../utils/auth');
+const logger = require('../utils/logger');
+const VoiceSynthesisService = require('../services/voiceSynthesisService');
+const { VoiceProfileService, PROFILE_SCOPES } = require('../services/voiceProfileService');
+const router = express.Router();
+const voiceService = new VoiceSynthesisService();
+const voiceProfileService = new VoiceProfileService();
+const callerScopes = (user) => ({ agent: user.agentId, office: user.officeId, tenant: user.tenantId });
+// With 'own' scope an agent reads the profiles that can apply to them but only manages their own agent profiles.
+const canManage = (req, { scopeType, scopeId }) => req.accessScope === 'all' || (scopeType === 'agent' && !!req.user.agentId && scopeId === req.user.agentId);
+const canRead = (req, { scopeType, scopeId }) => req.accessScope === 'all' || (!!scopeId && callerScopes(req.user)[scopeType] === scopeId);
+function validateProfileSettings(req, res, next) {
+    const validationErrors = req.body.voiceSettings ? voiceService.validateVoiceSettings(req.body.voiceSettings) : [];
+    if (validationErrors.length > 0) return res.status(400).json({ success: false, error: 'Invalid Voice Settings', message: 'Voice settings validation failed', details: validationErrors, requestId: req.requestId });
+    if (!canManage(req, req.body)) {
+        logger.warn('Voice profile assignment denied', { component: 'VoiceProfileRoutes', requestId: req.requestId, userId: req.user.userId, scopeType: req.body.scopeType, scopeId: req.body.scopeId });
+        return res.status(403).json({ success: false, error: 'Forbidden', message: 'You can only manage voice profiles assigned to yourself', requestId: req.requestId });
+    }
+    next();
+}
+const requireProfileAccess = (manage) => async (req, res, next) => {
+    const { profileId } = req.params;
+    if (!VALIDATION_PATTERNS.UUID.test(profileId)) return res.status(400).json({ success: false, error: 'Invalid Profile ID', message: 'Profile ID must be a UUID', requestId: req.requestId });
+    try {
+        const profile = await voiceProfileService.getProfile(profileId);
+        if (!profile || !canRead(req, profile)) return res.status(404).json({ success: false, error: 'Voice Profile Not Found', message: 'Voice profile not found', requestId: req.requestId });
+        if (manage && !canManage(req, profile)) return res.status(403).json({ success: false, error: 'Forbidden', message: 'You can only manage voice profiles assigned to yourself', requestId: req.requestId });
+        req.voiceProfile = profile;
+        next();
+    } catch (error) {
+        logger.error('Voice profile access check failed', { component: 'VoiceProfileRoutes', requestId: req.requestId, profileId, error: error.message });
+        res.status(500).json({ success: false, error: 'Access Check Failed', message: 'Unable to verify access to this voice profile', requestId: req.requestId });
+    }
+};
+router.get('/', apiRateLimit, complianceMiddleware, authenticate, authorize('voice-profiles:read'), async (req, res) => {
+    const timer = logger.performance('list-voice-profiles-endpoint', 'VoiceProfileRoutes');
+    const scopeType = PROFILE_SCOPES.includes(req.query.scopeType) ? req.query.scopeType : null;
+    const scopeId = typeof req.query.scopeId === 'string' ? req.query.scopeId : null;
+    try {
+        const profiles = await voiceProfileService.listProfiles({ scopeType, scopeId, scopes: req.accessScope === 'all' ? null : callerScopes(req.user) });
+        timer.addMetadata('profileCount', profiles.length);
+        timer.end('Voice profiles listed');
+        res.json({ success: true, profiles, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to list voice profiles');
+        logger.error('List voice profiles endpoint error', { component: 'VoiceProfileRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Voice Profiles Retrieval Failed', message: 'Unable to retrieve voice profiles', requestId: req.requestId });
+    }
+});
+router.post('/', apiRateLimit, complianceMiddleware, authenticate, authorize('voice-profiles:manage'), validateVoiceProfile, validateProfileSettings, async (req, res) => {
+    const timer = logger.performance('create-voice-profile-endpoint', 'VoiceProfileRoutes');
+    try {
+        const profile = await voiceProfileService.createProfile(req.body, req.user.userId);
+        timer.addMetadata('profileId', profile.profileId);
+        timer.end('Voice profile created');
+        res.status(201).location(`${req.baseUrl}/${profile.profileId}`).json({ success: true, profile, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to create voice profile');
+        if (error.statusCode === 409) return res.status(409).json({ success: false, error: 'Voice Profile Exists', message: error.message, requestId: req.requestId });
+        logger.error('Create voice profile endpoint error', { component: 'VoiceProfileRoutes', requestId: req.requestId, error: error.message });
+        res.status(500).json({ success: false, error: 'Voice Profile Creation Failed', message: 'Unable to create voice profile', requestId: req.requestId });
+    }
+});
+router.get('/:profileId', apiRateLimit, complianceMiddleware, authenticate, authorize('voice-profiles:read'), requireProfileAccess(false), (req, res) => {
+    res.json({ success: true, profile: req.voiceProfile, requestId: req.requestId });
+});
+router.put('/:profileId', apiRateLimit, complianceMiddleware, authenticate, authorize('voice-profiles:manage'), validateVoiceProfile, validateProfileSettings, requireProfileAccess(true), async (req, res) => {
+    const timer = logger.performance('update-voice-profile-endpoint', 'VoiceProfileRoutes');
+    const { profileId } = req.params;
+    try {
+        const profile = await voiceProfileService.updateProfile(profileId, req.body, req.user.userId);
+        if (!profile) {
+            timer.end('Voice profile vanished before update');
+            return res.status(404).json({ success: false, error: 'Voice Profile Not Found', message: 'Voice profile not found', requestId: req.requestId });
+        }
+        timer.end('Voice profile updated');
+        res.json({ success: true, profile, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to update voice profile');
+        if (error.statusCode === 409) return res.status(409).json({ success: false, error: 'Voice Profile Exists', message: error.message, requestId: req.requestId });
+        logger.error('Update voice profile endpoint error', { component: 'VoiceProfileRoutes', requestId: req.requestId, profileId, error: error.message });
+        res.status(500).json({ success: false, error: 'Voice Profile Update Failed', message: 'Unable to update voice profile', requestId: req.requestId });
+    }
+});
+router.delete('/:profileId', apiRateLimit, complianceMiddleware, authenticate, authorize('voice-profiles:manage'), requireProfileAccess(true), async (req, res) => {
+    const timer = logger.performance('delete-voice-profile-endpoint', 'VoiceProfileRoutes');
+    const { profileId } = req.params;
+    try {
+        await voiceProfileService.deleteProfile(profileId);
+        logger.info('Voice profile deleted', { component: 'VoiceProfileRoutes', requestId: req.requestId, profileId, deletedBy: req.user.userId });
+        timer.end('Voice profile deleted');
+        res.json({ success: true, profileId, deleted: true, requestId: req.requestId });
+    } catch (error) {
+        timer.endWithError(error, 'Failed to delete voice profile');
+        logger.error('Delete voice profile endpoint error', { component: 'VoiceProfileRoutes', requestId: req.requestId, profileId, error: error.message });
+        res.status(500).json({ success: false, error: 'Voice Profile Deletion Failed', message: 'Unable to delete voice profile', requestId: req.requestId });
+    }
+});
+module.exports = router;
@@ -1,49 +1,56 @@
 const express = require('express');
-const { voiceRateLimit, complianceMiddleware } = require('../utils/middleware');
+const { voiceRateLimit, complianceMiddleware, authorize, enforceSpendQuota } = require('../utils/middleware');
 const { validateVoiceSynthesis } = require('../utils/validators');
+const { validateAudioOptions, resolveVoiceProfile } = require('../utils/voiceMiddleware');
+const { authenticate, requireConversationAccess } = require('../utils/auth');
 const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/eventStream');
+const SpeechPipeline = require('../services/speechPipeline');
 const AIService = require('../services/aiService');
-const { getVoiceSettings } = require('../config/aiConfig');
+const UsageService = require('../services/usageService');
+const { ELEVENLABS_CONFIG, VOICE_CONFIG, getVoiceSettings } = require('../config/aiConfig');
+const { getAudioFormat, getSupportedFormats } = require('../utils/audioFormats');
+const { priceCharacters } = require('../config/pricing');
 const router = express.Router();
 const aiService = new AIService();
-router.post('/synthesize', voiceRateLimit, complianceMiddleware, validateVoiceSynthesis, async (req, res) => {
+const usageService = new UsageService();
+router.post('/synthesize', voiceRateLimit, complianceMiddleware, authenticate, authorize('voice:synthesize'), validateVoiceSynthesis, validateAudioOptions, enforceSpendQuota(req => priceCharacters(req.body.modelId || ELEVENLABS_CONFIG.defaultModelId, req.body.text.length)), async (req, res) => {
     const timer = logger.performance('voice-synthesize-endpoint', 'VoiceRoutes');
     try {
-        const { text, voiceId, voiceSettings, outputFormat, modelId } = req.body;
+        const { text, voiceId, voiceSettings, outputFormat, modelId, market, provider } = req.body;
         timer.addMetadata('textLength', text.length);
         timer.addMetadata('voiceId', voiceId || 'default');
         timer.addMetadata('outputFormat', outputFormat || 'mp3_44100_128');
-        if (voiceSettings) {
-            const validationErrors = aiService.validateVoiceSettings(voiceSettings);
-            if (validationErrors.length > 0) {
-                return res.status(400).json({ success: false, error: 'Invalid Voice Settings', message: 'Voice settings validation failed', details: validationErrors, requestId: req.requestId });
-            }
-        }
+        timer.addMetadata('modelId', modelId || 'default');
         const finalVoiceSettings = voiceSettings || getVoiceSettings('medium');
-        const result = await aiService.synthesizeVoice(text, voiceId, finalVoiceSettings, outputFormat || 'mp3_44100_128');
+        const result = await aiService.synthesizeVoice(text, voiceId, finalVoiceSettings, outputFormat || 'mp3_44100_128', { userId: req.user.userId, modelId, market, provider });
         timer.addMetadata('audioSize', result.audioSize);
         timer.addMetadata('actualVoiceId', result.voiceId);
+        timer.addMetadata('cache', result.cache);
         timer.end('Voice synthesis completed successfully');
-        const mimeTypes = { 'mp3_44100_128': 'audio/mpeg', 'mp3_22050_32': 'audio/mpeg', 'pcm_16000': 'audio/wav', 'pcm_22050': 'audio/wav', 'pcm_24000': 'audio/wav', 'pcm_44100': 'audio/wav' };
-        const mimeType = mimeTypes[result.format] || 'audio/mpeg';
-        const fileExtension = result.format.startsWith('mp3') ? 'mp3' : 'wav';
+        const { mimeType, extension } = getAudioFormat(result.format);
         res.setHeader('Content-Type', mimeType);
         res.setHeader('Content-Length', result.audioSize);
         res.setHeader('X-Voice-ID', result.voiceId);
         res.setHeader('X-Text-Length', result.textLength);
         res.setHeader('X-Audio-Format', result.format);
-        res.setHeader('Content-Disposition', `attachment; filename="synthesis.${fileExtension}"`);
+        res.setHeader('X-Model-ID', result.modelId);
+        res.setHeader('X-Voice-Provider', result.provider);
+        res.setHeader('X-Cache', result.cache);
+        res.setHeader('Content-Disposition', `attachment; filename="synthesis.${extension}"`);
         res.send(result.audioBuffer);
     } catch (error) {
         timer.endWithError(error, 'Voice synthesis failed');
         logger.error('Voice synthesis endpoint error', { component: 'VoiceRoutes', requestId: req.requestId, textLength: req.body?.text?.length || 0, error: error.message, stack: error.stack });
-        res.status(500).json({ success: false, error: 'Voice Synthesis Failed', message: 'Unable to synthesize voice at this time', requestId: req.requestId });
+        res.status(error.statusCode === 503 ? 503 : 500).json({ success: false, error: 'Voice Synthesis Failed', message: 'Unable to synthesize voice at this time', requestId: req.requestId });
     }
 });
-router.post('/chat-and-speak', voiceRateLimit, complianceMiddleware, async (req, res) => {
+router.post('/chat-and-speak', voiceRateLimit, complianceMiddleware, authenticate, authorize('conversations:write'), requireConversationAccess, validateAudioOptions, resolveVoiceProfile, enforceSpendQuota(), async (req, res) => {
     const timer = logger.performance('chat-and-speak-endpoint', 'VoiceRoutes');
     try {
-        const { message, conversationId, userId, context, voiceId, voiceSettings, outputFormat } = req.body;
+        const { message, conversationId, context, outputFormat, provider } = req.body;
+        const { userId } = req.user;
+        const { voice, voiceProfile } = req;
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
             return res.status(400).json({ success: false, error: 'Invalid Message', message: 'Message is required and cannot be empty', requestId: req.requestId });
         }
@@ -52,21 +59,91 @@ router.post('/chat-and-speak', voiceRateLimit, complianceMiddleware, async (req,
         const chatResult = await aiService.processChatMessage(message, conversationId, userId, context || {});
         timer.addMetadata('responseLength', chatResult.response.length);
         timer.addMetadata('conversationId', chatResult.conversationId);
-        const finalVoiceSettings = voiceSettings || getVoiceSettings('medium');
-        const voiceResult = await aiService.synthesizeVoice(chatResult.response, voiceId, finalVoiceSettings, outputFormat || 'mp3_44100_128');
+        const greeting = voice.greeting && !conversationId ? voice.greeting : null;
+        const spokenText = greeting ? `${greeting} ${chatResult.response}` : chatResult.response;
+        const voiceResult = await aiService.synthesizeVoice(spokenText, voice.voiceId, voice.voiceSettings, outputFormat || 'mp3_44100_128', { userId, modelId: voice.modelId, market: voice.market, provider, pronunciations: voice.pronunciations });
         timer.addMetadata('audioSize', voiceResult.audioSize);
         timer.end('Chat and speak completed successfully');
-        res.json({ success: true, conversationId: chatResult.conversationId, response: chatResult.response, audio: { data: voiceResult.audioBuffer.toString('base64'), format: voiceResult.format, size: voiceResult.audioSize, voiceId: voiceResult.voiceId }, metadata: { ...chatResult.metadata, voiceSynthesis: { textLength: voiceResult.textLength, audioSize: voiceResult.audioSize, format: voiceResult.format }, requestId: req.requestId, timestamp: new Date().toISOString() } });
+        res.json({
+            success: true,
+            conversationId: chatResult.conversationId,
+            response: chatResult.response,
+            audio: { data: voiceResult.audioBuffer.toString('base64'), format: voiceResult.format, mimeType: getAudioFormat(voiceResult.format).mimeType, size: voiceResult.audioSize, voiceId: voiceResult.voiceId, provider: voiceResult.provider },
+            greeting,
+            metadata: {
+                ...chatResult.metadata,
+                voiceSynthesis: { textLength: voiceResult.textLength, audioSize: voiceResult.audioSize, format: voiceResult.format, modelId: voiceResult.modelId, cache: voiceResult.cache, profile: voiceProfile?.name || null },
+                requestId: req.requestId,
+                timestamp: new Date().toISOString()
+            }
+        });
     } catch (error) {
         timer.endWithError(error, 'Chat and speak failed');
         logger.error('Chat and speak endpoint error', { component: 'VoiceRoutes', requestId: req.requestId, messageLength: req.body?.message?.length || 0, error: error.message, stack: error.stack });
         res.status(500).json({ success: false, error: 'Chat and Speak Failed', message: 'Unable to process message and synthesize voice', requestId: req.requestId });
     }
 });
+router.post('/chat-and-speak/stream', voiceRateLimit, complianceMiddleware, authenticate, authorize('conversations:write'), requireConversationAccess, validateAudioOptions, resolveVoiceProfile, enforceSpendQuota(), async (req, res) => {
+    const timer = logger.performance('chat-and-speak-stream-endpoint', 'VoiceRoutes');
+    const { message, conversationId, context, outputFormat, provider } = req.body;
+    const { userId } = req.user;
+    const { voice, voiceProfile } = req;
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+        return res.status(400).json({ success: false, error: 'Invalid Message', message: 'Message is required and cannot be empty', requestId: req.requestId });
+    }
+    const stream = openEventStream(res);
+    const format = outputFormat || 'mp3_44100_128';
+    const speech = new SpeechPipeline(aiService, {
+        voiceId: voice.voiceId,
+        voiceSettings: voice.voiceSettings,
+        outputFormat: format,
+        modelId: voice.modelId,
+        market: voice.market,
+        pronunciations: voice.pronunciations,
+        provider,
+        userId,
+        signal: stream.signal,
+        onAudio: (chunk) => stream.send('audio', chunk),
+        onAudioError: (failure) => stream.send('audio-error', failure)
+    });
+    // As in the buffered route, the profile greeting opens new conversations only; it is queued as the first audio chunk.
+    const greeting = voice.greeting && !conversationId ? voice.greeting : null;
+    if (greeting) speech.enqueue(greeting);
+    try {
+        timer.addMetadata('messageLength', message.length);
+        const chatResult = await aiService.streamChatMessage(message, conversationId, userId, context || {}, {
+            signal: stream.signal,
+            onStart: (turn) => stream.send('start', { conversationId: turn.conversationId, requestId: req.requestId }),
+            onDelta: (content) => {
+                stream.send('text', { content });
+                speech.push(content);
+            }
+        });
+        const audioStats = await speech.finish();
+        timer.addMetadata('conversationId', chatResult.conversationId);
+        timer.addMetadata('audioChunks', audioStats.chunks);
+        timer.addMetadata('firstAudioMs', audioStats.firstAudioMs);
+        timer.end('Chat and speak stream completed');
+        stream.send('done', {
+            success: !chatResult.metadata.error,
+            conversationId: chatResult.conversationId,
+            response: chatResult.response,
+            greeting,
+            audio: { chunks: audioStats.chunks, failedChunks: audioStats.failed, totalSize: audioStats.bytes, format, firstAudioMs: audioStats.firstAudioMs },
+            metadata: { ...chatResult.metadata, voiceProfile: voiceProfile?.name || null, requestId: req.requestId, timestamp: new Date().toISOString() }
+        });
+    } catch (error) {
+        timer.endWithError(error, 'Chat and speak stream failed');
+        logger.error('Chat and speak stream endpoint error', { component: 'VoiceRoutes', requestId: req.requestId, messageLength: message.length, error: error.message, stack: error.stack });
+        stream.send('error', { success: false, error: 'Chat and Speak Failed', message: 'Unable to process message and synthesize voice', requestId: req.requestId });
+    } finally {
+        stream.end();
+    }
+});
 router.get('/voices', complianceMiddleware, async (req, res) => {
     const timer = logger.performance('get-voices-endpoint', 'VoiceRoutes');
     try {
-        const voices = await aiService.getAvailableVoices();
+        const voices = await aiService.getAvailableVoices(aiService.voiceService.listProviders().includes(req.query.provider) ? req.query.provider : null);
         timer.addMetadata('voiceCount', voices.length);
         timer.end('Available voices retrieved');
         res.json({ success: true, voices, totalCount: voices.length, requestId: req.requestId });
@@ -88,12 +165,14 @@ router.get('/settings/presets', complianceMiddleware, async (req, res) => {
         res.status(500).json({ success: false, error: 'Presets Retrieval Failed', message: 'Unable to retrieve voice presets', requestId: req.requestId });
     }
 });
-router.get('/stats', complianceMiddleware, async (req, res) => {
+router.get('/stats', complianceMiddleware, authenticate, authorize('stats:read'), async (req, res) => {
     const timer = logger.performance('get-voice-stats-endpoint', 'VoiceRoutes');
     try {
         const aiStats = aiService.getServiceStats();
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const voiceUsage = await usageService.getVoiceUsageSummary({ days, userId: req.query.userId || null });
         timer.end('Voice statistics retrieved');
-        res.json({ success: true, statistics: { ...aiStats, service: 'voice', version: '2.0.0', compliance: 'BIG_BROTHER_V2', supportedFormats: ['mp3_44100_128', 'mp3_22050_32', 'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100'] }, requestId: req.requestId });
+        res.json({ success: true, statistics: { ...aiStats, voiceUsage, audioCache: aiService.audioCache.getStats(), voiceProviders: aiService.voiceService.getProviderHealth(), service: 'voice', version: '2.0.0', compliance: 'BIG_BROTHER_V2', supportedFormats: getSupportedFormats(), supportedModels: VOICE_CONFIG.supportedModels }, requestId: req.requestId });
     } catch (error) {
         timer.endWithError(error, 'Get voice statistics failed');
         logger.error('Get voice statistics endpoint error', { component: 'VoiceRoutes', requestId: req.requestId, error: error.message });
@@ -0,0 +1,96 @@
+const { WebSocketServer } = require('ws');
+const logger = require('../utils/logger');
+const { VALIDATION_PATTERNS } = require('../utils/validators');
+const { verifyAccessToken, extractBearerToken } = require('../utils/auth');
+const AIService = require('../services/aiService');
+const VoiceSession = require('../services/voiceSession');
+const VOICE_SESSION_PATH = '/api/voice/session';
+const RESUME_WINDOW_MS = parseInt(process.env.VOICE_SESSION_RESUME_MS) || 300000;
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.VOICE_SESSION_HEARTBEAT_MS) || 30000;
+const MAX_FRAME_BYTES = 64 * 1024;
+function attachVoiceSocket(server, aiService = new AIService()) {
+    const verifyClient = ({ req }, done) => {
+        const token = extractBearerToken(req.headers.authorization) || new URL(req.url, 'http://localhost').searchParams.get('token');
+        try {
+            req.user = verifyAccessToken(token);
+            done(true);
+        } catch (error) {
+            logger.warn('Voice session token rejected', { component: 'VoiceSocket', ip: req.socket.remoteAddress, reason: token ? error.message : 'missing token' });
+            done(false, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+        }
+    };
+    const wss = new WebSocketServer({ server, path: VOICE_SESSION_PATH, maxPayload: MAX_FRAME_BYTES, verifyClient });
+    const detachedSessions = new Map();
+    const pruneDetached = () => {
+        const now = Date.now();
+        for (const [sessionId, entry] of detachedSessions) if (entry.expiresAt <= now) detachedSessions.delete(sessionId);
+    };
+    const resolveSessionState = async (url, user) => {
+        const sessionId = url.searchParams.get('sessionId');
+        const conversationId = url.searchParams.get('conversationId');
+        const detached = sessionId ? detachedSessions.get(sessionId) : null;
+        if (detached && detached.state.userId === user.userId) {
+            detachedSessions.delete(sessionId);
+            return { state: detached.state, resumed: true };
+        }
+        if (conversationId && VALIDATION_PATTERNS.UUID.test(conversationId)) {
+            const conversation = await aiService.conversationManager.getConversation(conversationId);
+            if (conversation && conversation.userId === user.userId) return { state: { conversationId, userId: user.userId }, resumed: true };
+            if (conversation) return { denied: true };
+        }
+        return { state: { userId: user.userId }, resumed: false };
+    };
+    wss.on('connection', async (socket, req) => {
+        const timer = logger.performance('voice-session-connect', 'VoiceSocket');
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+        const pendingFrames = [];
+        socket.on('message', (raw) => pendingFrames.push(raw));
+        try {
+            pruneDetached();
+            const { state, resumed, denied } = await resolveSessionState(new URL(req.url, 'http://localhost'), req.user);
+            if (denied) {
+                timer.end('Voice session conversation access denied');
+                logger.warn('Voice session conversation access denied', { component: 'VoiceSocket', userId: req.user.userId, ip: req.socket.remoteAddress });
+                socket.send(JSON.stringify({ type: 'error', error: 'Forbidden', message: 'You do not have access to this conversation' }));
+                return socket.close(1008, 'Conversation access denied');
+            }
+            const session = new VoiceSession(socket, aiService, state);
+            socket.removeAllListeners('message');
+            socket.on('message', (raw) => session.handleFrame(raw));
+            socket.on('close', (code) => {
+                detachedSessions.set(session.sessionId, { state: session.detach(), expiresAt: Date.now() + RESUME_WINDOW_MS });
+                logger.info('Voice session disconnected', { component: 'VoiceSocket', sessionId: session.sessionId, conversationId: session.conversationId, code, turnCount: session.turnCount });
+            });
+            timer.addMetadata('sessionId', session.sessionId);
+            timer.addMetadata('resumed', resumed);
+            timer.end('Voice session connected');
+            logger.info('Voice session connected', { component: 'VoiceSocket', sessionId: session.sessionId, conversationId: session.conversationId, userId: session.userId, resumed, ip: req.socket.remoteAddress, compliance: 'BIG_BROTHER_V2' });
+            session.announce(resumed);
+            pendingFrames.forEach(raw => session.handleFrame(raw));
+        } catch (error) {
+            timer.endWithError(error, 'Voice session setup failed');
+            socket.send(JSON.stringify({ type: 'error', error: 'Session Setup Failed', message: 'Unable to start the voice session' }));
+            socket.close(1011, 'Session setup failed');
+        }
+    });
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+        pruneDetached();
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+    logger.info('Voice session WebSocket attached', { component: 'VoiceSocket', path: VOICE_SESSION_PATH, resumeWindowMs: RESUME_WINDOW_MS });
+    return {
+        wss,
+        close() {
+            wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+            wss.close();
+        }
+    };
+}
+module.exports = { attachVoiceSocket, VOICE_SESSION_PATH };
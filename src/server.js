@@ -10,6 +10,18 @@ const aiConfig = require('./config/aiConfig');
 const chatRoutes = require('./routes/chatRoutes');
 const voiceRoutes = require('./routes/voiceRoutes');
 const healthRoutes = require('./routes/healthRoutes');
+const brokerRoutes = require('./routes/brokerRoutes');
+const complianceRoutes = require('./routes/complianceRoutes');
+const preferenceRoutes = require('./routes/preferenceRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const narrationRoutes = require('./routes/narrationRoutes');
+const voiceProfileRoutes = require('./routes/voiceProfileRoutes');
+const speechRoutes = require('./routes/speechRoutes');
+const transcriptionRoutes = require('./routes/transcriptionRoutes');
+const { attachVoiceSocket } = require('./routes/voiceSocket');
+const { isEncryptionEnabled, getActiveKeyVersion } = require('./utils/encryption');
+const { RETENTION_CONFIG, scheduleRetention } = require('./services/retentionService');
+const { warmTokenizer } = require('./utils/tokenizer');
 const app = express();
 const PORT = process.env.PORT || 3005;
 const HOST = process.env.HOST || 'localhost';
@@ -45,8 +57,16 @@ function initializeServer() {
 }
 function initializeRoutes() {
     app.use('/api/chat', chatRoutes);
+    app.use('/api/voice/narrations', narrationRoutes);
+    app.use('/api/voice/profiles', voiceProfileRoutes);
+    app.use('/api/voice/normalize', speechRoutes);
+    app.use('/api/voice', transcriptionRoutes);
     app.use('/api/voice', voiceRoutes);
     app.use('/api/health', healthRoutes);
+    app.use('/api/broker', brokerRoutes);
+    app.use('/api/compliance', complianceRoutes);
+    app.use('/api/preferences', preferenceRoutes);
+    app.use('/api/usage', usageRoutes);
     app.get('/', (req, res) => {
         res.json({
             service: 'Big Brother AI Assistant v2',
@@ -61,7 +81,7 @@ function initializeRoutes() {
     app.use(errorHandler);
     logger.info('Routes initialized', {
         component: 'Server',
-        routes: ['/api/chat', '/api/voice', '/api/health']
+        routes: ['/api/chat', '/api/voice', '/api/voice/narrations', '/api/voice/profiles', '/api/voice/normalize', '/api/health', '/api/broker', '/api/compliance', '/api/preferences', '/api/usage']
     });
 }
 async function initializeDatabase() {
@@ -94,6 +114,8 @@ async function initializeAI() {
             model: process.env.AI_MODEL,
             elevenlabsConfigured: !!process.env.ELEVENLABS_API_KEY
         });
+        // Build the BPE tables up front so the first chat request doesn't pay for it.
+        logger.info('Tokenizer ready', { component: 'AI', encoding: warmTokenizer() });
     } catch (error) {
         logger.error('AI configuration validation failed', {
             component: 'AI',
@@ -105,12 +127,14 @@ async function initializeAI() {
         });
     }
 }
-function setupGracefulShutdown(server) {
+function setupGracefulShutdown(server, voiceSocket, retentionScheduler) {
     const shutdown = async (signal) => {
         logger.info(`Received ${signal}, starting graceful shutdown`, {
             component: 'Server',
             signal
         });
+        voiceSocket.close();
+        if (retentionScheduler) retentionScheduler.stop();
         server.close(async () => {
             try {
                 await database.close();
@@ -140,6 +164,14 @@ function setupGracefulShutdown(server) {
 }
 async function startServer() {
     try {
+        if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET must be set to authenticate API requests');
+        if (isEncryptionEnabled()) {
+            logger.info('Conversation encryption enabled', { component: 'Server', keyVersion: getActiveKeyVersion() });
+        } else if (process.env.NODE_ENV === 'production') {
+            throw new Error('ENCRYPTION_KEY must be set in production to encrypt conversation content');
+        } else {
+            logger.warn('Conversation encryption disabled - messages will be stored in plaintext', { component: 'Server' });
+        }
         // Initialize with graceful degradation
         await initializeDatabase();
         await initializeAI();
@@ -156,7 +188,10 @@ async function startServer() {
                 features: ['conversational-ai', 'voice-synthesis', 'real-estate-assistant']
             });
         });
-        setupGracefulShutdown(server);
+        const voiceSocket = attachVoiceSocket(server);
+        const retentionScheduler = RETENTION_CONFIG.scheduleEnabled ? scheduleRetention() : null;
+        if (!retentionScheduler) logger.warn('Retention scheduler disabled - run npm run retention to enforce data retention', { component: 'Server' });
+        setupGracefulShutdown(server, voiceSocket, retentionScheduler);
         return server;
     } catch (error) {
         logger.error('Failed to start server', {
@@ -1,86 +1,39 @@
 // @compliance BIG_BROTHER_V2
-const axios = require('axios');
-const FormData = require('form-data');
 const logger = require('../utils/logger');
-const { ELEVENLABS_CONFIG, AI_CONFIG, getSystemPrompt, getVoiceSettings } = require('../config/aiConfig');
+const { ELEVENLABS_CONFIG, AI_CONFIG, getSystemPrompt } = require('../config/aiConfig');
 const ConversationManager = require('./conversationManager');
+const VoiceSynthesisService = require('./voiceSynthesisService');
+const BrokerService = require('./brokerService');
+const { BrokerToolRegistry } = require('./brokerTools');
+const ConversationSummarizer = require('./conversationSummarizer');
+const { audioCache: sharedAudioCache } = require('./audioCache');
+const { PreferenceService, formatPreferences } = require('./preferenceService');
+const { createLLMProvider, completeWithTools, streamWithTools } = require('./llmProvider');
+const { countTokens, countMessageTokens } = require('../utils/tokenizer');
+const { normalizeForSpeech, applyLexicon } = require('../utils/speechNormalizer');
+const { SPEECH_CONFIG } = require('../config/pronunciation');
 class AIService {
-    constructor() {
-        this.conversationManager = new ConversationManager();
-        this.elevenlabsClient = this.createElevenLabsClient();
+    constructor(llmProvider = null, audioCache = sharedAudioCache) {
+        this.llmProvider = llmProvider || createLLMProvider();
+        this.conversationManager = new ConversationManager(new ConversationSummarizer(this.llmProvider));
+        this.usageService = this.conversationManager.usageService;
+        this.brokerService = new BrokerService();
+        this.preferenceService = new PreferenceService();
+        this.toolRegistry = AI_CONFIG.toolsEnabled ? new BrokerToolRegistry(this.brokerService) : null;
+        this.voiceService = new VoiceSynthesisService();
+        this.elevenlabsClient = this.voiceService.elevenlabsClient;
+        this.audioCache = audioCache;
         this.requestCount = 0;
         this.startTime = Date.now();
     }
-    createElevenLabsClient() {
-        return axios.create({
-            baseURL: ELEVENLABS_CONFIG.apiUrl,
-            timeout: ELEVENLABS_CONFIG.requestTimeout,
-            headers: {
-                'xi-api-key': ELEVENLABS_CONFIG.apiKey,
-                'Content-Type': 'application/json'
-            }
-        });
-    }
     async processChatMessage(message, conversationId = null, userId = null, context = {}) {
         const timer = logger.performance('ai-chat', 'AIService');
         this.requestCount++;
         try {
-            let conversation = null;
-            let conversationContext = [];
-            if (conversationId) {
-                conversation = await this.conversationManager.getConversation(conversationId);
-                if (!conversation) {
-                    throw new Error('Conversation not found');
-                }
-                conversationContext = await this.conversationManager.buildConversationContext(conversationId);
-            } else {
-                conversation = await this.conversationManager.createConversation(userId, context);
-                conversationId = conversation.conversationId;
-                conversationContext = [{
-                    role: 'system',
-                    content: getSystemPrompt('base')
-                }];
-            }
-            await this.conversationManager.addMessage(
-                conversationId, 
-                'user', 
-                message, 
-                { context, timestamp: new Date().toISOString() }
-            );
-            conversationContext.push({
-                role: 'user',
-                content: message
-            });
-            const aiResponse = await this.generateAIResponse(conversationContext, context);
-            await this.conversationManager.addMessage(
-                conversationId,
-                'assistant',
-                aiResponse.content,
-                {
-                    model: AI_CONFIG.model,
-                    temperature: AI_CONFIG.temperature,
-                    responseTime: aiResponse.responseTime,
-                    tokenCount: aiResponse.tokenCount
-                }
-            );
-            timer.addMetadata('conversationId', conversationId);
-            timer.addMetadata('responseLength', aiResponse.content.length);
-            timer.end('Chat message processed');
-            logger.conversationLog(userId, conversationId, 'message_processed', {
-                messageLength: message.length,
-                responseLength: aiResponse.content.length,
-                responseTime: aiResponse.responseTime
-            });
-            return {
-                conversationId,
-                response: aiResponse.content,
-                metadata: {
-                    model: AI_CONFIG.model,
-                    responseTime: aiResponse.responseTime,
-                    tokenCount: aiResponse.tokenCount,
-                    messageCount: conversation.messageCount + 2
-                }
-            };
+            const turn = await this.beginTurn(message, conversationId, userId, context);
+            conversationId = turn.conversationId;
+            const aiResponse = await this.generateAIResponse(turn.conversationContext, context, { userId });
+            return await this.completeTurn(turn, message, userId, aiResponse, timer);
         } catch (error) {
             timer.endWithError(error, 'Chat message processing failed');
             logger.error('Failed to process chat message', {
@@ -93,21 +46,149 @@ class AIService {
             throw error;
         }
     }
-    async generateAIResponse(conversationContext, context = {}) {
+    async streamChatMessage(message, conversationId = null, userId = null, context = {}, { onStart, onDelta, signal } = {}) {
+        const timer = logger.performance('ai-chat-stream', 'AIService');
+        const startTime = Date.now();
+        this.requestCount++;
+        try {
+            const turn = await this.beginTurn(message, conversationId, userId, context);
+            conversationId = turn.conversationId;
+            if (onStart) onStart({ conversationId });
+            let content = '';
+            let completion = {};
+            let failed = false;
+            const messages = this.applyRequestContext(turn.conversationContext, context);
+            try {
+                for await (const event of streamWithTools(this.llmProvider, messages, this.toolRegistry, { model: AI_CONFIG.model, temperature: AI_CONFIG.temperature, maxTokens: AI_CONFIG.maxTokens, signal, toolContext: { userId } })) {
+                    if (signal?.aborted) break;
+                    if (event.type === 'delta') {
+                        content += event.content;
+                        if (onDelta) onDelta(event.content);
+                    } else if (event.type === 'done') {
+                        completion = event;
+                    }
+                }
+            } catch (error) {
+                if (!signal?.aborted) {
+                    logger.error('AI response stream failed', { component: 'AIService', conversationId, error: error.message });
+                    failed = true;
+                    if (!content) {
+                        content = getSystemPrompt('error');
+                        if (onDelta) onDelta(content);
+                    }
+                }
+            }
+            const aborted = !!signal?.aborted;
+            timer.addMetadata('aborted', aborted);
+            const usage = this.resolveUsage(messages, content, completion.usage);
+            const aiResponse = { content, responseTime: Date.now() - startTime, tokenCount: usage.completionTokens, usage, toolInvocations: completion.toolInvocations, model: completion.model || AI_CONFIG.model, aborted, error: failed };
+            return await this.completeTurn(turn, message, userId, aiResponse, timer);
+        } catch (error) {
+            timer.endWithError(error, 'Chat message stream failed');
+            logger.error('Failed to stream chat message', { component: 'AIService', conversationId, userId, error: error.message, stack: error.stack });
+            throw error;
+        }
+    }
+    async beginTurn(message, conversationId, userId, context) {
+        let conversation = null;
+        let conversationContext = [];
+        if (conversationId) {
+            conversation = await this.conversationManager.getConversation(conversationId);
+            if (!conversation) {
+                const error = new Error('Conversation not found');
+                error.statusCode = 404;
+                throw error;
+            }
+            if (conversation.userId !== (userId || 'anonymous')) {
+                const error = new Error('Conversation belongs to another user');
+                error.statusCode = 403;
+                throw error;
+            }
+            conversationContext = await this.conversationManager.buildConversationContext(conversationId);
+        } else {
+            const agentId = context.propertyId ? await this.brokerService.getListingAgentId(context.propertyId) : null;
+            conversation = await this.conversationManager.createConversation(userId, agentId ? { ...context, agentId } : context);
+            conversationId = conversation.conversationId;
+            conversationContext = [{ role: 'system', content: getSystemPrompt('base') }];
+        }
+        await this.conversationManager.addMessage(conversationId, 'user', message, { context, timestamp: new Date().toISOString() });
+        conversationContext = this.applyPreferences(conversationContext, await this.learnPreferences(userId, message, context, conversationId));
+        conversationContext.push({ role: 'user', content: message });
+        return { conversation, conversationId, conversationContext };
+    }
+    async learnPreferences(userId, message, context, conversationId) {
+        if (!userId) return null;
+        try {
+            return await this.preferenceService.learnFromMessage(userId, message, context, conversationId);
+        } catch (error) {
+            logger.error('Client preference update failed', { component: 'AIService', conversationId, error: error.message });
+            return null;
+        }
+    }
+    applyPreferences(conversationContext, profile) {
+        const note = formatPreferences(profile?.preferences);
+        if (!note || conversationContext[0]?.role !== 'system') return conversationContext;
+        return [{ ...conversationContext[0], content: `${conversationContext[0].content}\n\n${note}` }, ...conversationContext.slice(1)];
+    }
+    async completeTurn(turn, message, userId, aiResponse, timer) {
+        const { conversation, conversationId } = turn;
+        const savedMessage = await this.conversationManager.addMessage(conversationId, 'assistant', aiResponse.content, {
+            model: aiResponse.model,
+            provider: this.llmProvider.name,
+            temperature: AI_CONFIG.temperature,
+            responseTime: aiResponse.responseTime,
+            tokenCount: aiResponse.tokenCount,
+            ...(aiResponse.toolInvocations?.length ? { toolInvocations: aiResponse.toolInvocations } : {}),
+            ...(aiResponse.aborted ? { aborted: true } : {}),
+            ...(aiResponse.error ? { error: true } : {})
+        }, aiResponse.usage);
+        if (aiResponse.usage) await this.usageService.recordUsage({ conversationId, model: aiResponse.model, ...aiResponse.usage });
+        timer.addMetadata('conversationId', conversationId);
+        timer.addMetadata('responseLength', aiResponse.content.length);
+        timer.end('Chat message processed');
+        logger.conversationLog(userId, conversationId, 'message_processed', {
+            messageLength: message.length,
+            responseLength: aiResponse.content.length,
+            responseTime: aiResponse.responseTime
+        });
+        return {
+            conversationId,
+            messageId: savedMessage.messageId,
+            response: aiResponse.content,
+            metadata: {
+                model: aiResponse.model,
+                provider: this.llmProvider.name,
+                responseTime: aiResponse.responseTime,
+                tokenCount: aiResponse.tokenCount,
+                usage: aiResponse.usage,
+                toolsUsed: (aiResponse.toolInvocations || []).map(invocation => invocation.name),
+                messageCount: conversation.messageCount + 2,
+                ...(aiResponse.aborted ? { aborted: true } : {}),
+                ...(aiResponse.error ? { error: true } : {})
+            }
+        };
+    }
+    async generateAIResponse(conversationContext, context = {}, toolContext = {}) {
         const timer = logger.performance('ai-response-generation', 'AIService');
         const startTime = Date.now();
+        timer.addMetadata('provider', this.llmProvider.name);
         try {
-            const response = await this.simulateAIResponse(conversationContext, context);
+            const messages = this.applyRequestContext(conversationContext, context);
+            const completion = await completeWithTools(this.llmProvider, messages, this.toolRegistry, { model: AI_CONFIG.model, temperature: AI_CONFIG.temperature, maxTokens: AI_CONFIG.maxTokens, toolContext });
             const responseTime = Date.now() - startTime;
-            const tokenCount = this.estimateTokenCount(response);
+            const usage = this.resolveUsage(messages, completion.content, completion.usage);
+            const tokenCount = usage.completionTokens;
             timer.addMetadata('responseTime', responseTime);
             timer.addMetadata('tokenCount', tokenCount);
+            timer.addMetadata('toolCallCount', completion.toolInvocations.length);
             timer.end('AI response generated');
             return {
-                content: response,
+                content: completion.content,
                 responseTime,
                 tokenCount,
-                model: AI_CONFIG.model
+                usage,
+                toolInvocations: completion.toolInvocations,
+                model: completion.model || AI_CONFIG.model
             };
         } catch (error) {
             timer.endWithError(error, 'AI response generation failed');
@@ -120,94 +201,28 @@ class AIService {
             };
         }
     }
-    async simulateAIResponse(conversationContext, context) {
-        const userMessage = conversationContext[conversationContext.length - 1]?.content || '';
-        if (userMessage.toLowerCase().includes('property') || userMessage.toLowerCase().includes('house')) {
-            return "I'd be happy to help you with your property search! To provide you with the best recommendations, I'd like to know more about what you're looking for. What type of property interests you - residential, commercial, or investment? Also, do you have a preferred location or price range in mind?";
-        }
-        if (userMessage.toLowerCase().includes('price') || userMessage.toLowerCase().includes('market')) {
-            return "Market analysis is one of my specialties! Property values can vary significantly based on location, property type, and current market conditions. To give you accurate pricing information, could you tell me the specific area you're interested in? I can provide recent sales data and market trends for that location.";
-        }
-        if (userMessage.toLowerCase().includes('schedule') || userMessage.toLowerCase().includes('viewing')) {
-            return "I can absolutely help you schedule property viewings! I work with a network of experienced real estate agents who can arrange showings at your convenience. What properties are you interested in viewing, and what days/times work best for you?";
-        }
-        if (userMessage.toLowerCase().includes('agent') || userMessage.toLowerCase().includes('realtor')) {
-            return "I'd be pleased to connect you with one of our qualified real estate agents! Our agents specialize in different areas and property types. What type of real estate services do you need, and what's your preferred location? This will help me match you with the most suitable agent.";
-        }
-        return "Hello! I'm Rachel, your real estate assistant. I'm here to help you with property searches, market analysis, scheduling viewings, and connecting you with the right real estate professionals. What can I assist you with today?";
+    applyRequestContext(conversationContext, context = {}) {
+        const entries = Object.entries(context || {}).filter(([, value]) => value !== undefined && value !== null);
+        if (entries.length === 0) return conversationContext;
+        const note = { role: 'system', content: `Client search context for this request: ${JSON.stringify(Object.fromEntries(entries))}` };
+        const lastUserIndex = conversationContext.map(msg => msg.role).lastIndexOf('user');
+        if (lastUserIndex === -1) return [...conversationContext, note];
+        return [...conversationContext.slice(0, lastUserIndex), note, ...conversationContext.slice(lastUserIndex)];
     }
-    async synthesizeVoice(text, voiceId = null, voiceSettings = null, outputFormat = 'mp3_44100_128') {
-        const timer = logger.performance('voice-synthesis', 'AIService');
-        const actualVoiceId = voiceId || ELEVENLABS_CONFIG.defaultVoiceId;
-        const settings = voiceSettings || ELEVENLABS_CONFIG.defaultSettings;
-        try {
-            const requestData = {
-                text: text,
-                model_id: ELEVENLABS_CONFIG.defaultModelId,
-                voice_settings: settings
-            };
-            const response = await this.elevenlabsClient.post(
-                `/text-to-speech/${actualVoiceId}`,
-                requestData,
-                {
-                    headers: {
-                        'Accept': 'audio/mpeg',
-                        'Content-Type': 'application/json'
-                    },
-                    responseType: 'arraybuffer'
-                }
-            );
-            timer.addMetadata('textLength', text.length);
-            timer.addMetadata('voiceId', actualVoiceId);
-            timer.addMetadata('audioSize', response.data.length);
-            timer.end('Voice synthesis completed');
-            logger.voiceSynthesisLog(actualVoiceId, text.length, {
-                outputFormat,
-                audioSize: response.data.length,
-                model: ELEVENLABS_CONFIG.defaultModelId
-            });
-            return {
-                audioBuffer: Buffer.from(response.data),
-                format: outputFormat,
-                voiceId: actualVoiceId,
-                textLength: text.length,
-                audioSize: response.data.length
-            };
-        } catch (error) {
-            timer.endWithError(error, 'Voice synthesis failed');
-            logger.error('Voice synthesis failed', {
-                component: 'AIService',
-                voiceId: actualVoiceId,
-                textLength: text.length,
-                error: error.response?.data || error.message,
-                stack: error.stack
-            });
-            throw error;
-        }
+    async synthesizeVoice(text, voiceId = null, voiceSettings = null, outputFormat = 'mp3_44100_128', { userId = null, modelId = null, market = null, provider = null, pronunciations = {} } = {}) {
+        const speechModelId = modelId || ELEVENLABS_CONFIG.defaultModelId;
+        // Profile pronunciations are explicit overrides, so they still apply when rule-based normalization is switched off.
+        const spokenText = SPEECH_CONFIG.normalizationEnabled
+            ? normalizeForSpeech(text, { market: market || undefined, modelId: speechModelId, pronunciations })
+            : applyLexicon(text, pronunciations, { phonemes: SPEECH_CONFIG.phonemeModels.includes(speechModelId) });
+        const request = { text: spokenText, voiceId: voiceId || ELEVENLABS_CONFIG.defaultVoiceId, modelId: speechModelId, voiceSettings: voiceSettings || ELEVENLABS_CONFIG.defaultSettings, outputFormat, provider };
+        const result = await this.audioCache.fetch(request, () => this.voiceService.synthesizeVoice(spokenText, voiceId, voiceSettings, outputFormat, { modelId, provider }));
+        // Every caller is metered, cache hits and shared in-flight syntheses included, so spend quotas track audio delivered per user.
+        await this.usageService.recordVoiceUsage({ userId, model: result.modelId, characters: result.textLength });
+        return result;
     }
-    async getAvailableVoices() {
-        const timer = logger.performance('get-voices', 'AIService');
-        try {
-            const response = await this.elevenlabsClient.get('/voices');
-            const voices = response.data.voices.map(voice => ({
-                voiceId: voice.voice_id,
-                name: voice.name,
-                category: voice.category,
-                description: voice.description,
-                previewUrl: voice.preview_url,
-                available: true
-            }));
-            timer.addMetadata('voiceCount', voices.length);
-            timer.end('Available voices retrieved');
-            return voices;
-        } catch (error) {
-            timer.endWithError(error, 'Failed to get available voices');
-            logger.error('Failed to get available voices', {
-                component: 'AIService',
-                error: error.response?.data || error.message
-            });
-            throw error;
-        }
+    getAvailableVoices(provider = null) {
+        return this.voiceService.getAvailableVoices(provider);
     }
     getServiceStats() {
         return {
@@ -215,25 +230,21 @@ class AIService {
             uptime: Date.now() - this.startTime,
             averageRequestsPerMinute: (this.requestCount / ((Date.now() - this.startTime) / 60000)).toFixed(2),
             elevenlabsConfigured: !!ELEVENLABS_CONFIG.apiKey,
+            voiceProviders: this.voiceService.listProviders(),
             aiModel: AI_CONFIG.model,
+            aiProvider: this.llmProvider.name,
             defaultVoice: ELEVENLABS_CONFIG.defaultVoiceId
         };
     }
+    // Providers that omit usage (or stream without it) are metered with the local tokenizer instead.
+    resolveUsage(messages, content, usage = {}) {
+        return { promptTokens: usage?.promptTokens || countMessageTokens(messages, AI_CONFIG.model), completionTokens: usage?.completionTokens || countTokens(content, AI_CONFIG.model) };
+    }
     estimateTokenCount(text) {
-        return Math.ceil(text.length / 4);
+        return countTokens(text, AI_CONFIG.model);
     }
     validateVoiceSettings(settings) {
-        const errors = [];
-        if (settings.stability !== undefined && (settings.stability < 0 || settings.stability > 1)) {
-            errors.push('Stability must be between 0 and 1');
-        }
-        if (settings.similarityBoost !== undefined && (settings.similarityBoost < 0 || settings.similarityBoost > 1)) {
-            errors.push('Similarity boost must be between 0 and 1');
-        }
-        if (settings.style !== undefined && (settings.style < 0 || settings.style > 1)) {
-            errors.push('Style must be between 0 and 1');
-        }
-        return errors;
+        return this.voiceService.validateVoiceSettings(settings);
     }
 }
 module.exports = AIService;
\ No newline at end of file
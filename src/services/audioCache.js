@@ -0,0 +1,221 @@
+// @compliance BIG_BROTHER_V2
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { scanText } = require('../utils/piiScanner');
+const DatabaseAudioStore = require('./databaseAudioStore');
+const AUDIO_CACHE_CONFIG = {
+    backend: process.env.AUDIO_CACHE_BACKEND || 'memory',
+    ttlMs: parseInt(process.env.AUDIO_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+    maxBytes: parseInt(process.env.AUDIO_CACHE_MAX_BYTES) || 100 * 1024 * 1024,
+    maxEntryBytes: parseInt(process.env.AUDIO_CACHE_MAX_ENTRY_BYTES) || 5 * 1024 * 1024,
+    maxTextLength: parseInt(process.env.AUDIO_CACHE_MAX_TEXT_LENGTH) || 1000,
+    directory: process.env.AUDIO_CACHE_DIR || path.join(process.cwd(), 'cache', 'audio')
+};
+function normalizeText(text) {
+    return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+function audioCacheKey({ text, voiceId, modelId, voiceSettings, outputFormat, provider = null }) {
+    const settings = voiceSettings ? Object.keys(voiceSettings).sort().map(key => [key, voiceSettings[key]]) : null;
+    return crypto.createHash('sha256').update(JSON.stringify([normalizeText(text), voiceId, modelId, settings, outputFormat, provider])).digest('hex');
+}
+class MemoryAudioStore {
+    constructor(config) {
+        this.name = 'memory';
+        this.config = config;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+    async read(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            this.bytes -= entry.audioBuffer.length;
+            return null;
+        }
+        this.entries.set(key, entry);
+        return entry;
+    }
+    async write(key, entry) {
+        const existing = this.entries.get(key);
+        if (existing) {
+            this.entries.delete(key);
+            this.bytes -= existing.audioBuffer.length;
+        }
+        this.entries.set(key, entry);
+        this.bytes += entry.audioBuffer.length;
+        let evicted = 0;
+        for (const [oldest, old] of this.entries) {
+            if (this.bytes <= this.config.maxBytes) break;
+            this.entries.delete(oldest);
+            this.bytes -= old.audioBuffer.length;
+            evicted++;
+        }
+        return evicted;
+    }
+    usage() {
+        return { entries: this.entries.size, bytes: this.bytes };
+    }
+}
+class DiskAudioStore {
+    constructor(config) {
+        this.name = 'disk';
+        this.config = config;
+        this.index = null;
+        this.loading = null;
+        this.bytes = 0;
+    }
+    paths(key) {
+        return { audio: path.join(this.config.directory, `${key}.bin`), meta: path.join(this.config.directory, `${key}.json`) };
+    }
+    // The LRU index is rebuilt from file mtimes on first use; hits touch the audio file so order survives restarts.
+    ready() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                await fs.promises.mkdir(this.config.directory, { recursive: true, mode: 0o700 });
+                const entries = [];
+                for (const file of (await fs.promises.readdir(this.config.directory)).filter(name => name.endsWith('.json'))) {
+                    const key = path.basename(file, '.json');
+                    try {
+                        const meta = JSON.parse(await fs.promises.readFile(this.paths(key).meta, 'utf8'));
+                        const stat = await fs.promises.stat(this.paths(key).audio);
+                        entries.push({ key, bytes: stat.size, expiresAt: meta.expiresAt, lastUsed: stat.mtimeMs });
+                    } catch (error) {
+                        await this.remove(key);
+                    }
+                }
+                entries.sort((a, b) => a.lastUsed - b.lastUsed);
+                this.index = new Map(entries.map(entry => [entry.key, entry]));
+                this.bytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+            })();
+        }
+        return this.loading;
+    }
+    async remove(key) {
+        const indexed = this.index?.get(key);
+        if (indexed) {
+            this.index.delete(key);
+            this.bytes -= indexed.bytes;
+        }
+        const { audio, meta } = this.paths(key);
+        await Promise.all([audio, meta].map(file => fs.promises.unlink(file).catch(error => { if (error.code !== 'ENOENT') throw error; })));
+    }
+    async read(key) {
+        await this.ready();
+        const indexed = this.index.get(key);
+        if (!indexed) return null;
+        if (indexed.expiresAt <= Date.now()) {
+            await this.remove(key);
+            return null;
+        }
+        const { audio, meta } = this.paths(key);
+        const [audioBuffer, metadata] = await Promise.all([fs.promises.readFile(audio), fs.promises.readFile(meta, 'utf8')]);
+        const now = new Date();
+        await fs.promises.utimes(audio, now, now);
+        this.index.delete(key);
+        this.index.set(key, indexed);
+        return { audioBuffer, metadata: JSON.parse(metadata).metadata, expiresAt: indexed.expiresAt };
+    }
+    async write(key, entry) {
+        await this.ready();
+        if (this.index.has(key)) await this.remove(key);
+        const { audio, meta } = this.paths(key);
+        await fs.promises.writeFile(audio, entry.audioBuffer, { mode: 0o600 });
+        await fs.promises.writeFile(meta, JSON.stringify({ metadata: entry.metadata, expiresAt: entry.expiresAt }), { mode: 0o600 });
+        this.index.set(key, { key, bytes: entry.audioBuffer.length, expiresAt: entry.expiresAt, lastUsed: Date.now() });
+        this.bytes += entry.audioBuffer.length;
+        let evicted = 0;
+        for (const oldest of this.index.keys()) {
+            if (this.bytes <= this.config.maxBytes) break;
+            await this.remove(oldest);
+            evicted++;
+        }
+        return evicted;
+    }
+    usage() {
+        return { entries: this.index ? this.index.size : null, bytes: this.index ? this.bytes : null };
+    }
+}
+const STORES = {
+    memory: MemoryAudioStore,
+    disk: DiskAudioStore,
+    database: DatabaseAudioStore
+};
+class AudioCache {
+    constructor(store, config = AUDIO_CACHE_CONFIG) {
+        this.store = store;
+        this.config = config;
+        this.inFlight = new Map();
+        this.metrics = { hits: 0, misses: 0, bypassed: 0, writes: 0, evictions: 0, errors: 0 };
+    }
+    // Only short, PII-free text is cached: that covers greetings and disclaimers without keeping client details on disk.
+    isCacheable(text) {
+        return !!this.store && text.length <= this.config.maxTextLength && scanText(text).length === 0;
+    }
+    async fetch(request, synthesize) {
+        if (!this.isCacheable(request.text)) {
+            this.metrics.bypassed++;
+            return { ...(await synthesize()), cache: 'BYPASS' };
+        }
+        const key = audioCacheKey(request);
+        const cached = await this.read(key);
+        if (cached) {
+            this.metrics.hits++;
+            return { ...cached.metadata, audioBuffer: cached.audioBuffer, cache: 'HIT' };
+        }
+        this.metrics.misses++;
+        if (!this.inFlight.has(key)) {
+            const pending = synthesize().then(async result => {
+                await this.write(key, result);
+                return result;
+            });
+            this.inFlight.set(key, pending);
+            pending.then(() => this.inFlight.delete(key), () => this.inFlight.delete(key));
+        }
+        return { ...(await this.inFlight.get(key)), cache: 'MISS' };
+    }
+    async read(key) {
+        try {
+            return await this.store.read(key);
+        } catch (error) {
+            this.metrics.errors++;
+            logger.error('Audio cache read failed', { component: 'AudioCache', backend: this.store.name, error: error.message });
+            return null;
+        }
+    }
+    // Audio from a fallback provider is served but not cached, so the primary voice returns once it recovers.
+    async write(key, result) {
+        if (result.fallback || result.audioBuffer.length > this.config.maxEntryBytes) return;
+        try {
+            const { audioBuffer, format, voiceId, textLength, audioSize, modelId, provider } = result;
+            this.metrics.evictions += await this.store.write(key, { audioBuffer, metadata: { format, voiceId, textLength, audioSize, modelId, provider }, expiresAt: Date.now() + this.config.ttlMs });
+            this.metrics.writes++;
+        } catch (error) {
+            this.metrics.errors++;
+            logger.error('Audio cache write failed', { component: 'AudioCache', backend: this.store.name, error: error.message });
+        }
+    }
+    getStats() {
+        const lookups = this.metrics.hits + this.metrics.misses;
+        return { backend: this.store ? this.store.name : 'none', ...this.metrics, hitRate: lookups > 0 ? Math.round(this.metrics.hits / lookups * 1000) / 1000 : null, ...(this.store ? this.store.usage() : { entries: 0, bytes: 0 }), maxBytes: this.config.maxBytes, ttlMs: this.config.ttlMs };
+    }
+}
+function createAudioCache(config = AUDIO_CACHE_CONFIG) {
+    if (config.backend === 'none') return new AudioCache(null, config);
+    const Store = STORES[config.backend];
+    if (!Store) throw new Error(`Unsupported audio cache backend: ${config.backend}`);
+    return new AudioCache(new Store(config), config);
+}
+const audioCache = createAudioCache();
+module.exports = {
+    AUDIO_CACHE_CONFIG,
+    AudioCache,
+    MemoryAudioStore,
+    DiskAudioStore,
+    DatabaseAudioStore,
+    createAudioCache,
+    audioCacheKey,
+    audioCache
+};
@@ -24,7 +24,7 @@ class BrokerService {
             }
             query += ` ORDER BY listing_date DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
             const result = await database.executeQuery(query, params, 'property-search');
-            const properties = result.recordset.map(prop => ({ propertyId: prop.property_id, address: `${prop.address}, ${prop.city}, ${prop.state} ${prop.zip_code}`, propertyType: prop.property_type, price: prop.listing_price, bedrooms: prop.bedrooms, bathrooms: prop.bathrooms, squareFootage: prop.square_footage, lotSize: prop.lot_size, yearBuilt: prop.year_built, listingDate: prop.listing_date, status: prop.status, description: prop.description, agentId: prop.agent_id, imagesCount: prop.images_count, coordinates: { latitude: prop.locality, longitude: prop.longitude } }));
+            const properties = result.recordset.map(prop => ({ propertyId: prop.property_id, address: `${prop.address}, ${prop.city}, ${prop.state} ${prop.zip_code}`, propertyType: prop.property_type, price: prop.listing_price, bedrooms: prop.bedrooms, bathrooms: prop.bathrooms, squareFootage: prop.square_footage, lotSize: prop.lot_size, yearBuilt: prop.year_built, listingDate: prop.listing_date, status: prop.status, description: prop.description, agentId: prop.agent_id, imagesCount: prop.images_count, coordinates: { latitude: prop.latitude, longitude: prop.longitude } }));
             timer.addMetadata('propertyCount', properties.length);
             timer.addMetadata('searchCriteria', JSON.stringify(searchCriteria));
             timer.end('Property search completed');
@@ -59,7 +59,7 @@ class BrokerService {
             throw error;
         }
     }
-    async scheduleShowing(propertyId, clientInfo, preferredDate, timeSlot = 'afternoon') {
+    async scheduleShowing(propertyId, clientInfo, preferredDate, timeSlot = 'afternoon', requestedBy = null) {
         const timer = logger.performance('schedule-showing', 'BrokerService');
         try {
             const { clientName, clientEmail, clientPhone } = clientInfo;
@@ -68,8 +68,8 @@ class BrokerService {
             if (!propertyResult.recordset || propertyResult.recordset.length === 0) throw new Error('Property not found or not available for showing');
             const property = propertyResult.recordset[0];
             const showingId = require('uuid').v4();
-            const insertQuery = `INSERT INTO PropertyShowings (showing_id, property_id, agent_id, client_name, client_email, client_phone, preferred_date, time_slot, status, created_at) VALUES (@showingId, @propertyId, @agentId, @clientName, @clientEmail, @clientPhone, @preferredDate, @timeSlot, 'requested', GETDATE())`;
-            await database.executeQuery(insertQuery, { showingId, propertyId, agentId: property.agent_id, clientName, clientEmail, clientPhone, preferredDate, timeSlot }, 'create-showing');
+            const insertQuery = `INSERT INTO PropertyShowings (showing_id, property_id, agent_id, requested_by, client_name, client_email, client_phone, preferred_date, time_slot, status, created_at) VALUES (@showingId, @propertyId, @agentId, @requestedBy, @clientName, @clientEmail, @clientPhone, @preferredDate, @timeSlot, 'requested', GETDATE())`;
+            await database.executeQuery(insertQuery, { showingId, propertyId, agentId: property.agent_id, requestedBy, clientName, clientEmail, clientPhone, preferredDate, timeSlot }, 'create-showing');
             const showingDetails = { showingId, propertyId, propertyAddress: `${property.address}, ${property.city}, ${property.state}`, clientName, preferredDate, timeSlot, status: 'requested', agentId: property.agent_id, createdAt: new Date().toISOString() };
             timer.addMetadata('propertyId', propertyId);
             timer.addMetadata('showingId', showingId);
@@ -78,10 +78,32 @@ class BrokerService {
             return showingDetails;
         } catch (error) {
             timer.endWithError(error, 'Failed to schedule showing');
-            logger.error('Failed to schedule showing', { component: 'BrokerService', propertyId, clientInfo, error: error.message });
+            logger.error('Failed to schedule showing', { component: 'BrokerService', propertyId, error: error.message });
             throw error;
         }
     }
+    async listShowings({ scope = 'own', userId = null, agentId = null, status = null, limit = 20, offset = 0 } = {}) {
+        const timer = logger.performance('list-showings', 'BrokerService');
+        const scopeFilters = { own: 'ps.requested_by = @userId', listings: '(ps.agent_id = @agentId OR ps.requested_by = @userId)', all: '1 = 1' };
+        try {
+            let query = `SELECT ps.showing_id, ps.property_id, ps.agent_id, ps.requested_by, ps.client_name, ps.client_email, ps.client_phone, ps.preferred_date, ps.time_slot, ps.status, ps.created_at, p.address, p.city, p.state FROM PropertyShowings ps LEFT JOIN Properties p ON p.property_id = ps.property_id WHERE ${scopeFilters[scope]}`;
+            if (status) query += ` AND ps.status = @status`;
+            query += ` ORDER BY ps.preferred_date DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
+            const result = await database.executeQuery(query, { userId, agentId, status, limit, offset }, 'list-showings');
+            const showings = result.recordset.map(row => ({ showingId: row.showing_id, propertyId: row.property_id, propertyAddress: row.address ? `${row.address}, ${row.city}, ${row.state}` : null, agentId: row.agent_id, requestedBy: row.requested_by, clientName: row.client_name, clientEmail: row.client_email, clientPhone: row.client_phone, preferredDate: row.preferred_date, timeSlot: row.time_slot, status: row.status, createdAt: row.created_at }));
+            timer.addMetadata('scope', scope);
+            timer.addMetadata('showingCount', showings.length);
+            timer.end('Showings listed');
+            return showings;
+        } catch (error) {
+            timer.endWithError(error, 'Failed to list showings');
+            throw error;
+        }
+    }
+    async getListingAgentId(propertyId) {
+        const result = await database.executeQuery(`SELECT agent_id FROM Properties WHERE property_id = @propertyId`, { propertyId }, 'get-listing-agent');
+        return result.recordset?.[0]?.agent_id || null;
+    }
     async getAgentInfo(agentId = null) {
         const timer = logger.performance('get-agent-info', 'BrokerService');
         try {
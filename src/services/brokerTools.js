@@ -0,0 +1,98 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('../utils/logger');
+const { maskValue } = require('../utils/piiScanner');
+const { brokerServiceSchema } = require('../utils/validators');
+const BROKER_ACTIONS = brokerServiceSchema.extract('action').describe().allow;
+const PROPERTY_TYPES = ['residential', 'commercial', 'land', 'investment'];
+const TOOL_RESULT_LIMIT = 5;
+const TOOL_SPECS = {
+    search_properties: {
+        description: 'Search active and pending property listings. Use whenever the client describes homes they want to see.',
+        parameters: {
+            type: 'object',
+            properties: {
+                location: { type: 'string', description: 'City, state or ZIP code' },
+                propertyType: { type: 'string', enum: PROPERTY_TYPES },
+                minPrice: { type: 'number', description: 'Minimum listing price in USD' },
+                maxPrice: { type: 'number', description: 'Maximum listing price in USD' },
+                bedrooms: { type: 'integer', description: 'Minimum number of bedrooms' },
+                bathrooms: { type: 'number', description: 'Minimum number of bathrooms' },
+                limit: { type: 'integer', description: `Maximum number of listings to return (default ${TOOL_RESULT_LIMIT})` }
+            }
+        },
+        run: (brokerService, params) => brokerService.searchProperties({ ...params, limit: Math.min(params.limit || TOOL_RESULT_LIMIT, 10) }).then(result => ({ totalFound: result.totalFound, properties: result.properties.map(p => ({ propertyId: p.propertyId, address: p.address, price: p.price, bedrooms: p.bedrooms, bathrooms: p.bathrooms, squareFootage: p.squareFootage, status: p.status, agentId: p.agentId })) }))
+    },
+    get_market_analysis: {
+        description: 'Get six-month market statistics (prices, days on market, absorption) for a location.',
+        parameters: {
+            type: 'object',
+            properties: {
+                location: { type: 'string', description: 'City, state or ZIP code' },
+                propertyType: { type: 'string', enum: PROPERTY_TYPES }
+            },
+            required: ['location']
+        },
+        run: (brokerService, params) => brokerService.getMarketAnalysis(params.location, params.propertyType)
+    },
+    schedule_showing: {
+        description: 'Request a showing for a specific property. Only call once the client has confirmed the property, their name, email and preferred date.',
+        parameters: {
+            type: 'object',
+            properties: {
+                propertyId: { type: 'string' },
+                clientName: { type: 'string' },
+                clientEmail: { type: 'string' },
+                clientPhone: { type: 'string' },
+                preferredDate: { type: 'string', description: 'ISO 8601 date' },
+                timeSlot: { type: 'string', enum: ['morning', 'afternoon', 'evening'] }
+            },
+            required: ['propertyId', 'clientName', 'clientEmail', 'preferredDate']
+        },
+        run: (brokerService, params, context) => brokerService.scheduleShowing(params.propertyId, { clientName: params.clientName, clientEmail: params.clientEmail, clientPhone: params.clientPhone }, params.preferredDate, params.timeSlot, context.userId || null)
+    },
+    get_agent_info: {
+        description: 'Look up a specific agent by ID, or list featured agents when no ID is given.',
+        parameters: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string' }
+            }
+        },
+        run: (brokerService, params) => brokerService.getAgentInfo(params.agentId || null)
+    }
+};
+const missingSpecs = BROKER_ACTIONS.filter(action => !TOOL_SPECS[action]);
+if (missingSpecs.length > 0) throw new Error(`Broker tool definitions missing for actions: ${missingSpecs.join(', ')}`);
+class BrokerToolRegistry {
+    constructor(brokerService) {
+        this.brokerService = brokerService;
+        this.tools = BROKER_ACTIONS.map(name => ({ type: 'function', function: { name, description: TOOL_SPECS[name].description, parameters: TOOL_SPECS[name].parameters } }));
+    }
+    getDefinitions() {
+        return this.tools;
+    }
+    async execute(toolCall, context = {}) {
+        const timer = logger.performance('broker-tool-call', 'BrokerTools');
+        const startTime = Date.now();
+        // Invocations are saved in message metadata, so client contact details are redacted here rather than left to PII_MESSAGE_MODE.
+        const invocation = { toolCallId: toolCall.id, name: toolCall.name, arguments: maskValue(toolCall.arguments) };
+        timer.addMetadata('tool', toolCall.name);
+        try {
+            if (!TOOL_SPECS[toolCall.name]) throw new Error(`Unknown tool: ${toolCall.name}`);
+            const { error, value } = brokerServiceSchema.validate({ action: toolCall.name, parameters: toolCall.arguments || {} }, { abortEarly: false, stripUnknown: true, convert: true });
+            if (error) throw new Error(`Invalid arguments: ${error.details.map(detail => `${detail.path.join('.')} (${detail.type})`).join('; ')}`);
+            const missing = (TOOL_SPECS[toolCall.name].parameters.required || []).filter(field => value.parameters[field] === undefined);
+            if (missing.length > 0) throw new Error(`Missing required arguments: ${missing.join(', ')}`);
+            const result = await TOOL_SPECS[toolCall.name].run(this.brokerService, value.parameters, context);
+            timer.end('Broker tool executed');
+            return { result, invocation: { ...invocation, success: true, durationMs: Date.now() - startTime } };
+        } catch (error) {
+            timer.endWithError(error, 'Broker tool failed');
+            return { result: { error: error.message }, invocation: { ...invocation, success: false, error: error.message, durationMs: Date.now() - startTime } };
+        }
+    }
+}
+module.exports = {
+    BROKER_ACTIONS,
+    BrokerToolRegistry
+};
@@ -2,21 +2,39 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('../config/database');
 const logger = require('../utils/logger');
-const { getSystemPrompt } = require('../config/aiConfig');
+const { AI_CONFIG, getSystemPrompt } = require('../config/aiConfig');
+const { encryptField, decryptField, fieldContext } = require('../utils/encryption');
+const { maskText } = require('../utils/piiScanner');
+const PiiVault = require('./piiVault');
+const UsageService = require('./usageService');
+const { countTokens } = require('../utils/tokenizer');
+function sealMetadata(metadata, context) {
+    return encryptField(JSON.stringify(metadata || {}), context);
+}
+function openMetadata(stored, context) {
+    return JSON.parse(decryptField(stored, context) || '{}');
+}
+// Share of the token budget kept verbatim when older turns are folded into a new summary.
+const RECENT_CONTEXT_SHARE = 0.5;
 class ConversationManager {
-    constructor() {
+    constructor(summarizer = null) {
         this.maxConversationLength = parseInt(process.env.AI_CONVERSATION_MEMORY_LIMIT) || 20;
         this.dataRetentionDays = parseInt(process.env.DATA_RETENTION_DAYS) || 90;
+        this.piiMessageMode = process.env.PII_MESSAGE_MODE || 'off';
+        if (!['off', 'redact', 'tokenize'].includes(this.piiMessageMode)) throw new Error(`Unsupported PII_MESSAGE_MODE: ${this.piiMessageMode}`);
+        this.piiVault = new PiiVault();
+        this.summarizer = summarizer;
+        this.usageService = new UsageService();
     }
     async createConversation(userId, metadata = {}) {
         const timer = logger.performance('create-conversation', 'ConversationManager');
         const conversationId = uuidv4();
         try {
-            const query = `INSERT INTO Conversations (conversation_id, user_id, created_at, updated_at, status, metadata, message_count) VALUES (@conversationId, @userId, GETDATE(), GETDATE(), 'active', @metadata, 0)`;
-            await database.executeQuery(query, { conversationId, userId: userId || 'anonymous', metadata: JSON.stringify(metadata) }, 'create-conversation');
+            const query = `INSERT INTO Conversations (conversation_id, user_id, agent_id, created_at, updated_at, status, metadata, message_count) VALUES (@conversationId, @userId, @agentId, GETDATE(), GETDATE(), 'active', @metadata, 0)`;
+            await database.executeQuery(query, { conversationId, userId: userId || 'anonymous', agentId: metadata.agentId || null, metadata: sealMetadata(metadata, fieldContext('Conversations', 'metadata', conversationId)) }, 'create-conversation');
             timer.end('Conversation created');
-            logger.conversationLog(userId, conversationId, 'conversation_created', { conversationId, metadata });
-            return { conversationId, userId: userId || 'anonymous', status: 'active', createdAt: new Date(), metadata, messageCount: 0 };
+            logger.conversationLog(userId, conversationId, 'conversation_created', { conversationId, metadataKeys: Object.keys(metadata) });
+            return { conversationId, userId: userId || 'anonymous', agentId: metadata.agentId || null, status: 'active', createdAt: new Date(), metadata, messageCount: 0 };
         } catch (error) {
             timer.endWithError(error, 'Failed to create conversation');
             logger.error('Failed to create conversation', { component: 'ConversationManager', userId, error: error.message, stack: error.stack });
@@ -26,7 +44,7 @@ class ConversationManager {
     async getConversation(conversationId) {
         const timer = logger.performance('get-conversation', 'ConversationManager');
         try {
-            const query = `SELECT conversation_id, user_id, created_at, updated_at, status, metadata, message_count FROM Conversations WHERE conversation_id = @conversationId AND status != 'deleted'`;
+            const query = `SELECT conversation_id, user_id, agent_id, created_at, updated_at, status, metadata, message_count FROM Conversations WHERE conversation_id = @conversationId AND status != 'deleted'`;
             const result = await database.executeQuery(query, { conversationId }, 'get-conversation');
             if (!result.recordset || result.recordset.length === 0) {
                 timer.end('Conversation not found');
@@ -34,36 +52,37 @@ class ConversationManager {
             }
             const conversation = result.recordset[0];
             timer.end('Conversation retrieved');
-            return { conversationId: conversation.conversation_id, userId: conversation.user_id, createdAt: conversation.created_at, updatedAt: conversation.updated_at, status: conversation.status, metadata: JSON.parse(conversation.metadata || '{}'), messageCount: conversation.message_count };
+            return { conversationId: conversation.conversation_id, userId: conversation.user_id, agentId: conversation.agent_id || null, createdAt: conversation.created_at, updatedAt: conversation.updated_at, status: conversation.status, metadata: openMetadata(conversation.metadata, fieldContext('Conversations', 'metadata', conversation.conversation_id)), messageCount: conversation.message_count };
         } catch (error) {
             timer.endWithError(error, 'Failed to get conversation');
             logger.error('Failed to get conversation', { component: 'ConversationManager', conversationId, error: error.message });
             throw error;
         }
     }
-    async addMessage(conversationId, role, content, metadata = {}) {
+    async addMessage(conversationId, role, content, metadata = {}, usage = null) {
         const timer = logger.performance('add-message', 'ConversationManager');
         const messageId = uuidv4();
         try {
-            const query = `BEGIN TRANSACTION; INSERT INTO Messages (message_id, conversation_id, role, content, created_at, metadata, token_count) VALUES (@messageId, @conversationId, @role, @content, GETDATE(), @metadata, @tokenCount); UPDATE Conversations SET message_count = message_count + 1, updated_at = GETDATE() WHERE conversation_id = @conversationId; COMMIT TRANSACTION;`;
+            const query = `BEGIN TRANSACTION; INSERT INTO Messages (message_id, conversation_id, role, content, created_at, metadata, token_count, prompt_tokens, completion_tokens) VALUES (@messageId, @conversationId, @role, @content, GETDATE(), @metadata, @tokenCount, @promptTokens, @completionTokens); UPDATE Conversations SET message_count = message_count + 1, updated_at = GETDATE() WHERE conversation_id = @conversationId; COMMIT TRANSACTION;`;
             const tokenCount = this.estimateTokenCount(content);
-            await database.executeQuery(query, { messageId, conversationId, role, content, metadata: JSON.stringify(metadata), tokenCount }, 'add-message');
+            const storedContent = await this.protectContent(content, conversationId, messageId);
+            await database.executeQuery(query, { messageId, conversationId, role, content: encryptField(storedContent, fieldContext('Messages', 'content', messageId)), metadata: sealMetadata(metadata, fieldContext('Messages', 'metadata', messageId)), tokenCount, promptTokens: usage?.promptTokens ?? null, completionTokens: usage?.completionTokens ?? null }, 'add-message');
             timer.end('Message added to conversation');
             logger.conversationLog(null, messageId, 'message_added', { conversationId, role, contentLength: content.length, tokenCount });
-            return { messageId, conversationId, role, content, createdAt: new Date(), metadata, tokenCount };
+            return { messageId, conversationId, role, content, createdAt: new Date(), metadata, tokenCount, promptTokens: usage?.promptTokens ?? null, completionTokens: usage?.completionTokens ?? null };
         } catch (error) {
             timer.endWithError(error, 'Failed to add message');
             logger.error('Failed to add message', { component: 'ConversationManager', conversationId, role, error: error.message });
             throw error;
         }
     }
-    async getConversationHistory(conversationId, limit = null, offset = 0) {
+    async getConversationHistory(conversationId, limit = null, offset = 0, includeSummaries = false) {
         const timer = logger.performance('get-conversation-history', 'ConversationManager');
         const messageLimit = limit || this.maxConversationLength;
         try {
-            const query = `SELECT TOP (@limit) message_id, role, content, created_at, metadata, token_count FROM Messages WHERE conversation_id = @conversationId ORDER BY created_at DESC OFFSET @offset ROWS`;
+            const query = `SELECT message_id, role, content, created_at, metadata, token_count, prompt_tokens, completion_tokens FROM Messages WHERE conversation_id = @conversationId${includeSummaries ? '' : " AND role != 'summary'"} ORDER BY created_at DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
             const result = await database.executeQuery(query, { conversationId, limit: messageLimit, offset }, 'get-conversation-history');
-            const messages = result.recordset.map(msg => ({ messageId: msg.message_id, role: msg.role, content: msg.content, createdAt: msg.created_at, metadata: JSON.parse(msg.metadata || '{}'), tokenCount: msg.token_count })).reverse();
+            const messages = result.recordset.map(msg => ({ messageId: msg.message_id, role: msg.role, content: decryptField(msg.content, fieldContext('Messages', 'content', msg.message_id)), createdAt: msg.created_at, metadata: openMetadata(msg.metadata, fieldContext('Messages', 'metadata', msg.message_id)), tokenCount: msg.token_count, promptTokens: msg.prompt_tokens ?? null, completionTokens: msg.completion_tokens ?? null })).reverse();
             timer.addMetadata('messageCount', messages.length);
             timer.end('Conversation history retrieved');
             return messages;
@@ -76,11 +95,24 @@ class ConversationManager {
     async buildConversationContext(conversationId, includeSystemPrompt = true) {
         const timer = logger.performance('build-conversation-context', 'ConversationManager');
         try {
-            const messages = await this.getConversationHistory(conversationId);
+            const [history, summary] = await Promise.all([this.getConversationHistory(conversationId, AI_CONFIG.contextMaxMessages), this.getLatestSummary(conversationId)]);
+            const systemPrompt = includeSystemPrompt ? getSystemPrompt('conversation') : null;
+            const budget = AI_CONFIG.contextTokenBudget - (systemPrompt ? this.estimateTokenCount(systemPrompt) : 0);
+            const coveredUntil = summary ? new Date(summary.metadata.coversThrough) : null;
+            let window = coveredUntil ? history.filter(msg => new Date(msg.createdAt) > coveredUntil) : history;
+            let activeSummary = summary;
+            if (this.countTokens(window) + (summary?.tokenCount || 0) > budget) {
+                const recent = this.selectRecent(window, Math.floor(budget * RECENT_CONTEXT_SHARE));
+                const refreshed = await this.refreshSummary(conversationId, summary, window.slice(0, window.length - recent.length));
+                activeSummary = refreshed || summary;
+                window = refreshed ? recent : this.selectRecent(window, budget - (summary?.tokenCount || 0));
+            }
+            const messages = await this.revealMessages(activeSummary ? [activeSummary, ...window] : window);
             const context = [];
-            if (includeSystemPrompt) context.push({ role: 'system', content: getSystemPrompt('conversation') });
-            messages.forEach(msg => context.push({ role: msg.role, content: msg.content }));
+            if (systemPrompt) context.push({ role: 'system', content: systemPrompt });
+            messages.forEach(msg => context.push(msg.role === 'summary' ? { role: 'system', content: `Summary of earlier conversation:\n${msg.content}` } : { role: msg.role, content: msg.content }));
             timer.addMetadata('contextLength', context.length);
+            timer.addMetadata('summarized', !!activeSummary);
             timer.end('Conversation context built');
             return context;
         } catch (error) {
@@ -88,12 +120,56 @@ class ConversationManager {
             throw error;
         }
     }
+    async getLatestSummary(conversationId) {
+        const query = `SELECT TOP 1 message_id, content, created_at, metadata, token_count FROM Messages WHERE conversation_id = @conversationId AND role = 'summary' ORDER BY created_at DESC`;
+        const result = await database.executeQuery(query, { conversationId }, 'get-latest-summary');
+        const row = result.recordset[0];
+        return row ? { messageId: row.message_id, role: 'summary', content: decryptField(row.content, fieldContext('Messages', 'content', row.message_id)), createdAt: row.created_at, metadata: openMetadata(row.metadata, fieldContext('Messages', 'metadata', row.message_id)), tokenCount: row.token_count } : null;
+    }
+    async refreshSummary(conversationId, previous, overflow) {
+        if (!this.summarizer || overflow.length === 0) return null;
+        try {
+            const revealed = await this.revealMessages(previous ? [previous, ...overflow] : overflow);
+            const summarized = await this.summarizer.summarize(previous ? revealed[0].content : null, previous ? revealed.slice(1) : revealed);
+            const last = overflow[overflow.length - 1];
+            const metadata = { type: 'summary', coversThrough: new Date(last.createdAt).toISOString(), coversThroughMessageId: last.messageId, summarizedMessages: (previous?.metadata.summarizedMessages || 0) + overflow.length, model: summarized.model };
+            const summary = await this.saveSummary(conversationId, summarized.content, metadata, summarized.usage);
+            await this.usageService.recordUsage({ conversationId, model: summarized.model, promptTokens: summarized.usage?.promptTokens || 0, completionTokens: summarized.usage?.completionTokens || 0, purpose: 'summary' });
+            return summary;
+        } catch (error) {
+            logger.error('Failed to refresh conversation summary', { component: 'ConversationManager', conversationId, error: error.message });
+            return null;
+        }
+    }
+    async saveSummary(conversationId, content, metadata, usage = null) {
+        const messageId = uuidv4();
+        const tokenCount = this.estimateTokenCount(content);
+        const storedContent = await this.protectContent(content, conversationId, messageId);
+        const query = `INSERT INTO Messages (message_id, conversation_id, role, content, created_at, metadata, token_count, prompt_tokens, completion_tokens) VALUES (@messageId, @conversationId, 'summary', @content, GETDATE(), @metadata, @tokenCount, @promptTokens, @completionTokens)`;
+        await database.executeQuery(query, { messageId, conversationId, content: encryptField(storedContent, fieldContext('Messages', 'content', messageId)), metadata: sealMetadata(metadata, fieldContext('Messages', 'metadata', messageId)), tokenCount, promptTokens: usage?.promptTokens ?? null, completionTokens: usage?.completionTokens ?? null }, 'save-summary');
+        logger.conversationLog(null, messageId, 'summary_saved', { conversationId, summarizedMessages: metadata.summarizedMessages, tokenCount });
+        return { messageId, role: 'summary', content, createdAt: new Date(), metadata, tokenCount };
+    }
+    selectRecent(messages, budget) {
+        let used = 0;
+        let start = messages.length;
+        while (start > 0) {
+            const tokens = this.countTokens([messages[start - 1]]);
+            if (start < messages.length && used + tokens > budget) break;
+            used += tokens;
+            start--;
+        }
+        return messages.slice(start);
+    }
+    countTokens(messages) {
+        return messages.reduce((total, msg) => total + (msg.tokenCount || this.estimateTokenCount(msg.content || '')), 0);
+    }
     async updateConversationStatus(conversationId, status, metadata = null) {
         const timer = logger.performance('update-conversation-status', 'ConversationManager');
         try {
             let query = `UPDATE Conversations SET status = @status, updated_at = GETDATE()`;
             const params = { conversationId, status };
-            if (metadata) { query += `, metadata = @metadata`; params.metadata = JSON.stringify(metadata); }
+            if (metadata) { query += `, metadata = @metadata`; params.metadata = sealMetadata(metadata, fieldContext('Conversations', 'metadata', conversationId)); }
             query += ` WHERE conversation_id = @conversationId`;
             const result = await database.executeQuery(query, params, 'update-conversation-status');
             if (result.rowsAffected[0] === 0) throw new Error('Conversation not found');
@@ -105,12 +181,12 @@ class ConversationManager {
             throw error;
         }
     }
-    async getUserConversations(userId, limit = 10, offset = 0) {
+    async getUserConversations(userId, limit = 10, offset = 0, includeDeleted = false) {
         const timer = logger.performance('get-user-conversations', 'ConversationManager');
         try {
-            const query = `SELECT conversation_id, created_at, updated_at, status, metadata, message_count FROM Conversations WHERE user_id = @userId AND status != 'deleted' ORDER BY updated_at DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
+            const query = `SELECT conversation_id, agent_id, created_at, updated_at, status, metadata, message_count FROM Conversations WHERE user_id = @userId${includeDeleted ? '' : " AND status != 'deleted'"} ORDER BY updated_at DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
             const result = await database.executeQuery(query, { userId, limit, offset }, 'get-user-conversations');
-            const conversations = result.recordset.map(conv => ({ conversationId: conv.conversation_id, createdAt: conv.created_at, updatedAt: conv.updated_at, status: conv.status, metadata: JSON.parse(conv.metadata || '{}'), messageCount: conv.message_count }));
+            const conversations = result.recordset.map(conv => ({ conversationId: conv.conversation_id, agentId: conv.agent_id || null, createdAt: conv.created_at, updatedAt: conv.updated_at, status: conv.status, metadata: openMetadata(conv.metadata, fieldContext('Conversations', 'metadata', conv.conversation_id)), messageCount: conv.message_count }));
             timer.addMetadata('conversationCount', conversations.length);
             timer.end('User conversations retrieved');
             return conversations;
@@ -119,24 +195,49 @@ class ConversationManager {
             throw error;
         }
     }
+    async listConversations(scope, { userId = null, agentId = null }, limit = 10, offset = 0) {
+        const timer = logger.performance('list-conversations', 'ConversationManager');
+        const scopeFilters = { own: 'user_id = @userId', listings: '(user_id = @userId OR agent_id = @agentId)', all: '1 = 1' };
+        try {
+            const query = `SELECT conversation_id, user_id, agent_id, created_at, updated_at, status, metadata, message_count FROM Conversations WHERE ${scopeFilters[scope]} AND status != 'deleted' ORDER BY updated_at DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
+            const result = await database.executeQuery(query, { userId, agentId, limit, offset }, 'list-conversations');
+            const conversations = result.recordset.map(conv => ({ conversationId: conv.conversation_id, userId: conv.user_id, agentId: conv.agent_id || null, createdAt: conv.created_at, updatedAt: conv.updated_at, status: conv.status, metadata: openMetadata(conv.metadata, fieldContext('Conversations', 'metadata', conv.conversation_id)), messageCount: conv.message_count }));
+            timer.addMetadata('scope', scope);
+            timer.addMetadata('conversationCount', conversations.length);
+            timer.end('Conversations listed');
+            return conversations;
+        } catch (error) {
+            timer.endWithError(error, 'Failed to list conversations');
+            throw error;
+        }
+    }
     async cleanupOldConversations() {
         const timer = logger.performance('cleanup-conversations', 'ConversationManager');
         try {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - this.dataRetentionDays);
-            const query = `UPDATE Conversations SET status = 'deleted', updated_at = GETDATE() WHERE created_at < @cutoffDate AND status != 'deleted'`;
-            const result = await database.executeQuery(query, { cutoffDate }, 'cleanup-conversations');
-            timer.addMetadata('cleanedCount', result.rowsAffected[0]);
+            const { RetentionService, RETENTION_CONFIG } = require('./retentionService');
+            const { softDeleted, cutoffDate } = await new RetentionService({ ...RETENTION_CONFIG, retentionDays: this.dataRetentionDays }).softDeleteExpired();
+            timer.addMetadata('cleanedCount', softDeleted);
             timer.end('Conversation cleanup completed');
-            logger.info('Conversation cleanup completed', { component: 'ConversationManager', cleanedCount: result.rowsAffected[0], cutoffDate });
-            return result.rowsAffected[0];
+            logger.info('Conversation cleanup completed', { component: 'ConversationManager', cleanedCount: softDeleted, cutoffDate });
+            return softDeleted;
         } catch (error) {
             timer.endWithError(error, 'Conversation cleanup failed');
             throw error;
         }
     }
+    async protectContent(content, conversationId, messageId) {
+        if (this.piiMessageMode === 'redact') return maskText(content);
+        if (this.piiMessageMode === 'tokenize') return (await this.piiVault.tokenize(content, { conversationId, messageId })).text;
+        return content;
+    }
+    async revealMessages(messages) {
+        return this.piiVault.revealMessages(messages);
+    }
+    maskMessages(messages) {
+        return this.piiVault.maskMessages(messages);
+    }
     estimateTokenCount(text) {
-        return Math.ceil(text.length / 4);
+        return countTokens(text);
     }
 }
 module.exports = ConversationManager;
\ No newline at end of file
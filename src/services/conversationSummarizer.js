@@ -0,0 +1,30 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('../utils/logger');
+const { AI_CONFIG, getSystemPrompt } = require('../config/aiConfig');
+class ConversationSummarizer {
+    constructor(llmProvider, config = AI_CONFIG) {
+        this.llmProvider = llmProvider;
+        this.config = config;
+    }
+    async summarize(previousSummary, messages) {
+        const timer = logger.performance('conversation-summarize', 'ConversationSummarizer');
+        try {
+            const transcript = messages.map(msg => `${msg.role === 'user' ? 'Client' : 'Rachel'}: ${msg.content}`).join('\n');
+            const prompt = [
+                { role: 'system', content: getSystemPrompt('summary') },
+                { role: 'user', content: `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}Conversation turns to fold in:\n${transcript}` }
+            ];
+            const completion = await this.llmProvider.complete(prompt, { model: this.config.model, temperature: 0.2, maxTokens: this.config.summaryMaxTokens, purpose: 'summary' });
+            const content = (completion.content || '').trim();
+            if (!content) throw new Error('Summarizer returned an empty summary');
+            timer.addMetadata('summarizedMessages', messages.length);
+            timer.addMetadata('summaryLength', content.length);
+            timer.end('Conversation summarized');
+            return { content, model: completion.model, usage: completion.usage };
+        } catch (error) {
+            timer.endWithError(error, 'Conversation summarization failed');
+            throw error;
+        }
+    }
+}
+module.exports = ConversationSummarizer;
@@ -0,0 +1,149 @@
+// @compliance BIG_BROTHER_V2
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const ConversationManager = require('./conversationManager');
+const { RetentionService } = require('./retentionService');
+const { PreferenceService } = require('./preferenceService');
+const EXPORT_FORMAT = 'bigbrother-data-subject-export';
+const PAGE_SIZE = 100;
+const ERASED = '[erased]';
+function canonicalize(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    return JSON.stringify(value);
+}
+function getReceiptSecret() {
+    const secret = process.env.DSAR_RECEIPT_SECRET;
+    if (!secret || secret.length < 32) {
+        const error = new Error('DSAR_RECEIPT_SECRET must be set (at least 32 characters) to sign erasure receipts');
+        error.statusCode = 503;
+        throw error;
+    }
+    return secret;
+}
+function signReceipt(receipt) {
+    const { signature, ...body } = receipt;
+    return { ...body, signatureAlgorithm: 'HMAC-SHA256', signature: crypto.createHmac('sha256', getReceiptSecret()).update(canonicalize({ ...body, signatureAlgorithm: 'HMAC-SHA256' })).digest('hex') };
+}
+function verifyReceipt(receipt) {
+    if (!receipt || typeof receipt.signature !== 'string' || receipt.signatureAlgorithm !== 'HMAC-SHA256') return false;
+    const expected = Buffer.from(signReceipt(receipt).signature, 'hex');
+    const actual = Buffer.from(receipt.signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+function hashEmail(email) {
+    return email ? crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex') : null;
+}
+class DataSubjectService {
+    constructor() {
+        this.conversationManager = new ConversationManager();
+        this.retentionService = new RetentionService();
+        this.preferenceService = new PreferenceService();
+    }
+    async collectConversations(userId) {
+        const conversations = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const page = await this.conversationManager.getUserConversations(userId, PAGE_SIZE, offset, true);
+            conversations.push(...page);
+            if (page.length < PAGE_SIZE) break;
+        }
+        for (const conversation of conversations) {
+            const messages = [];
+            for (let offset = 0; ; offset += PAGE_SIZE) {
+                const page = await this.conversationManager.getConversationHistory(conversation.conversationId, PAGE_SIZE, offset, true);
+                messages.unshift(...page);
+                if (page.length < PAGE_SIZE) break;
+            }
+            conversation.messages = await this.conversationManager.revealMessages(messages);
+        }
+        return conversations;
+    }
+    async findShowings(userId, email) {
+        const query = `SELECT showing_id, property_id, agent_id, requested_by, client_name, client_email, client_phone, preferred_date, time_slot, status, created_at FROM PropertyShowings WHERE requested_by = @userId${email ? ' OR LOWER(client_email) = @email' : ''} ORDER BY created_at`;
+        const result = await database.executeQuery(query, { userId, email: email ? email.trim().toLowerCase() : null }, 'dsar-find-showings');
+        return result.recordset.map(row => ({ showingId: row.showing_id, propertyId: row.property_id, agentId: row.agent_id, requestedBy: row.requested_by, clientName: row.client_name, clientEmail: row.client_email, clientPhone: row.client_phone, preferredDate: row.preferred_date, timeSlot: row.time_slot, status: row.status, createdAt: row.created_at }));
+    }
+    async findUsage(userId) {
+        const tokens = await database.executeQuery(`SELECT usage_date, model, prompt_tokens, completion_tokens, cost_usd, request_count FROM TokenUsageDaily WHERE user_id = @userId ORDER BY usage_date`, { userId }, 'dsar-find-token-usage');
+        const voice = await database.executeQuery(`SELECT usage_date, model, characters, cost_usd, request_count FROM VoiceUsageDaily WHERE user_id = @userId ORDER BY usage_date`, { userId }, 'dsar-find-voice-usage');
+        const quota = await database.executeQuery(`SELECT daily_limit_usd, monthly_limit_usd, updated_by, created_at, updated_at FROM SpendQuotas WHERE user_id = @userId`, { userId }, 'dsar-find-spend-quota');
+        const quotaRow = quota.recordset[0];
+        return {
+            tokens: tokens.recordset.map(row => ({ date: row.usage_date, model: row.model, promptTokens: Number(row.prompt_tokens), completionTokens: Number(row.completion_tokens), costUsd: Number(row.cost_usd), requests: row.request_count })),
+            voice: voice.recordset.map(row => ({ date: row.usage_date, model: row.model, characters: Number(row.characters), costUsd: Number(row.cost_usd), requests: row.request_count })),
+            spendQuota: quotaRow ? { dailyLimitUsd: quotaRow.daily_limit_usd, monthlyLimitUsd: quotaRow.monthly_limit_usd, updatedBy: quotaRow.updated_by, createdAt: quotaRow.created_at, updatedAt: quotaRow.updated_at } : null
+        };
+    }
+    // Daily usage rows back cost reporting, so they are kept under a random pseudonym that nothing else records; the
+    // spend quota override is a setting for this user alone and is deleted.
+    async pseudonymizeUsage(userId) {
+        const params = { userId, pseudonym: `erased-${uuidv4()}` };
+        const tokens = await database.executeQuery(`UPDATE TokenUsageDaily SET user_id = @pseudonym WHERE user_id = @userId`, params, 'dsar-pseudonymize-token-usage');
+        const voice = await database.executeQuery(`UPDATE VoiceUsageDaily SET user_id = @pseudonym WHERE user_id = @userId`, params, 'dsar-pseudonymize-voice-usage');
+        const quota = await database.executeQuery(`DELETE FROM SpendQuotas WHERE user_id = @userId`, { userId }, 'dsar-delete-spend-quota');
+        return { tokenUsageRows: tokens.rowsAffected[0] || 0, voiceUsageRows: voice.rowsAffected[0] || 0, spendQuotas: quota.rowsAffected[0] || 0 };
+    }
+    async exportUserData(userId, { email = null, requestedBy }) {
+        const timer = logger.performance('dsar-export', 'DataSubjectService');
+        try {
+            const conversations = await this.collectConversations(userId);
+            const showings = await this.findShowings(userId, email);
+            const preferences = (await this.preferenceService.getProfile(userId))?.preferences || null;
+            const usage = await this.findUsage(userId);
+            const bundle = { format: EXPORT_FORMAT, version: 1, requestId: uuidv4(), generatedAt: new Date().toISOString(), subject: { userId, email }, conversations, showings, preferences, usage };
+            const summary = { conversations: conversations.length, messages: conversations.reduce((total, conversation) => total + conversation.messages.length, 0), showings: showings.length, usageDays: usage.tokens.length + usage.voice.length };
+            await this.recordRequest({ requestId: bundle.requestId, type: 'export', userId, requestedBy, details: summary });
+            timer.addMetadata('conversationCount', summary.conversations);
+            timer.end('Data subject export generated');
+            logger.warn('Data subject export generated', { component: 'DataSubjectService', requestId: bundle.requestId, userId, requestedBy, ...summary });
+            return bundle;
+        } catch (error) {
+            timer.endWithError(error, 'Data subject export failed');
+            throw error;
+        }
+    }
+    async eraseUserData(userId, { email = null, requestedBy }) {
+        getReceiptSecret();
+        const timer = logger.performance('dsar-erasure', 'DataSubjectService');
+        try {
+            const { eligible, held } = await this.retentionService.getUserConversationHolds(userId);
+            const purged = await this.retentionService.purgeConversations(eligible);
+            const userHeld = await this.retentionService.hasActiveUserHold(userId);
+            const anonymizeQuery = `UPDATE PropertyShowings SET client_name = @erased, client_email = @erased, client_phone = NULL, requested_by = NULL WHERE requested_by = @userId${email ? ' OR LOWER(client_email) = @email' : ''}`;
+            const anonymized = userHeld ? { rowsAffected: [0] } : await database.executeQuery(anonymizeQuery, { userId, email: email ? email.trim().toLowerCase() : null, erased: ERASED }, 'dsar-anonymize-showings');
+            const preferenceProfiles = userHeld ? 0 : await this.preferenceService.deleteProfile(userId);
+            const usage = userHeld ? { tokenUsageRows: 0, voiceUsageRows: 0, spendQuotas: 0 } : await this.pseudonymizeUsage(userId);
+            const receipt = signReceipt({
+                receiptId: uuidv4(),
+                type: 'erasure',
+                subject: { userId, emailSha256: hashEmail(email) },
+                requestedBy,
+                completedAt: new Date().toISOString(),
+                erased: { conversations: purged.conversations, rows: purged.rows, preferenceProfiles, spendQuotas: usage.spendQuotas },
+                anonymized: { showings: anonymized.rowsAffected[0] || 0 },
+                pseudonymized: { method: 'random-pseudonym', tokenUsageRows: usage.tokenUsageRows, voiceUsageRows: usage.voiceUsageRows },
+                retained: { conversations: held.map(id => String(id).toLowerCase()), showings: userHeld, usage: userHeld, reason: held.length > 0 || userHeld ? 'legal-hold' : null },
+                status: held.length > 0 || userHeld ? 'partial' : 'completed'
+            });
+            await this.recordRequest({ requestId: receipt.receiptId, type: 'erasure', userId, requestedBy, details: receipt });
+            timer.addMetadata('erasedConversations', purged.conversations);
+            timer.end('Data subject erasure completed');
+            logger.warn('Data subject erasure completed', { component: 'DataSubjectService', receiptId: receipt.receiptId, userId, requestedBy, erasedConversations: purged.conversations, heldConversations: held.length });
+            return receipt;
+        } catch (error) {
+            timer.endWithError(error, 'Data subject erasure failed');
+            throw error;
+        }
+    }
+    async recordRequest({ requestId, type, userId, requestedBy, details }) {
+        const query = `INSERT INTO DataSubjectRequests (request_id, request_type, subject_user_id, requested_by, details, created_at) VALUES (@requestId, @type, @userId, @requestedBy, @details, GETDATE())`;
+        await database.executeQuery(query, { requestId, type, userId, requestedBy, details: JSON.stringify(details) }, 'dsar-record-request');
+    }
+}
+module.exports = {
+    DataSubjectService,
+    signReceipt,
+    verifyReceipt
+};
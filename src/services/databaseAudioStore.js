@@ -0,0 +1,48 @@
+// @compliance BIG_BROTHER_V2
+const database = require('../config/database');
+// Pruning scans the whole table, so it runs every few writes rather than on each one.
+const DATABASE_PRUNE_EVERY = 50;
+class DatabaseAudioStore {
+    constructor(config) {
+        this.name = 'database';
+        this.config = config;
+        this.writes = 0;
+    }
+    async read(key) {
+        const query = `
+            SELECT audio, metadata, expires_at FROM AudioCache WHERE cache_key = @key AND expires_at > GETDATE();
+            UPDATE AudioCache SET last_accessed_at = GETDATE(), hit_count = hit_count + 1 WHERE cache_key = @key AND expires_at > GETDATE();`;
+        const result = await database.executeQuery(query, { key }, 'audio-cache-read');
+        const row = result.recordset[0];
+        return row ? { audioBuffer: Buffer.from(row.audio), metadata: JSON.parse(row.metadata), expiresAt: new Date(row.expires_at).getTime() } : null;
+    }
+    async write(key, entry) {
+        const query = `
+            MERGE AudioCache AS target
+            USING (SELECT @key AS cache_key) AS source ON target.cache_key = source.cache_key
+            WHEN MATCHED THEN
+                UPDATE SET audio = @audio, metadata = @metadata, size_bytes = @sizeBytes, expires_at = @expiresAt, last_accessed_at = GETDATE()
+            WHEN NOT MATCHED THEN
+                INSERT (cache_key, audio, metadata, size_bytes, created_at, expires_at, last_accessed_at, hit_count)
+                VALUES (@key, @audio, @metadata, @sizeBytes, GETDATE(), @expiresAt, GETDATE(), 0);`;
+        const params = { key, audio: entry.audioBuffer, metadata: JSON.stringify(entry.metadata), sizeBytes: entry.audioBuffer.length, expiresAt: new Date(entry.expiresAt) };
+        await database.executeQuery(query, params, 'audio-cache-write');
+        return ++this.writes % DATABASE_PRUNE_EVERY === 0 ? this.prune() : 0;
+    }
+    // Drops expired rows, then the least recently used rows beyond maxBytes.
+    async prune() {
+        const query = `
+            DELETE FROM AudioCache WHERE expires_at <= GETDATE();
+            WITH ranked AS (
+                SELECT cache_key, SUM(size_bytes) OVER (ORDER BY last_accessed_at DESC, cache_key ROWS UNBOUNDED PRECEDING) AS running_bytes
+                FROM AudioCache
+            )
+            DELETE FROM ranked WHERE running_bytes > @maxBytes;`;
+        const result = await database.executeQuery(query, { maxBytes: this.config.maxBytes }, 'audio-cache-prune');
+        return result.rowsAffected.reduce((total, rows) => total + rows, 0);
+    }
+    usage() {
+        return { entries: null, bytes: null };
+    }
+}
+module.exports = DatabaseAudioStore;
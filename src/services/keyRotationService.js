@@ -0,0 +1,61 @@
+// @compliance BIG_BROTHER_V2
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { getActiveKeyVersion, encryptField, decryptField, needsReencryption, fieldContext } = require('../utils/encryption');
+const ROTATION_TARGETS = [
+    { table: 'Messages', idColumn: 'message_id', columns: ['content', 'metadata'] },
+    { table: 'Conversations', idColumn: 'conversation_id', columns: ['metadata'] },
+    { table: 'PiiVault', idColumn: 'token_id', columns: ['value'] },
+    { table: 'ClientPreferences', idColumn: 'user_id', columns: ['preferences'] }
+];
+const FIRST_ID = '00000000-0000-0000-0000-000000000000';
+class KeyRotationService {
+    constructor(batchSize = 500, targets = ROTATION_TARGETS) {
+        this.batchSize = batchSize;
+        this.targets = targets;
+    }
+    async rotate({ dryRun = false } = {}) {
+        const activeVersion = getActiveKeyVersion();
+        if (!activeVersion) throw new Error('No encryption key is configured; set ENCRYPTION_KEY or ENCRYPTION_KEYS');
+        const timer = logger.performance('encryption-key-rotation', 'KeyRotationService');
+        const summary = { activeVersion, dryRun, tables: {} };
+        for (const target of this.targets) summary.tables[target.table] = await this.rotateTable(target, activeVersion, dryRun);
+        timer.addMetadata('activeVersion', activeVersion);
+        timer.end('Encryption key rotation completed');
+        logger.info('Encryption key rotation completed', { component: 'KeyRotationService', ...summary });
+        return summary;
+    }
+    async rotateTable({ table, idColumn, columns }, activeVersion, dryRun) {
+        const stats = { scanned: 0, reencrypted: 0, failed: 0 };
+        const staleFilter = columns.map(column => `(${column} IS NOT NULL AND ${column} NOT LIKE @activePrefix)`).join(' OR ');
+        const query = `SELECT TOP (@batchSize) ${idColumn} AS id, ${columns.join(', ')} FROM ${table} WHERE ${idColumn} > @afterId AND (${staleFilter}) ORDER BY ${idColumn}`;
+        let afterId = FIRST_ID;
+        for (;;) {
+            const result = await database.executeQuery(query, { batchSize: this.batchSize, afterId, activePrefix: `enc:${activeVersion}:%` }, `rotate-${table.toLowerCase()}-scan`);
+            const rows = result.recordset || [];
+            for (const row of rows) {
+                stats.scanned++;
+                try {
+                    const updates = {};
+                    for (const column of columns) {
+                        if (!needsReencryption(row[column])) continue;
+                        const context = fieldContext(table, column, row.id);
+                        updates[column] = encryptField(decryptField(row[column], context), context);
+                    }
+                    if (Object.keys(updates).length === 0) continue;
+                    if (!dryRun) {
+                        const assignments = Object.keys(updates).map(column => `${column} = @${column}`).join(', ');
+                        await database.executeQuery(`UPDATE ${table} SET ${assignments} WHERE ${idColumn} = @id`, { ...updates, id: row.id }, `rotate-${table.toLowerCase()}-update`);
+                    }
+                    stats.reencrypted++;
+                } catch (error) {
+                    stats.failed++;
+                    logger.error('Failed to re-encrypt row', { component: 'KeyRotationService', table, id: row.id, error: error.message });
+                }
+            }
+            if (rows.length < this.batchSize) return stats;
+            afterId = rows[rows.length - 1].id;
+        }
+    }
+}
+module.exports = KeyRotationService;
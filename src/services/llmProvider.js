@@ -0,0 +1,172 @@
+// @compliance BIG_BROTHER_V2
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { AI_CONFIG } = require('../config/aiConfig');
+const MockChatProvider = require('./mockChatProvider');
+const { withRetry, isRetryableError } = require('../utils/resilience');
+function parseToolArguments(rawArguments) {
+    if (!rawArguments) return {};
+    if (typeof rawArguments === 'object') return rawArguments;
+    try {
+        return JSON.parse(rawArguments);
+    } catch (error) {
+        return {};
+    }
+}
+class OpenAIChatProvider {
+    constructor(config = AI_CONFIG) {
+        this.name = 'openai';
+        this.config = config;
+        this.client = axios.create({
+            baseURL: config.apiUrl,
+            timeout: config.responseTimeout,
+            headers: {
+                'Authorization': `Bearer ${config.apiKey}`,
+                'Content-Type': 'application/json'
+            }
+        });
+        this.retryOptions = { name: this.name, maxRetries: config.maxRetries, retryDelay: config.retryDelay, maxRetryDelay: config.maxRetryDelay };
+    }
+    buildPayload(messages, options = {}) {
+        return {
+            model: options.model || this.config.model,
+            messages,
+            temperature: options.temperature ?? this.config.temperature,
+            max_tokens: options.maxTokens || this.config.maxTokens,
+            ...(options.tools?.length ? { tools: options.tools, tool_choice: 'auto' } : {})
+        };
+    }
+    async complete(messages, options = {}) {
+        const payload = this.buildPayload(messages, options);
+        const response = await withRetry(() => this.client.post('/chat/completions', payload, { signal: options.signal }), this.retryOptions);
+        const choice = response.data.choices?.[0];
+        if (!choice) throw new Error('LLM provider returned no choices');
+        const usage = response.data.usage || {};
+        const toolCalls = (choice.message?.tool_calls || []).map(call => ({ id: call.id, name: call.function?.name, arguments: parseToolArguments(call.function?.arguments) }));
+        return {
+            content: choice.message?.content || '',
+            toolCalls,
+            finishReason: choice.finish_reason,
+            model: response.data.model || payload.model,
+            usage: { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }
+        };
+    }
+    async *stream(messages, options = {}) {
+        const payload = { ...this.buildPayload(messages, options), stream: true, stream_options: { include_usage: true } };
+        const response = await withRetry(() => this.client.post('/chat/completions', payload, { responseType: 'stream', signal: options.signal }), this.retryOptions);
+        response.data.setEncoding('utf8');
+        const toolCalls = [];
+        let content = '';
+        let buffer = '';
+        let finishReason = null;
+        let model = payload.model;
+        let usage = {};
+        for await (const chunk of response.data) {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : null;
+                if (!data || data === '[DONE]') continue;
+                const event = JSON.parse(data);
+                model = event.model || model;
+                if (event.usage) usage = event.usage;
+                const choice = event.choices?.[0];
+                if (!choice) continue;
+                if (choice.finish_reason) finishReason = choice.finish_reason;
+                if (choice.delta?.content) {
+                    content += choice.delta.content;
+                    yield { type: 'delta', content: choice.delta.content };
+                }
+                for (const partial of choice.delta?.tool_calls || []) {
+                    const call = toolCalls[partial.index] = toolCalls[partial.index] || { id: partial.id, name: '', rawArguments: '' };
+                    if (partial.id) call.id = partial.id;
+                    if (partial.function?.name) call.name += partial.function.name;
+                    if (partial.function?.arguments) call.rawArguments += partial.function.arguments;
+                }
+            }
+        }
+        yield {
+            type: 'done',
+            content,
+            toolCalls: toolCalls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: parseToolArguments(call.rawArguments) })),
+            finishReason,
+            model,
+            usage: { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens }
+        };
+    }
+}
+const PROVIDERS = {
+    openai: OpenAIChatProvider,
+    mock: MockChatProvider
+};
+async function completeWithTools(provider, messages, toolRegistry, options = {}) {
+    const conversation = [...messages];
+    const toolInvocations = [];
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    const maxIterations = options.maxToolIterations ?? AI_CONFIG.maxToolIterations;
+    for (let iteration = 0; ; iteration++) {
+        const tools = toolRegistry && iteration < maxIterations ? toolRegistry.getDefinitions() : undefined;
+        const completion = await provider.complete(conversation, { ...options, tools });
+        usage.promptTokens += completion.usage?.promptTokens || 0;
+        usage.completionTokens += completion.usage?.completionTokens || 0;
+        if (!tools || !completion.toolCalls?.length) return { ...completion, usage, toolInvocations };
+        conversation.push({ role: 'assistant', content: completion.content || null, tool_calls: completion.toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.arguments) } })) });
+        for (const toolCall of completion.toolCalls) {
+            const { result, invocation } = await toolRegistry.execute(toolCall, options.toolContext);
+            toolInvocations.push(invocation);
+            conversation.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(result) });
+        }
+    }
+}
+async function* streamCompletion(provider, messages, options) {
+    if (typeof provider.stream === 'function') {
+        yield* provider.stream(messages, options);
+        return;
+    }
+    const completion = await provider.complete(messages, options);
+    if (completion.content) yield { type: 'delta', content: completion.content };
+    yield { type: 'done', ...completion };
+}
+async function* streamWithTools(provider, messages, toolRegistry, options = {}) {
+    const conversation = [...messages];
+    const toolInvocations = [];
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    const maxIterations = options.maxToolIterations ?? AI_CONFIG.maxToolIterations;
+    for (let iteration = 0; ; iteration++) {
+        const tools = toolRegistry && iteration < maxIterations ? toolRegistry.getDefinitions() : undefined;
+        let completion = null;
+        for await (const event of streamCompletion(provider, conversation, { ...options, tools })) {
+            if (event.type === 'done') completion = event;
+            else yield event;
+        }
+        if (!completion) return;
+        usage.promptTokens += completion.usage?.promptTokens || 0;
+        usage.completionTokens += completion.usage?.completionTokens || 0;
+        if (!tools || !completion.toolCalls?.length) {
+            yield { ...completion, type: 'done', usage, toolInvocations };
+            return;
+        }
+        conversation.push({ role: 'assistant', content: completion.content || null, tool_calls: completion.toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.arguments) } })) });
+        for (const toolCall of completion.toolCalls) {
+            const { result, invocation } = await toolRegistry.execute(toolCall, options.toolContext);
+            toolInvocations.push(invocation);
+            yield { type: 'tool', invocation };
+            conversation.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(result) });
+        }
+    }
+}
+function createLLMProvider(config = AI_CONFIG) {
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) throw new Error(`Unsupported AI provider: ${config.provider}`);
+    logger.info('LLM provider initialized', { component: 'LLMProvider', provider: config.provider, model: config.model });
+    return new Provider(config);
+}
+module.exports = {
+    OpenAIChatProvider,
+    MockChatProvider,
+    createLLMProvider,
+    completeWithTools,
+    streamWithTools,
+    isRetryableError
+};
@@ -0,0 +1,83 @@
+// @compliance BIG_BROTHER_V2
+const { AI_CONFIG } = require('../config/aiConfig');
+const { countTokens, countMessageTokens } = require('../utils/tokenizer');
+const MOCK_RESPONSES = [
+    { keywords: ['property', 'house'], response: "I'd be happy to help you with your property search! To provide you with the best recommendations, I'd like to know more about what you're looking for. What type of property interests you - residential, commercial, or investment? Also, do you have a preferred location or price range in mind?" },
+    { keywords: ['price', 'market'], response: "Market analysis is one of my specialties! Property values can vary significantly based on location, property type, and current market conditions. To give you accurate pricing information, could you tell me the specific area you're interested in? I can provide recent sales data and market trends for that location." },
+    { keywords: ['schedule', 'viewing'], response: "I can absolutely help you schedule property viewings! I work with a network of experienced real estate agents who can arrange showings at your convenience. What properties are you interested in viewing, and what days/times work best for you?" },
+    { keywords: ['agent', 'realtor'], response: "I'd be pleased to connect you with one of our qualified real estate agents! Our agents specialize in different areas and property types. What type of real estate services do you need, and what's your preferred location? This will help me match you with the most suitable agent." }
+];
+const MOCK_DEFAULT_RESPONSE = "Hello! I'm Rachel, your real estate assistant. I'm here to help you with property searches, market analysis, scheduling viewings, and connecting you with the right real estate professionals. What can I assist you with today?";
+function parseToolResult(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return { error: 'Unreadable tool result' };
+    }
+}
+function parseMockSearchRequest(text) {
+    const bedrooms = text.match(/(\d+)\s*-?\s*(?:bed|br\b|bd\b)/i);
+    const location = text.match(/\bin\s+([A-Z][a-zA-Z]+(?:\s[A-Z][a-zA-Z]+)*)/);
+    const maxPrice = text.match(/(?:under|below|max(?:imum)?)\s+\$?([\d.,]+)\s*(k|m)?/i);
+    if (!location && !bedrooms) return null;
+    const args = {};
+    if (location) args.location = location[1];
+    if (bedrooms) args.bedrooms = parseInt(bedrooms[1]);
+    if (maxPrice) args.maxPrice = Math.round(parseFloat(maxPrice[1].replace(/,/g, '')) * ({ k: 1000, m: 1000000 }[(maxPrice[2] || '').toLowerCase()] || 1));
+    return args;
+}
+function summarizeMockToolResults(toolMessages) {
+    const summaries = toolMessages.map(msg => {
+        const result = parseToolResult(msg.content);
+        if (result.error) return `I wasn't able to complete that lookup (${result.error}).`;
+        if (Array.isArray(result.properties)) {
+            if (result.properties.length === 0) return 'I could not find any listings matching those criteria right now. Would you like to widen the price range or location?';
+            return `I found ${result.totalFound} matching listing${result.totalFound === 1 ? '' : 's'}: ${result.properties.map(p => `${p.address} at $${Number(p.price).toLocaleString('en-US')} (${p.bedrooms} bd / ${p.bathrooms} ba)`).join('; ')}. Would you like to schedule a showing for any of these?`;
+        }
+        return `Here is what I found: ${JSON.stringify(result)}`;
+    });
+    return summaries.join(' ');
+}
+function summarizeMockTranscript(prompt) {
+    const clientLines = prompt.split('\n').filter(line => line.startsWith('Client: ') || line.startsWith('- '));
+    return clientLines.map(line => line.startsWith('- ') ? line : `- ${line.slice(8)}`).join('\n') || '- Earlier turns covered general real estate questions.';
+}
+class MockChatProvider {
+    constructor(config = AI_CONFIG) {
+        this.name = 'mock';
+        this.config = config;
+    }
+    async complete(messages, options = {}) {
+        if (options.purpose === 'summary') return this.buildCompletion(messages, summarizeMockTranscript(messages[messages.length - 1]?.content || ''), [], options);
+        const trailingToolMessages = [];
+        for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) trailingToolMessages.unshift(messages[i]);
+        if (trailingToolMessages.length > 0) return this.buildCompletion(messages, summarizeMockToolResults(trailingToolMessages), [], options);
+        const lastMessage = messages[messages.length - 1];
+        const canSearch = options.tools?.some(tool => tool.function?.name === 'search_properties');
+        const searchArgs = canSearch && lastMessage?.role === 'user' ? parseMockSearchRequest(lastMessage.content || '') : null;
+        if (searchArgs) return this.buildCompletion(messages, '', [{ id: `call_mock_${messages.length}`, name: 'search_properties', arguments: searchArgs }], options);
+        const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+        const userMessage = (lastUserMessage?.content || '').toLowerCase();
+        const match = MOCK_RESPONSES.find(entry => entry.keywords.some(keyword => userMessage.includes(keyword)));
+        return this.buildCompletion(messages, match ? match.response : MOCK_DEFAULT_RESPONSE, [], options);
+    }
+    async *stream(messages, options = {}) {
+        const completion = await this.complete(messages, options);
+        for (const token of completion.content.match(/\S+\s*/g) || []) {
+            if (options.signal?.aborted) return;
+            yield { type: 'delta', content: token };
+        }
+        yield { type: 'done', ...completion };
+    }
+    buildCompletion(messages, content, toolCalls, options) {
+        const model = options.model || this.config.model;
+        return {
+            content,
+            toolCalls,
+            finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+            model,
+            usage: { promptTokens: countMessageTokens(messages, model), completionTokens: countTokens(content, model) }
+        };
+    }
+}
+module.exports = MockChatProvider;
@@ -0,0 +1,205 @@
+// @compliance BIG_BROTHER_V2
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const SentenceChunker = require('../utils/sentenceChunker');
+const { VOICE_CONFIG } = require('../config/aiConfig');
+const { getAudioFormat, estimateDurationMs, convertAudio } = require('../utils/audioFormats');
+const HEADING = /^#{1,6}\s+(.+?)\s*(?:\n([\s\S]*))?$/;
+function splitLongUnit(text, maxLength) {
+    const pieces = [];
+    let current = '';
+    for (const word of text.split(/\s+/)) {
+        if (current && current.length + word.length + 1 > maxLength) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${word}` : word;
+    }
+    return current ? [...pieces, current] : pieces;
+}
+// Packs whole paragraphs into chunks where they fit, falling back to sentences and then words for oversized ones.
+function packChunks(paragraphs, maxLength) {
+    const chunks = [];
+    let current = '';
+    for (const paragraph of paragraphs) {
+        const chunker = new SentenceChunker(1);
+        const units = paragraph.length <= maxLength ? [paragraph] : [...chunker.push(`${paragraph}\n`), ...chunker.flush()].flatMap(sentence => sentence.length <= maxLength ? [sentence] : splitLongUnit(sentence, maxLength));
+        units.forEach((unit, index) => {
+            const separator = !current ? '' : index === 0 ? '\n\n' : ' ';
+            if (current && current.length + separator.length + unit.length > maxLength) {
+                chunks.push(current);
+                current = unit;
+            } else {
+                current += separator + unit;
+            }
+        });
+    }
+    return current ? [...chunks, current] : chunks;
+}
+// Markdown headings start chapters; without headings every paragraph is its own chapter. Chunks never span chapters,
+// so chapter timestamps fall on chunk boundaries.
+function splitNarration(text, maxLength = VOICE_CONFIG.longForm.chunkLength) {
+    const paragraphs = text.replace(/\r\n/g, '\n').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const hasHeadings = paragraphs.some(paragraph => HEADING.test(paragraph));
+    const chapters = [];
+    for (const paragraph of paragraphs) {
+        const heading = hasHeadings && paragraph.match(HEADING);
+        if (heading) {
+            const title = heading[1].replace(/#+$/, '').trim();
+            chapters.push({ title, paragraphs: [/[.!?:]$/.test(title) ? title : `${title}.`, heading[2]?.trim()].filter(Boolean) });
+        } else if (hasHeadings && chapters.length > 0) {
+            chapters[chapters.length - 1].paragraphs.push(paragraph);
+        } else {
+            const words = paragraph.split(/\s+/);
+            chapters.push({ title: hasHeadings ? 'Introduction' : `${words.slice(0, 8).join(' ')}${words.length > 8 ? '…' : ''}`, paragraphs: [paragraph] });
+        }
+    }
+    return chapters.map(chapter => ({ title: chapter.title, chunks: packChunks(chapter.paragraphs, maxLength) }));
+}
+async function mapWithConcurrency(items, limit, worker, signal = null) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+    const runner = async () => {
+        while (next < items.length && !failed && !signal?.aborted) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+    return results;
+}
+// Jobs and their audio live in memory until jobTtlMs after creation; a restart drops queued and finished narrations.
+class NarrationService {
+    constructor(aiService, config = VOICE_CONFIG.longForm) {
+        this.aiService = aiService;
+        this.config = config;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+    }
+    prune() {
+        const now = Date.now();
+        for (const [jobId, job] of this.jobs) {
+            if (job.expiresAt > now) continue;
+            job.controller.abort();
+            this.jobs.delete(jobId);
+        }
+    }
+    createJob(userId, { text, voiceId = null, voiceSettings = null, outputFormat = VOICE_CONFIG.defaultFormat, modelId = null, market = null, provider = null }) {
+        this.prune();
+        const userJobs = [...this.jobs.values()].filter(job => job.userId === userId).length;
+        if (userJobs >= this.config.maxJobsPerUser) {
+            const error = new Error(`At most ${this.config.maxJobsPerUser} narration jobs can be kept at once; delete a finished job or wait for it to expire`);
+            error.statusCode = 429;
+            throw error;
+        }
+        getAudioFormat(outputFormat);
+        const now = Date.now();
+        const job = {
+            jobId: uuidv4(), userId, status: 'queued', textLength: text.length, voiceId, voiceSettings, outputFormat, modelId, market, provider,
+            chapters: splitNarration(text, this.config.chunkLength), completedChunks: 0, audioBuffer: null, durationMs: null, error: null,
+            controller: new AbortController(), createdAt: new Date(now).toISOString(), startedAt: null, completedAt: null, expiresAt: now + this.config.jobTtlMs
+        };
+        this.jobs.set(job.jobId, job);
+        this.queue.push(job);
+        logger.info('Narration job queued', { component: 'NarrationService', jobId: job.jobId, userId, textLength: job.textLength, chunks: this.countChunks(job), outputFormat });
+        this.drain();
+        return job;
+    }
+    drain() {
+        while (this.running < this.config.maxConcurrentJobs && this.queue.length > 0) {
+            const job = this.queue.shift();
+            if (job.status !== 'queued') continue;
+            this.running++;
+            this.run(job).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+    async run(job) {
+        const timer = logger.performance('narration-job', 'NarrationService');
+        const { source } = getAudioFormat(job.outputFormat);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+            const chunks = job.chapters.flatMap((chapter, chapterIndex) => chapter.chunks.map(text => ({ chapterIndex, text })));
+            const buffers = await mapWithConcurrency(chunks, this.config.concurrency, async ({ text }) => {
+                const result = await this.aiService.synthesizeVoice(text, job.voiceId, job.voiceSettings, source, { userId: job.userId, modelId: job.modelId, market: job.market, provider: job.provider });
+                job.completedChunks++;
+                return result.audioBuffer;
+            }, job.controller.signal);
+            if (job.controller.signal.aborted) return timer.end('Narration job cancelled');
+            let offsetMs = 0;
+            job.chapters.forEach((chapter, chapterIndex) => {
+                chapter.startMs = offsetMs;
+                chapter.durationMs = chunks.reduce((total, chunk, index) => chunk.chapterIndex === chapterIndex ? total + estimateDurationMs(buffers[index].length, source) : total, 0);
+                offsetMs += chapter.durationMs;
+            });
+            job.audioBuffer = await convertAudio(Buffer.concat(buffers), job.outputFormat);
+            job.durationMs = offsetMs;
+            job.status = 'completed';
+            job.completedAt = new Date().toISOString();
+            timer.addMetadata('jobId', job.jobId);
+            timer.addMetadata('chunks', chunks.length);
+            timer.addMetadata('audioSize', job.audioBuffer.length);
+            timer.end('Narration job completed');
+        } catch (error) {
+            job.status = 'failed';
+            job.error = 'Voice synthesis failed for part of the narration';
+            job.completedAt = new Date().toISOString();
+            timer.endWithError(error, 'Narration job failed');
+            logger.error('Narration job failed', { component: 'NarrationService', jobId: job.jobId, userId: job.userId, completedChunks: job.completedChunks, error: error.message });
+        }
+    }
+    getJob(jobId, userId) {
+        this.prune();
+        const job = this.jobs.get(jobId);
+        return job && job.userId === userId ? job : null;
+    }
+    // Cancels a queued or running job, or discards a finished one and frees its audio.
+    deleteJob(jobId, userId) {
+        const job = this.getJob(jobId, userId);
+        if (!job) return false;
+        job.controller.abort();
+        this.jobs.delete(jobId);
+        logger.info('Narration job deleted', { component: 'NarrationService', jobId, userId, status: job.status });
+        return true;
+    }
+    countChunks(job) {
+        return job.chapters.reduce((total, chapter) => total + chapter.chunks.length, 0);
+    }
+    describeJob(job) {
+        const completed = job.status === 'completed';
+        return {
+            jobId: job.jobId,
+            status: job.status,
+            outputFormat: job.outputFormat,
+            mimeType: getAudioFormat(job.outputFormat).mimeType,
+            modelId: job.modelId,
+            market: job.market,
+            provider: job.provider,
+            textLength: job.textLength,
+            progress: { completedChunks: job.completedChunks, totalChunks: this.countChunks(job) },
+            chapters: job.chapters.map(chapter => completed ? { title: chapter.title, startMs: chapter.startMs, durationMs: chapter.durationMs } : { title: chapter.title }),
+            durationMs: job.durationMs,
+            audioSize: completed ? job.audioBuffer.length : null,
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            expiresAt: new Date(job.expiresAt).toISOString()
+        };
+    }
+}
+module.exports = {
+    NarrationService,
+    splitNarration,
+    mapWithConcurrency
+};
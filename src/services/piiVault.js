@@ -0,0 +1,56 @@
+// @compliance BIG_BROTHER_V2
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { replacePii } = require('../utils/piiScanner');
+const { encryptField, decryptField, fieldContext } = require('../utils/encryption');
+const TOKEN_PATTERN = /\[\[pii:([a-z]+):([0-9a-f-]{36})\]\]/g;
+class PiiVault {
+    async tokenize(text, { conversationId, messageId }) {
+        const tokens = [];
+        const tokenized = replacePii(text, finding => {
+            const tokenId = uuidv4();
+            tokens.push({ tokenId, type: finding.type, value: finding.value });
+            return `[[pii:${finding.type}:${tokenId}]]`;
+        });
+        if (tokens.length === 0) return { text, tokenCount: 0 };
+        const timer = logger.performance('pii-vault-tokenize', 'PiiVault');
+        try {
+            const params = { conversationId, messageId };
+            const rows = tokens.map((token, index) => {
+                params[`tokenId${index}`] = token.tokenId;
+                params[`piiType${index}`] = token.type;
+                params[`value${index}`] = encryptField(token.value, fieldContext('PiiVault', 'value', token.tokenId));
+                return `(@tokenId${index}, @conversationId, @messageId, @piiType${index}, @value${index}, GETDATE())`;
+            });
+            await database.executeQuery(`INSERT INTO PiiVault (token_id, conversation_id, message_id, pii_type, value, created_at) VALUES ${rows.join(', ')}`, params, 'pii-vault-insert');
+            timer.addMetadata('tokenCount', tokens.length);
+            timer.end('PII tokenized');
+            return { text: tokenized, tokenCount: tokens.length };
+        } catch (error) {
+            timer.endWithError(error, 'PII tokenization failed');
+            throw error;
+        }
+    }
+    async revealMessages(messages) {
+        const tokenIds = [...new Set(messages.flatMap(message => [...(message.content || '').matchAll(TOKEN_PATTERN)].map(match => match[2])))];
+        if (tokenIds.length === 0) return messages;
+        const timer = logger.performance('pii-vault-reveal', 'PiiVault');
+        try {
+            const params = Object.fromEntries(tokenIds.map((tokenId, index) => [`tokenId${index}`, tokenId]));
+            const result = await database.executeQuery(`SELECT token_id, value FROM PiiVault WHERE token_id IN (${tokenIds.map((tokenId, index) => `@tokenId${index}`).join(', ')})`, params, 'pii-vault-reveal');
+            const values = new Map(result.recordset.map(row => [String(row.token_id).toLowerCase(), decryptField(row.value, fieldContext('PiiVault', 'value', row.token_id))]));
+            timer.addMetadata('tokenCount', tokenIds.length);
+            timer.addMetadata('resolvedCount', values.size);
+            timer.end('PII tokens revealed');
+            return messages.map(message => ({ ...message, content: (message.content || '').replace(TOKEN_PATTERN, (token, type, tokenId) => values.get(tokenId) ?? token) }));
+        } catch (error) {
+            timer.endWithError(error, 'PII reveal failed');
+            throw error;
+        }
+    }
+    maskMessages(messages) {
+        return messages.map(message => ({ ...message, content: (message.content || '').replace(TOKEN_PATTERN, (token, type) => `[REDACTED:${type}]`) }));
+    }
+}
+module.exports = PiiVault;
@@ -0,0 +1,146 @@
+// @compliance BIG_BROTHER_V2
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { encryptField, decryptField, fieldContext } = require('../utils/encryption');
+const { listMarkets } = require('../config/pronunciation');
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const COUNT = '(\\d(?:\\.5)?|one|two|three|four|five|six)\\s*\\+?\\s*';
+const MONEY = '\\$?\\s?(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k|m|thousand|million)?\\b';
+const PREFERENCE_PATTERNS = {
+    bedrooms: new RegExp(`\\b${COUNT}(?:-\\s*)?(?:bed(?:room)?s?|br|bd)\\b`, 'i'),
+    bathrooms: new RegExp(`\\b${COUNT}(?:-\\s*)?(?:bath(?:room)?s?|ba)\\b`, 'i'),
+    priceBetween: new RegExp(`between\\s+${MONEY}\\s+(?:and|to)\\s+${MONEY}`, 'i'),
+    maxPrice: new RegExp(`(?:under|below|less than|up to|at most|max(?:imum)?(?: of)?|no more than|budget (?:is |of )?(?:around |about )?)\\s*${MONEY}`, 'i'),
+    minPrice: new RegExp(`(?:over|above|more than|at least|minimum(?: of)?)\\s*${MONEY}`, 'i'),
+    schoolDistrict: /\b([A-Z][A-Za-z.-]*(?:\s+[A-Z][A-Za-z.-]*){0,3})\s+(?:ISD|School District|Unified)\b/,
+    schools: /\b(?:good|great|top|best|strong)\s+schools?\b|\bschool district\b|\bnear (?:a |the )?schools?\b/i,
+    location: /\b(?:in|near|around)\s+([A-Z][a-zA-Z]+(?:\s+[A-Z][a-zA-Z]+){0,2})\b(,\s*[A-Z]{2}\b)?/g
+};
+const FEATURE_KEYWORDS = { yard: /\b(?:back)?yard\b/i, garage: /\bgarage\b/i, pool: /\bpool\b/i, basement: /\bbasement\b/i, fireplace: /\bfireplace\b/i, patio: /\bpatio\b/i, balcony: /\bbalcony\b/i, 'home office': /\b(?:home )?office\b/i, waterfront: /\bwaterfront\b/i, 'open floor plan': /\bopen (?:floor )?plan\b/i, 'single story': /\bsingle[- ]stor(?:y|ey)\b/i };
+const PROPERTY_TYPE_KEYWORDS = { condo: /\bcondo(?:minium)?s?\b/i, townhouse: /\btown ?(?:house|home)s?\b/i, 'single-family': /\bsingle[- ]family\b/i, 'multi-family': /\b(?:multi[- ]family|duplex|triplex|fourplex)\b/i, land: /\b(?:land|vacant lot)\b/i, commercial: /\bcommercial\b/i, investment: /\binvestment (?:property|properties)\b/i };
+const MAX_LIST_ITEMS = 10;
+const EMPTY_PROFILE = { minBedrooms: null, minBathrooms: null, minPrice: null, maxPrice: null, locations: [], propertyTypes: [], features: [], schoolDistrict: null, prioritizeSchools: false };
+function parseCount(value) {
+    return NUMBER_WORDS[value.toLowerCase()] || parseFloat(value);
+}
+function parseMoney(amount, unit) {
+    const value = parseFloat(amount.replace(/,/g, ''));
+    const multiplier = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 }[(unit || '').toLowerCase()] || 1;
+    const total = value * multiplier;
+    return total >= 10000 ? Math.round(total) : null;
+}
+// "in May" or "near Downtown Starbucks" look like places too, so only markets we serve or names with a state suffix ("Round Rock, TX") count.
+function isLocation([, name, stateSuffix]) {
+    return !!stateSuffix || (name.toLowerCase() !== 'default' && listMarkets().includes(name.toLowerCase()));
+}
+function extractPreferences(text, context = {}) {
+    const found = {};
+    const bedrooms = PREFERENCE_PATTERNS.bedrooms.exec(text);
+    if (bedrooms) found.minBedrooms = Math.floor(parseCount(bedrooms[1]));
+    const bathrooms = PREFERENCE_PATTERNS.bathrooms.exec(text);
+    if (bathrooms) found.minBathrooms = parseCount(bathrooms[1]);
+    const between = PREFERENCE_PATTERNS.priceBetween.exec(text);
+    if (between) {
+        found.minPrice = parseMoney(between[1], between[2] || between[4]);
+        found.maxPrice = parseMoney(between[3], between[4]);
+    } else {
+        const max = PREFERENCE_PATTERNS.maxPrice.exec(text);
+        const min = PREFERENCE_PATTERNS.minPrice.exec(text);
+        if (max && parseMoney(max[1], max[2])) found.maxPrice = parseMoney(max[1], max[2]);
+        if (min && parseMoney(min[1], min[2])) found.minPrice = parseMoney(min[1], min[2]);
+    }
+    const district = PREFERENCE_PATTERNS.schoolDistrict.exec(text);
+    if (district) found.schoolDistrict = district[0];
+    if (district || PREFERENCE_PATTERNS.schools.test(text)) found.prioritizeSchools = true;
+    const locations = [...text.matchAll(PREFERENCE_PATTERNS.location)].filter(isLocation).map(match => match[1]).filter(location => !(district && district[0].includes(location)));
+    if (context.location) locations.unshift(context.location);
+    if (locations.length > 0) found.locations = locations;
+    const features = Object.keys(FEATURE_KEYWORDS).filter(feature => FEATURE_KEYWORDS[feature].test(text));
+    if (features.length > 0) found.features = features;
+    const propertyTypes = Object.keys(PROPERTY_TYPE_KEYWORDS).filter(type => PROPERTY_TYPE_KEYWORDS[type].test(text));
+    if (context.propertyType) propertyTypes.unshift(context.propertyType);
+    if (propertyTypes.length > 0) found.propertyTypes = propertyTypes;
+    if (context.priceRange?.min) found.minPrice = context.priceRange.min;
+    if (context.priceRange?.max) found.maxPrice = context.priceRange.max;
+    return Object.fromEntries(Object.entries(found).filter(([, value]) => value !== null && value !== undefined));
+}
+function mergePreferences(profile, updates) {
+    const merged = { ...EMPTY_PROFILE, ...profile };
+    // A newly stated budget replaces the whole range rather than widening it.
+    if ('minPrice' in updates || 'maxPrice' in updates) Object.assign(merged, { minPrice: null, maxPrice: null });
+    for (const [field, value] of Object.entries(updates)) {
+        merged[field] = Array.isArray(value) ? [...new Set([...value, ...merged[field]])].slice(0, MAX_LIST_ITEMS) : value;
+    }
+    return merged;
+}
+function formatPreferences(profile) {
+    if (!profile) return null;
+    const money = (value) => `$${Number(value).toLocaleString('en-US')}`;
+    const parts = [];
+    if (profile.minBedrooms) parts.push(`at least ${profile.minBedrooms} bedrooms`);
+    if (profile.minBathrooms) parts.push(`at least ${profile.minBathrooms} bathrooms`);
+    if (profile.minPrice && profile.maxPrice) parts.push(`budget ${money(profile.minPrice)} to ${money(profile.maxPrice)}`);
+    else if (profile.maxPrice) parts.push(`budget up to ${money(profile.maxPrice)}`);
+    else if (profile.minPrice) parts.push(`budget from ${money(profile.minPrice)}`);
+    if (profile.locations.length > 0) parts.push(`locations: ${profile.locations.join(', ')}`);
+    if (profile.propertyTypes.length > 0) parts.push(`property types: ${profile.propertyTypes.join(', ')}`);
+    if (profile.features.length > 0) parts.push(`must-haves: ${profile.features.join(', ')}`);
+    if (profile.schoolDistrict) parts.push(`school district: ${profile.schoolDistrict}`);
+    else if (profile.prioritizeSchools) parts.push('good schools are a priority');
+    return parts.length > 0 ? `Known client preferences from earlier conversations (confirm before relying on them): ${parts.join('; ')}.` : null;
+}
+class PreferenceService {
+    async getProfile(userId) {
+        const query = `SELECT user_id, preferences, source_conversation_id, updated_by, updated_at FROM ClientPreferences WHERE user_id = @userId`;
+        const result = await database.executeQuery(query, { userId }, 'get-client-preferences');
+        const row = result.recordset[0];
+        if (!row) return null;
+        return { userId: row.user_id, preferences: { ...EMPTY_PROFILE, ...JSON.parse(decryptField(row.preferences, fieldContext('ClientPreferences', 'preferences', row.user_id)) || '{}') }, sourceConversationId: row.source_conversation_id, updatedBy: row.updated_by, updatedAt: row.updated_at };
+    }
+    async saveProfile(userId, preferences, { conversationId = null, updatedBy }) {
+        const query = `MERGE ClientPreferences AS target USING (SELECT @userId AS user_id) AS source ON target.user_id = source.user_id WHEN MATCHED THEN UPDATE SET preferences = @preferences, source_conversation_id = @conversationId, updated_by = @updatedBy, updated_at = GETDATE() WHEN NOT MATCHED THEN INSERT (user_id, preferences, source_conversation_id, updated_by, created_at, updated_at) VALUES (@userId, @preferences, @conversationId, @updatedBy, GETDATE(), GETDATE());`;
+        await database.executeQuery(query, { userId, preferences: encryptField(JSON.stringify(preferences), fieldContext('ClientPreferences', 'preferences', userId)), conversationId, updatedBy }, 'save-client-preferences');
+        return { userId, preferences, sourceConversationId: conversationId, updatedBy, updatedAt: new Date() };
+    }
+    async learnFromMessage(userId, message, context = {}, conversationId = null) {
+        const timer = logger.performance('learn-client-preferences', 'PreferenceService');
+        try {
+            const existing = await this.getProfile(userId);
+            const updates = extractPreferences(message, context);
+            if (Object.keys(updates).length === 0) {
+                timer.end('No new client preferences');
+                return existing;
+            }
+            const profile = await this.saveProfile(userId, mergePreferences(existing?.preferences, updates), { conversationId, updatedBy: 'conversation' });
+            timer.addMetadata('updatedFields', Object.keys(updates));
+            timer.end('Client preferences learned');
+            return profile;
+        } catch (error) {
+            timer.endWithError(error, 'Failed to learn client preferences');
+            throw error;
+        }
+    }
+    async updateProfile(userId, patch, updatedBy) {
+        const existing = await this.getProfile(userId);
+        const preferences = { ...EMPTY_PROFILE, ...existing?.preferences };
+        for (const [field, value] of Object.entries(patch)) preferences[field] = value === null ? EMPTY_PROFILE[field] : value;
+        const profile = await this.saveProfile(userId, preferences, { conversationId: existing?.sourceConversationId || null, updatedBy });
+        logger.info('Client preferences corrected', { component: 'PreferenceService', userId, updatedBy, fields: Object.keys(patch) });
+        return profile;
+    }
+    async deleteProfile(userId) {
+        const result = await database.executeQuery(`DELETE FROM ClientPreferences WHERE user_id = @userId`, { userId }, 'delete-client-preferences');
+        return result.rowsAffected[0] || 0;
+    }
+    async isClientOfAgent(userId, agentId) {
+        const result = await database.executeQuery(`SELECT COUNT(*) AS conversations FROM Conversations WHERE user_id = @userId AND agent_id = @agentId AND status != 'deleted'`, { userId, agentId }, 'check-agent-client');
+        return (result.recordset[0]?.conversations || 0) > 0;
+    }
+}
+module.exports = {
+    PreferenceService,
+    EMPTY_PROFILE,
+    extractPreferences,
+    mergePreferences,
+    formatPreferences
+};
@@ -0,0 +1,66 @@
+// @compliance BIG_BROTHER_V2
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { SPEND_CONFIG, roundUsd } = require('../config/pricing');
+// Spend resets follow the database clock (usage_date is CAST(GETDATE() AS DATE)), so both run on server-local time.
+function nextResets(now = new Date()) {
+    return { daily: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1), monthly: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+}
+function describeViolation(violation) {
+    const label = violation.period === 'daily' ? 'Daily' : 'Monthly';
+    return { error: `${label} Spend Limit Reached`, message: `The ${violation.period} spend limit of $${violation.limitUsd.toFixed(2)} has been reached ($${violation.spentUsd.toFixed(2)} used); it resets at ${violation.resetAt}` };
+}
+class QuotaService {
+    constructor(config = SPEND_CONFIG) {
+        this.config = config;
+    }
+    async getLimits(userId) {
+        const result = await database.executeQuery(`SELECT daily_limit_usd, monthly_limit_usd, updated_by, updated_at FROM SpendQuotas WHERE user_id = @userId`, { userId }, 'get-spend-quota');
+        const row = result.recordset[0];
+        return {
+            dailyLimitUsd: row?.daily_limit_usd != null ? Number(row.daily_limit_usd) : this.config.dailyLimitUsd,
+            monthlyLimitUsd: row?.monthly_limit_usd != null ? Number(row.monthly_limit_usd) : this.config.monthlyLimitUsd,
+            custom: !!row,
+            updatedBy: row?.updated_by || null,
+            updatedAt: row?.updated_at || null
+        };
+    }
+    async getSpend(userId) {
+        const query = `SELECT SUM(CASE WHEN usage_date = CAST(GETDATE() AS DATE) THEN cost_usd ELSE 0 END) AS daily_spend, SUM(cost_usd) AS monthly_spend FROM (SELECT usage_date, cost_usd FROM TokenUsageDaily WHERE user_id = @userId AND usage_date >= DATEFROMPARTS(YEAR(GETDATE()), MONTH(GETDATE()), 1) UNION ALL SELECT usage_date, cost_usd FROM VoiceUsageDaily WHERE user_id = @userId AND usage_date >= DATEFROMPARTS(YEAR(GETDATE()), MONTH(GETDATE()), 1)) AS spend`;
+        const result = await database.executeQuery(query, { userId }, 'get-user-spend');
+        const row = result.recordset[0] || {};
+        return { dailyUsd: roundUsd(Number(row.daily_spend) || 0), monthlyUsd: roundUsd(Number(row.monthly_spend) || 0) };
+    }
+    async getStatus(userId) {
+        const [limits, spend] = await Promise.all([this.getLimits(userId), this.getSpend(userId)]);
+        const resets = nextResets();
+        return {
+            userId,
+            enforced: this.config.quotasEnabled,
+            limits,
+            spend,
+            remaining: { dailyUsd: roundUsd(Math.max(limits.dailyLimitUsd - spend.dailyUsd, 0)), monthlyUsd: roundUsd(Math.max(limits.monthlyLimitUsd - spend.monthlyUsd, 0)) },
+            resets: { daily: resets.daily.toISOString(), monthly: resets.monthly.toISOString() }
+        };
+    }
+    // Returns the first limit the request would break (monthly before daily), or null when it may proceed.
+    async checkQuota(userId, estimatedCostUsd = 0) {
+        if (!this.config.quotasEnabled) return null;
+        const status = await this.getStatus(userId);
+        const exceeds = (spent, limit) => spent >= limit || spent + estimatedCostUsd > limit;
+        if (exceeds(status.spend.monthlyUsd, status.limits.monthlyLimitUsd)) return { period: 'monthly', statusCode: 402, limitUsd: status.limits.monthlyLimitUsd, spentUsd: status.spend.monthlyUsd, estimatedCostUsd, resetAt: status.resets.monthly };
+        if (exceeds(status.spend.dailyUsd, status.limits.dailyLimitUsd)) return { period: 'daily', statusCode: 429, limitUsd: status.limits.dailyLimitUsd, spentUsd: status.spend.dailyUsd, estimatedCostUsd, resetAt: status.resets.daily };
+        return null;
+    }
+    // Patch semantics: omitted limits are kept, null resets a limit to the configured default.
+    async setLimits(userId, patch, updatedBy) {
+        const query = `MERGE SpendQuotas AS target USING (SELECT @userId AS user_id) AS source ON target.user_id = source.user_id WHEN MATCHED THEN UPDATE SET daily_limit_usd = CASE WHEN @setDaily = 1 THEN @dailyLimitUsd ELSE target.daily_limit_usd END, monthly_limit_usd = CASE WHEN @setMonthly = 1 THEN @monthlyLimitUsd ELSE target.monthly_limit_usd END, updated_by = @updatedBy, updated_at = GETDATE() WHEN NOT MATCHED THEN INSERT (user_id, daily_limit_usd, monthly_limit_usd, updated_by, created_at, updated_at) VALUES (@userId, @dailyLimitUsd, @monthlyLimitUsd, @updatedBy, GETDATE(), GETDATE());`;
+        await database.executeQuery(query, { userId, dailyLimitUsd: patch.dailyLimitUsd ?? null, monthlyLimitUsd: patch.monthlyLimitUsd ?? null, setDaily: 'dailyLimitUsd' in patch ? 1 : 0, setMonthly: 'monthlyLimitUsd' in patch ? 1 : 0, updatedBy }, 'set-spend-quota');
+        logger.warn('Spend quota updated', { component: 'QuotaService', userId, ...patch, updatedBy });
+        return this.getStatus(userId);
+    }
+}
+module.exports = {
+    QuotaService,
+    describeViolation
+};
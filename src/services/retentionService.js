@@ -0,0 +1,162 @@
+// @compliance BIG_BROTHER_V2
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RETENTION_CONFIG = {
+    retentionDays: parseInt(process.env.DATA_RETENTION_DAYS) || 90,
+    purgeGraceDays: parseInt(process.env.DATA_PURGE_GRACE_DAYS) || 30,
+    batchSize: parseInt(process.env.RETENTION_BATCH_SIZE) || 200,
+    scheduleEnabled: process.env.RETENTION_SCHEDULE_ENABLED !== 'false',
+    runIntervalMs: parseInt(process.env.RETENTION_RUN_INTERVAL_MS) || 86400000,
+    initialDelayMs: parseInt(process.env.RETENTION_INITIAL_DELAY_MS) || 60000
+};
+// Child tables are purged before Conversations; later features register their per-conversation tables here.
+const PURGE_TABLES = ['PiiVault', 'Messages'];
+const UNDER_LEGAL_HOLD = `EXISTS (SELECT 1 FROM LegalHolds h WHERE h.released_at IS NULL AND ((h.scope = 'conversation' AND h.target_id = LOWER(CAST(c.conversation_id AS NVARCHAR(36)))) OR (h.scope = 'user' AND h.target_id = c.user_id)))`;
+function daysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date;
+}
+class RetentionService {
+    constructor(config = RETENTION_CONFIG) {
+        this.config = config;
+        this.running = false;
+    }
+    async softDeleteExpired() {
+        const cutoffDate = daysAgo(this.config.retentionDays);
+        const query = `UPDATE c SET status = 'deleted', deleted_at = GETDATE(), updated_at = GETDATE() FROM Conversations c WHERE c.updated_at < @cutoffDate AND c.status != 'deleted' AND NOT ${UNDER_LEGAL_HOLD}`;
+        const result = await database.executeQuery(query, { cutoffDate }, 'retention-soft-delete');
+        return { softDeleted: result.rowsAffected[0] || 0, cutoffDate };
+    }
+    async countHeld() {
+        const query = `SELECT COUNT(*) AS held FROM Conversations c WHERE (c.updated_at < @cutoffDate OR c.status = 'deleted') AND ${UNDER_LEGAL_HOLD}`;
+        const result = await database.executeQuery(query, { cutoffDate: daysAgo(this.config.retentionDays) }, 'retention-count-held');
+        return result.recordset[0]?.held || 0;
+    }
+    async purgeDeleted({ dryRun = false } = {}) {
+        const graceCutoff = daysAgo(this.config.purgeGraceDays);
+        const eligible = `FROM Conversations c WHERE c.status = 'deleted' AND COALESCE(c.deleted_at, c.updated_at) < @graceCutoff AND NOT ${UNDER_LEGAL_HOLD}`;
+        const totals = { conversations: 0, rows: Object.fromEntries(PURGE_TABLES.map(table => [table, 0])) };
+        if (dryRun) {
+            const counts = PURGE_TABLES.map(table => `(SELECT COUNT(*) FROM ${table} WHERE conversation_id IN (SELECT c.conversation_id ${eligible})) AS [${table}]`);
+            const result = await database.executeQuery(`SELECT (SELECT COUNT(*) ${eligible}) AS conversations, ${counts.join(', ')}`, { graceCutoff }, 'retention-purge-preview');
+            const row = result.recordset[0] || {};
+            PURGE_TABLES.forEach(table => { totals.rows[table] = row[table] || 0; });
+            return { ...totals, conversations: row.conversations || 0, graceCutoff };
+        }
+        for (;;) {
+            const batch = await database.executeQuery(`SELECT TOP (@batchSize) c.conversation_id ${eligible}`, { graceCutoff, batchSize: this.config.batchSize }, 'retention-purge-select');
+            const ids = batch.recordset.map(row => row.conversation_id);
+            if (ids.length === 0) break;
+            const purged = await this.purgeConversations(ids);
+            PURGE_TABLES.forEach(table => { totals.rows[table] += purged.rows[table]; });
+            totals.conversations += purged.conversations;
+            if (ids.length < this.config.batchSize) break;
+        }
+        return { ...totals, graceCutoff };
+    }
+    async purgeConversations(conversationIds) {
+        const totals = { conversations: 0, rows: Object.fromEntries(PURGE_TABLES.map(table => [table, 0])) };
+        for (let start = 0; start < conversationIds.length; start += this.config.batchSize) {
+            const ids = conversationIds.slice(start, start + this.config.batchSize);
+            const params = Object.fromEntries(ids.map((id, index) => [`id${index}`, id]));
+            const idList = ids.map((id, index) => `@id${index}`).join(', ');
+            const statements = [...PURGE_TABLES, 'Conversations'].map(table => `DELETE FROM ${table} WHERE conversation_id IN (${idList});`);
+            const result = await database.executeQuery(`SET XACT_ABORT ON; BEGIN TRANSACTION; ${statements.join(' ')} COMMIT TRANSACTION;`, params, 'retention-purge-delete');
+            PURGE_TABLES.forEach((table, index) => { totals.rows[table] += result.rowsAffected[index] || 0; });
+            totals.conversations += result.rowsAffected[PURGE_TABLES.length] || 0;
+        }
+        return totals;
+    }
+    async getUserConversationHolds(userId) {
+        const query = `SELECT c.conversation_id, CASE WHEN ${UNDER_LEGAL_HOLD} THEN 1 ELSE 0 END AS held FROM Conversations c WHERE c.user_id = @userId`;
+        const result = await database.executeQuery(query, { userId }, 'retention-user-holds');
+        return {
+            eligible: result.recordset.filter(row => !row.held).map(row => row.conversation_id),
+            held: result.recordset.filter(row => row.held).map(row => row.conversation_id)
+        };
+    }
+    async run({ trigger = 'manual', dryRun = false } = {}) {
+        if (this.running) throw new Error('A retention run is already in progress');
+        this.running = true;
+        const timer = logger.performance('retention-run', 'RetentionService');
+        const summary = { runId: uuidv4(), trigger, dryRun, retentionDays: this.config.retentionDays, purgeGraceDays: this.config.purgeGraceDays, startedAt: new Date(), softDeleted: 0, purged: null, heldConversations: 0, status: 'completed' };
+        try {
+            summary.heldConversations = await this.countHeld();
+            if (!dryRun) summary.softDeleted = (await this.softDeleteExpired()).softDeleted;
+            summary.purged = await this.purgeDeleted({ dryRun });
+            timer.addMetadata('softDeleted', summary.softDeleted);
+            timer.addMetadata('purgedConversations', summary.purged.conversations);
+            timer.end('Retention run completed');
+        } catch (error) {
+            summary.status = 'failed';
+            summary.error = error.message;
+            timer.endWithError(error, 'Retention run failed');
+        } finally {
+            this.running = false;
+            summary.completedAt = new Date();
+            await this.recordRun(summary);
+        }
+        if (summary.status === 'failed') throw new Error(`Retention run ${summary.runId} failed: ${summary.error}`);
+        return summary;
+    }
+    async recordRun(summary) {
+        const query = `INSERT INTO RetentionAuditLog (run_id, trigger_source, dry_run, started_at, completed_at, retention_days, grace_days, soft_deleted, purged_conversations, purged_rows, held_conversations, status, error_message) VALUES (@runId, @trigger, @dryRun, @startedAt, @completedAt, @retentionDays, @purgeGraceDays, @softDeleted, @purgedConversations, @purgedRows, @heldConversations, @status, @error)`;
+        try {
+            await database.executeQuery(query, { runId: summary.runId, trigger: summary.trigger, dryRun: summary.dryRun, startedAt: summary.startedAt, completedAt: summary.completedAt, retentionDays: summary.retentionDays, purgeGraceDays: summary.purgeGraceDays, softDeleted: summary.softDeleted, purgedConversations: summary.purged?.conversations || 0, purgedRows: JSON.stringify(summary.purged?.rows || {}), heldConversations: summary.heldConversations, status: summary.status, error: summary.error || null }, 'retention-audit-insert');
+            logger.info('Retention run recorded', { component: 'RetentionService', ...summary });
+        } catch (error) {
+            logger.error('Failed to record retention run', { component: 'RetentionService', runId: summary.runId, error: error.message });
+        }
+    }
+    async listRuns(limit = 20, offset = 0) {
+        const query = `SELECT run_id, trigger_source, dry_run, started_at, completed_at, retention_days, grace_days, soft_deleted, purged_conversations, purged_rows, held_conversations, status, error_message FROM RetentionAuditLog ORDER BY started_at DESC OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`;
+        const result = await database.executeQuery(query, { limit, offset }, 'retention-audit-list');
+        return result.recordset.map(row => ({ runId: row.run_id, trigger: row.trigger_source, dryRun: !!row.dry_run, startedAt: row.started_at, completedAt: row.completed_at, retentionDays: row.retention_days, purgeGraceDays: row.grace_days, softDeleted: row.soft_deleted, purgedConversations: row.purged_conversations, purgedRows: JSON.parse(row.purged_rows || '{}'), heldConversations: row.held_conversations, status: row.status, error: row.error_message }));
+    }
+    async hasActiveUserHold(userId) {
+        const result = await database.executeQuery(`SELECT COUNT(*) AS holds FROM LegalHolds WHERE scope = 'user' AND target_id = @userId AND released_at IS NULL`, { userId }, 'legal-hold-check-user');
+        return (result.recordset[0]?.holds || 0) > 0;
+    }
+    async placeLegalHold({ scope, targetId, reason }, placedBy) {
+        const holdId = uuidv4();
+        const normalizedTarget = scope === 'conversation' ? targetId.toLowerCase() : targetId;
+        const query = `INSERT INTO LegalHolds (hold_id, scope, target_id, reason, placed_by, placed_at) VALUES (@holdId, @scope, @targetId, @reason, @placedBy, GETDATE())`;
+        await database.executeQuery(query, { holdId, scope, targetId: normalizedTarget, reason, placedBy }, 'legal-hold-place');
+        logger.warn('Legal hold placed', { component: 'RetentionService', holdId, scope, targetId: normalizedTarget, placedBy });
+        return { holdId, scope, targetId: normalizedTarget, reason, placedBy, placedAt: new Date().toISOString(), releasedAt: null };
+    }
+    async releaseLegalHold(holdId, releasedBy) {
+        const query = `UPDATE LegalHolds SET released_at = GETDATE(), released_by = @releasedBy WHERE hold_id = @holdId AND released_at IS NULL`;
+        const result = await database.executeQuery(query, { holdId, releasedBy }, 'legal-hold-release');
+        if (result.rowsAffected[0] === 0) return false;
+        logger.warn('Legal hold released', { component: 'RetentionService', holdId, releasedBy });
+        return true;
+    }
+    async listLegalHolds(includeReleased = false) {
+        const query = `SELECT hold_id, scope, target_id, reason, placed_by, placed_at, released_by, released_at FROM LegalHolds${includeReleased ? '' : ' WHERE released_at IS NULL'} ORDER BY placed_at DESC`;
+        const result = await database.executeQuery(query, {}, 'legal-hold-list');
+        return result.recordset.map(row => ({ holdId: row.hold_id, scope: row.scope, targetId: row.target_id, reason: row.reason, placedBy: row.placed_by, placedAt: row.placed_at, releasedBy: row.released_by, releasedAt: row.released_at }));
+    }
+}
+function scheduleRetention(service = new RetentionService(), { runIntervalMs, initialDelayMs } = RETENTION_CONFIG) {
+    const tick = () => service.run({ trigger: 'scheduler' }).catch(error => logger.error('Scheduled retention run failed', { component: 'RetentionService', error: error.message }));
+    const initialRun = setTimeout(tick, initialDelayMs);
+    const interval = setInterval(tick, runIntervalMs);
+    initialRun.unref();
+    interval.unref();
+    logger.info('Retention scheduler started', { component: 'RetentionService', runIntervalMs, initialDelayMs, retentionDays: service.config.retentionDays, purgeGraceDays: service.config.purgeGraceDays });
+    return {
+        stop() {
+            clearTimeout(initialRun);
+            clearInterval(interval);
+        }
+    };
+}
+module.exports = {
+    RETENTION_CONFIG,
+    PURGE_TABLES,
+    RetentionService,
+    scheduleRetention
+};
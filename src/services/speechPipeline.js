@@ -0,0 +1,53 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('../utils/logger');
+const SentenceChunker = require('../utils/sentenceChunker');
+const { getAudioFormat } = require('../utils/audioFormats');
+class SpeechPipeline {
+    constructor(aiService, { voiceId = null, voiceSettings = null, outputFormat = 'mp3_44100_128', modelId = null, market = null, pronunciations = {}, provider = null, userId = null, signal = null, onAudio, onAudioError } = {}) {
+        this.aiService = aiService;
+        this.modelId = modelId;
+        this.market = market;
+        this.pronunciations = pronunciations;
+        this.provider = provider;
+        this.userId = userId;
+        this.voiceId = voiceId;
+        this.voiceSettings = voiceSettings;
+        this.outputFormat = outputFormat;
+        this.signal = signal;
+        this.onAudio = onAudio;
+        this.onAudioError = onAudioError;
+        this.chunker = new SentenceChunker();
+        this.queue = Promise.resolve();
+        this.startTime = Date.now();
+        this.stats = { queued: 0, chunks: 0, failed: 0, bytes: 0, firstAudioMs: null };
+    }
+    push(text) {
+        this.chunker.push(text).forEach(sentence => this.enqueue(sentence));
+    }
+    async finish() {
+        this.chunker.flush().forEach(sentence => this.enqueue(sentence));
+        await this.queue;
+        return this.stats;
+    }
+    enqueue(sentence) {
+        const index = this.stats.queued++;
+        this.queue = this.queue.then(() => this.synthesizeSentence(index, sentence));
+    }
+    async synthesizeSentence(index, sentence) {
+        if (this.signal?.aborted) return;
+        try {
+            const options = { userId: this.userId, modelId: this.modelId, market: this.market, provider: this.provider, pronunciations: this.pronunciations };
+            const voiceResult = await this.aiService.synthesizeVoice(sentence, this.voiceId, this.voiceSettings, this.outputFormat, options);
+            if (this.signal?.aborted) return;
+            if (this.stats.firstAudioMs === null) this.stats.firstAudioMs = Date.now() - this.startTime;
+            this.stats.chunks++;
+            this.stats.bytes += voiceResult.audioSize;
+            if (this.onAudio) this.onAudio({ index, text: sentence, data: voiceResult.audioBuffer.toString('base64'), format: voiceResult.format, mimeType: getAudioFormat(voiceResult.format).mimeType, size: voiceResult.audioSize, voiceId: voiceResult.voiceId });
+        } catch (error) {
+            this.stats.failed++;
+            logger.error('Sentence synthesis failed', { component: 'SpeechPipeline', index, textLength: sentence.length, error: error.message });
+            if (this.onAudioError) this.onAudioError({ index, text: sentence, message: 'Unable to synthesize this part of the response' });
+        }
+    }
+}
+module.exports = SpeechPipeline;
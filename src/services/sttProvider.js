@@ -0,0 +1,84 @@
+// @compliance BIG_BROTHER_V2
+const axios = require('axios');
+const FormData = require('form-data');
+const logger = require('../utils/logger');
+const { STT_CONFIG } = require('../config/aiConfig');
+const STUB_DEFAULT_TRANSCRIPT = 'I am looking for a three bedroom home with a yard.';
+class WhisperSTTProvider {
+    constructor(config = STT_CONFIG) {
+        this.name = 'whisper';
+        this.config = config;
+        this.client = axios.create({
+            baseURL: config.apiUrl,
+            timeout: config.requestTimeout,
+            headers: { 'Authorization': `Bearer ${config.apiKey}` }
+        });
+    }
+    async transcribe(audioBuffer, { mimeType = 'audio/webm', filename = 'audio.webm', language = null } = {}) {
+        const form = new FormData();
+        form.append('file', audioBuffer, { filename, contentType: mimeType });
+        form.append('model', this.config.model);
+        form.append('response_format', 'verbose_json');
+        if (language || this.config.language) form.append('language', language || this.config.language);
+        const response = await this.client.post('/audio/transcriptions', form, { headers: form.getHeaders(), maxBodyLength: Infinity });
+        const segments = response.data.segments || [];
+        const confidence = segments.length > 0
+            ? segments.reduce((total, segment) => total + Math.exp(segment.avg_logprob ?? 0) * (1 - (segment.no_speech_prob ?? 0)), 0) / segments.length
+            : null;
+        return {
+            transcript: (response.data.text || '').trim(),
+            confidence: confidence === null ? null : Math.round(Math.min(Math.max(confidence, 0), 1) * 1000) / 1000,
+            language: response.data.language || language || this.config.language,
+            duration: response.data.duration ?? null,
+            provider: this.name
+        };
+    }
+}
+class StubSTTProvider {
+    constructor(config = STT_CONFIG) {
+        this.name = 'stub';
+        this.config = config;
+    }
+    async transcribe(audioBuffer, { language = null } = {}) {
+        const decoded = audioBuffer.toString('utf8').trim();
+        const isText = decoded.length > 0 && !/[\u0000-\u0008\u000e-\u001f�]/.test(decoded);
+        return {
+            transcript: isText ? decoded : process.env.STT_STUB_TRANSCRIPT || STUB_DEFAULT_TRANSCRIPT,
+            confidence: isText ? 1 : 0.5,
+            language: language || this.config.language,
+            duration: null,
+            provider: this.name
+        };
+    }
+}
+const PROVIDERS = {
+    whisper: WhisperSTTProvider,
+    stub: StubSTTProvider
+};
+function createSTTProvider(config = STT_CONFIG) {
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) throw new Error(`Unsupported STT provider: ${config.provider}`);
+    return new Provider(config);
+}
+async function transcribeAudio(provider, audioBuffer, options = {}) {
+    const timer = logger.performance('speech-to-text', 'STTProvider');
+    timer.addMetadata('provider', provider.name);
+    timer.addMetadata('audioSize', audioBuffer.length);
+    try {
+        const result = await provider.transcribe(audioBuffer, options);
+        timer.addMetadata('transcriptLength', result.transcript.length);
+        timer.addMetadata('confidence', result.confidence);
+        timer.end('Audio transcribed');
+        return result;
+    } catch (error) {
+        timer.endWithError(error, 'Audio transcription failed');
+        logger.error('Audio transcription failed', { component: 'STTProvider', provider: provider.name, audioSize: audioBuffer.length, error: error.response?.data || error.message });
+        throw error;
+    }
+}
+module.exports = {
+    WhisperSTTProvider,
+    StubSTTProvider,
+    createSTTProvider,
+    transcribeAudio
+};
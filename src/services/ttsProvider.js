@@ -0,0 +1,150 @@
+// @compliance BIG_BROTHER_V2
+const axios = require('axios');
+const { ELEVENLABS_CONFIG, TTS_CONFIG } = require('../config/aiConfig');
+const { CircuitBreaker, withRetry } = require('../utils/resilience');
+const OPENAI_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+// Silent MPEG frames (zeroed side info decodes to silence) at the same constant bitrates ElevenLabs returns.
+const SILENT_MP3_FRAMES = {
+    mp3_44100_128: { header: [0xff, 0xfb, 0x90, 0xc0], size: 417, frameMs: 1152 / 44100 * 1000 },
+    mp3_22050_32: { header: [0xff, 0xf3, 0x40, 0xc0], size: 104, frameMs: 576 / 22050 * 1000 }
+};
+// One breaker per provider for the whole process, shared by every route's service instance and by the health check.
+const BREAKERS = new Map();
+function getBreaker(name) {
+    if (!BREAKERS.has(name)) BREAKERS.set(name, new CircuitBreaker(name, { failureThreshold: TTS_CONFIG.failureThreshold, cooldownMs: TTS_CONFIG.cooldownMs, isFailure: isProviderUnavailable }));
+    return BREAKERS.get(name);
+}
+// Retries run inside the breaker, so a call that exhausts its retries counts as one failure.
+function callProvider(provider, operation) {
+    return provider.breaker.execute(() => withRetry(operation, { name: provider.name, maxRetries: provider.config.maxRetries, retryDelay: provider.config.retryDelay, maxRetryDelay: provider.config.maxRetryDelay }));
+}
+class ElevenLabsTTSProvider {
+    constructor(config = ELEVENLABS_CONFIG) {
+        this.name = 'elevenlabs';
+        this.config = config;
+        this.breaker = getBreaker(this.name);
+        this.client = axios.create({
+            baseURL: config.apiUrl,
+            timeout: config.requestTimeout,
+            headers: {
+                'xi-api-key': config.apiKey,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+    isConfigured() {
+        return !!this.config.apiKey && !!this.config.defaultVoiceId;
+    }
+    supportsFormat(sourceFormat) {
+        return /^(mp3|pcm)_/.test(sourceFormat);
+    }
+    async synthesize(text, { voiceId = null, voiceSettings = null, sourceFormat, modelId = null }) {
+        const actualVoiceId = voiceId || this.config.defaultVoiceId;
+        const actualModelId = modelId || this.config.defaultModelId;
+        const settings = voiceSettings || this.config.defaultSettings;
+        const requestData = {
+            text,
+            model_id: actualModelId,
+            voice_settings: { stability: settings.stability, similarity_boost: settings.similarityBoost, style: settings.style, use_speaker_boost: settings.useSpeakerBoost }
+        };
+        const response = await callProvider(this, () => this.client.post(`/text-to-speech/${actualVoiceId}`, requestData, {
+            params: { output_format: sourceFormat },
+            headers: { 'Accept': sourceFormat.startsWith('mp3') ? 'audio/mpeg' : 'application/octet-stream' },
+            responseType: 'arraybuffer'
+        }));
+        return { audioBuffer: Buffer.from(response.data), voiceId: actualVoiceId, modelId: actualModelId };
+    }
+    async listVoices() {
+        const response = await callProvider(this, () => this.client.get('/voices'));
+        return response.data.voices.map(voice => ({ voiceId: voice.voice_id, name: voice.name, category: voice.category, description: voice.description, previewUrl: voice.preview_url, available: true }));
+    }
+}
+class OpenAITTSProvider {
+    constructor(config = TTS_CONFIG.openai) {
+        this.name = 'openai';
+        this.config = config;
+        this.breaker = getBreaker(this.name);
+        this.client = axios.create({
+            baseURL: config.apiUrl,
+            timeout: config.requestTimeout,
+            headers: { 'Authorization': `Bearer ${config.apiKey}` }
+        });
+    }
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+    // OpenAI returns MP3 at its own bitrate and raw PCM only at 24 kHz.
+    supportsFormat(sourceFormat) {
+        return sourceFormat === 'mp3_44100_128' || sourceFormat === 'pcm_24000';
+    }
+    // ElevenLabs voice and model IDs mean nothing here, so failover lands on the configured OpenAI voice.
+    async synthesize(text, { voiceId = null, sourceFormat }) {
+        const voice = OPENAI_VOICES.includes(voiceId) ? voiceId : this.config.voice;
+        const response = await callProvider(this, () => this.client.post('/audio/speech', { model: this.config.model, input: text, voice, response_format: sourceFormat.startsWith('mp3') ? 'mp3' : 'pcm' }, { responseType: 'arraybuffer' }));
+        return { audioBuffer: Buffer.from(response.data), voiceId: voice, modelId: this.config.model };
+    }
+    async listVoices() {
+        return OPENAI_VOICES.map(voice => ({ voiceId: voice, name: voice, category: 'openai', description: `OpenAI ${this.config.model} voice`, previewUrl: null, available: true }));
+    }
+}
+// Offline engine for development and tests: one tone per word for PCM, silence of the same length for MP3.
+class LocalTTSProvider {
+    constructor() {
+        this.name = 'local';
+        this.breaker = getBreaker(this.name);
+    }
+    isConfigured() {
+        return true;
+    }
+    supportsFormat(sourceFormat) {
+        return !!SILENT_MP3_FRAMES[sourceFormat] || /^pcm_\d+$/.test(sourceFormat);
+    }
+    async synthesize(text, { sourceFormat }) {
+        const words = text.split(/\s+/).filter(Boolean).map(word => ({ toneMs: Math.max(word.length * 50, 120), frequency: 180 + (word.length % 8) * 20 }));
+        const durationMs = words.reduce((total, word) => total + word.toneMs + 60, 0);
+        const audioBuffer = SILENT_MP3_FRAMES[sourceFormat] ? silentMp3(SILENT_MP3_FRAMES[sourceFormat], durationMs) : tonePcm(words, parseInt(sourceFormat.split('_')[1], 10));
+        return { audioBuffer, voiceId: 'local', modelId: 'local' };
+    }
+    async listVoices() {
+        return [{ voiceId: 'local', name: 'Local', category: 'local', description: 'Offline placeholder voice for development and tests', previewUrl: null, available: true }];
+    }
+}
+function silentMp3(frame, durationMs) {
+    const frameCount = Math.max(Math.ceil(durationMs / frame.frameMs), 1);
+    const audio = Buffer.alloc(frameCount * frame.size);
+    for (let index = 0; index < frameCount; index++) audio.set(frame.header, index * frame.size);
+    return audio;
+}
+function tonePcm(words, sampleRate) {
+    const gapSamples = Math.round(0.06 * sampleRate);
+    const audio = Buffer.alloc(words.reduce((total, word) => total + Math.round(word.toneMs / 1000 * sampleRate) + gapSamples, 0) * 2);
+    let offset = 0;
+    for (const word of words) {
+        const toneSamples = Math.round(word.toneMs / 1000 * sampleRate);
+        for (let index = 0; index < toneSamples; index++, offset += 2) audio.writeInt16LE(Math.round(Math.sin(2 * Math.PI * word.frequency * index / sampleRate) * 6000), offset);
+        offset += gapSamples * 2;
+    }
+    return audio;
+}
+// Only outages, open breakers and account problems trigger failover; a bad request would fail the same way on every provider.
+function isProviderUnavailable(error) {
+    const status = error.response?.status;
+    return !status || status >= 500 || [401, 402, 403, 408, 429].includes(status);
+}
+const PROVIDERS = {
+    elevenlabs: ElevenLabsTTSProvider,
+    openai: OpenAITTSProvider,
+    local: LocalTTSProvider
+};
+function createTTSProvider(name) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) throw new Error(`Unsupported TTS provider: ${name}`);
+    return new Provider();
+}
+module.exports = {
+    ElevenLabsTTSProvider,
+    OpenAITTSProvider,
+    LocalTTSProvider,
+    createTTSProvider,
+    isProviderUnavailable
+};
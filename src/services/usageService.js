@@ -0,0 +1,85 @@
+// @compliance BIG_BROTHER_V2
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { priceTokens, priceCharacters, roundUsd } = require('../config/pricing');
+function sinceDate(days) {
+    const since = new Date();
+    since.setDate(since.getDate() - days + 1);
+    since.setHours(0, 0, 0, 0);
+    return since;
+}
+class UsageService {
+    async recordUsage({ conversationId, model, promptTokens = 0, completionTokens = 0, purpose = 'chat' }) {
+        const costUsd = priceTokens(model, promptTokens, completionTokens);
+        const query = `UPDATE Conversations SET prompt_tokens = COALESCE(prompt_tokens, 0) + @promptTokens, completion_tokens = COALESCE(completion_tokens, 0) + @completionTokens, cost_usd = COALESCE(cost_usd, 0) + @costUsd WHERE conversation_id = @conversationId; MERGE TokenUsageDaily AS target USING (SELECT CAST(GETDATE() AS DATE) AS usage_date, user_id, @model AS model FROM Conversations WHERE conversation_id = @conversationId) AS source ON target.usage_date = source.usage_date AND target.user_id = source.user_id AND target.model = source.model WHEN MATCHED THEN UPDATE SET prompt_tokens = target.prompt_tokens + @promptTokens, completion_tokens = target.completion_tokens + @completionTokens, cost_usd = target.cost_usd + @costUsd, request_count = target.request_count + 1 WHEN NOT MATCHED THEN INSERT (usage_date, user_id, model, prompt_tokens, completion_tokens, cost_usd, request_count) VALUES (source.usage_date, source.user_id, source.model, @promptTokens, @completionTokens, @costUsd, 1);`;
+        try {
+            await database.executeQuery(query, { conversationId, model, promptTokens, completionTokens, costUsd }, 'record-token-usage');
+            logger.conversationLog(null, conversationId, 'token_usage_recorded', { model, purpose, promptTokens, completionTokens, costUsd });
+        } catch (error) {
+            logger.error('Failed to record token usage', { component: 'UsageService', conversationId, model, purpose, promptTokens, completionTokens, error: error.message });
+        }
+    }
+    async recordVoiceUsage({ userId, model, characters }) {
+        const costUsd = priceCharacters(model, characters);
+        const query = `MERGE VoiceUsageDaily AS target USING (SELECT CAST(GETDATE() AS DATE) AS usage_date, @userId AS user_id, @model AS model) AS source ON target.usage_date = source.usage_date AND target.user_id = source.user_id AND target.model = source.model WHEN MATCHED THEN UPDATE SET characters = target.characters + @characters, cost_usd = target.cost_usd + @costUsd, request_count = target.request_count + 1 WHEN NOT MATCHED THEN INSERT (usage_date, user_id, model, characters, cost_usd, request_count) VALUES (source.usage_date, source.user_id, source.model, @characters, @costUsd, 1);`;
+        try {
+            await database.executeQuery(query, { userId: userId || 'anonymous', model, characters, costUsd }, 'record-voice-usage');
+        } catch (error) {
+            logger.error('Failed to record voice usage', { component: 'UsageService', userId, model, characters, error: error.message });
+        }
+    }
+    async getUsageSummary({ days = 30, userId = null, limit = 10 } = {}) {
+        const timer = logger.performance('token-usage-summary', 'UsageService');
+        try {
+            const since = sinceDate(days);
+            const userFilter = userId ? ' AND user_id = @userId' : '';
+            const params = { since, userId, limit };
+            const [daily, users, conversations] = await Promise.all([
+                database.executeQuery(`SELECT usage_date, model, SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens, SUM(cost_usd) AS cost_usd, SUM(request_count) AS request_count FROM TokenUsageDaily WHERE usage_date >= @since${userFilter} GROUP BY usage_date, model ORDER BY usage_date DESC`, params, 'token-usage-daily'),
+                database.executeQuery(`SELECT TOP (@limit) user_id, SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens, SUM(cost_usd) AS cost_usd, SUM(request_count) AS request_count FROM TokenUsageDaily WHERE usage_date >= @since${userFilter} GROUP BY user_id ORDER BY SUM(prompt_tokens + completion_tokens) DESC`, params, 'token-usage-users'),
+                database.executeQuery(`SELECT TOP (@limit) conversation_id, user_id, prompt_tokens, completion_tokens, cost_usd, message_count FROM Conversations WHERE updated_at >= @since AND prompt_tokens IS NOT NULL${userFilter} ORDER BY (prompt_tokens + completion_tokens) DESC`, params, 'token-usage-conversations')
+            ]);
+            const totals = (row) => ({ promptTokens: row.prompt_tokens || 0, completionTokens: row.completion_tokens || 0, totalTokens: (row.prompt_tokens || 0) + (row.completion_tokens || 0), costUsd: roundUsd(Number(row.cost_usd) || 0) });
+            const byDay = daily.recordset.map(row => ({ date: new Date(row.usage_date).toISOString().slice(0, 10), model: row.model, ...totals(row), requests: row.request_count }));
+            timer.addMetadata('dayCount', byDay.length);
+            timer.end('Token usage summarized');
+            return {
+                days,
+                since: since.toISOString(),
+                totals: byDay.reduce((sum, day) => ({ promptTokens: sum.promptTokens + day.promptTokens, completionTokens: sum.completionTokens + day.completionTokens, totalTokens: sum.totalTokens + day.totalTokens, costUsd: roundUsd(sum.costUsd + day.costUsd), requests: sum.requests + day.requests }), { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, requests: 0 }),
+                byDay,
+                topUsers: users.recordset.map(row => ({ userId: row.user_id, ...totals(row), requests: row.request_count })),
+                topConversations: conversations.recordset.map(row => ({ conversationId: row.conversation_id, userId: row.user_id, ...totals(row), messageCount: row.message_count }))
+            };
+        } catch (error) {
+            timer.endWithError(error, 'Token usage summary failed');
+            throw error;
+        }
+    }
+    async getVoiceUsageSummary({ days = 30, userId = null, limit = 10 } = {}) {
+        const timer = logger.performance('voice-usage-summary', 'UsageService');
+        try {
+            const since = sinceDate(days);
+            const userFilter = userId ? ' AND user_id = @userId' : '';
+            const params = { since, userId, limit };
+            const [daily, users] = await Promise.all([
+                database.executeQuery(`SELECT usage_date, model, SUM(characters) AS characters, SUM(cost_usd) AS cost_usd, SUM(request_count) AS request_count FROM VoiceUsageDaily WHERE usage_date >= @since${userFilter} GROUP BY usage_date, model ORDER BY usage_date DESC`, params, 'voice-usage-daily'),
+                database.executeQuery(`SELECT TOP (@limit) user_id, SUM(characters) AS characters, SUM(cost_usd) AS cost_usd, SUM(request_count) AS request_count FROM VoiceUsageDaily WHERE usage_date >= @since${userFilter} GROUP BY user_id ORDER BY SUM(characters) DESC`, params, 'voice-usage-users')
+            ]);
+            const totals = (row) => ({ characters: row.characters || 0, costUsd: roundUsd(Number(row.cost_usd) || 0), requests: row.request_count || 0 });
+            const byDay = daily.recordset.map(row => ({ date: new Date(row.usage_date).toISOString().slice(0, 10), model: row.model, ...totals(row) }));
+            timer.end('Voice usage summarized');
+            return {
+                days,
+                since: since.toISOString(),
+                totals: byDay.reduce((sum, day) => ({ characters: sum.characters + day.characters, costUsd: roundUsd(sum.costUsd + day.costUsd), requests: sum.requests + day.requests }), { characters: 0, costUsd: 0, requests: 0 }),
+                byDay,
+                topUsers: users.recordset.map(row => ({ userId: row.user_id, ...totals(row) }))
+            };
+        } catch (error) {
+            timer.endWithError(error, 'Voice usage summary failed');
+            throw error;
+        }
+    }
+}
+module.exports = UsageService;
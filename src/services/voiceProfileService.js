@@ -0,0 +1,111 @@
+// @compliance BIG_BROTHER_V2
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { getVoiceSettings } = require('../config/aiConfig');
+// Most specific first: an agent's own profile overrides one of the same name set for their office or tenant.
+const PROFILE_SCOPES = ['agent', 'office', 'tenant'];
+const PROFILE_COLUMNS = 'profile_id, name, scope_type, scope_id, voice_id, model_id, voice_settings, pronunciations, greeting, market, created_by, updated_by, created_at, updated_at';
+function toProfile(row) {
+    return {
+        profileId: row.profile_id,
+        name: row.name,
+        scopeType: row.scope_type,
+        scopeId: row.scope_id,
+        voiceId: row.voice_id,
+        modelId: row.model_id,
+        voiceSettings: row.voice_settings ? JSON.parse(row.voice_settings) : null,
+        pronunciations: row.pronunciations ? JSON.parse(row.pronunciations) : {},
+        greeting: row.greeting,
+        market: row.market,
+        createdBy: row.created_by,
+        updatedBy: row.updated_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+function pickProfile(profiles, scopes) {
+    return PROFILE_SCOPES.map(scopeType => profiles.find(profile => profile.scopeType === scopeType && profile.scopeId === scopes[scopeType])).find(Boolean) || null;
+}
+// Explicit request options win over the profile; request voice settings are merged field by field over the profile's.
+function applyVoiceProfile(profile, { voiceId = null, voiceSettings = null, modelId = null, market = null } = {}) {
+    return {
+        voiceId: voiceId || profile?.voiceId || null,
+        voiceSettings: profile?.voiceSettings ? getVoiceSettings('medium', { ...profile.voiceSettings, ...voiceSettings }) : voiceSettings || getVoiceSettings('medium'),
+        modelId: modelId || profile?.modelId || null,
+        market: market || profile?.market || null,
+        pronunciations: profile?.pronunciations || {},
+        greeting: profile?.greeting || null
+    };
+}
+function profileParams(fields) {
+    return {
+        name: fields.name,
+        scopeType: fields.scopeType,
+        scopeId: fields.scopeId,
+        voiceId: fields.voiceId || null,
+        modelId: fields.modelId || null,
+        voiceSettings: fields.voiceSettings ? JSON.stringify(fields.voiceSettings) : null,
+        pronunciations: fields.pronunciations ? JSON.stringify(fields.pronunciations) : null,
+        greeting: fields.greeting || null,
+        market: fields.market || null
+    };
+}
+class VoiceProfileService {
+    async listProfiles({ name = null, scopeType = null, scopeId = null, scopes = null } = {}) {
+        const visible = scopes ? PROFILE_SCOPES.filter(type => scopes[type]).map(type => `(scope_type = '${type}' AND scope_id = @${type}Id)`) : [];
+        if (scopes && visible.length === 0) return [];
+        const conditions = [name && 'name = @name', scopeType && 'scope_type = @scopeType', scopeId && 'scope_id = @scopeId', visible.length > 0 && `(${visible.join(' OR ')})`].filter(Boolean);
+        const query = `SELECT ${PROFILE_COLUMNS} FROM VoiceProfiles${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY scope_type, scope_id, name`;
+        const result = await database.executeQuery(query, { name, scopeType, scopeId, agentId: scopes?.agent || null, officeId: scopes?.office || null, tenantId: scopes?.tenant || null }, 'list-voice-profiles');
+        return result.recordset.map(toProfile);
+    }
+    async getProfile(profileId) {
+        const result = await database.executeQuery(`SELECT ${PROFILE_COLUMNS} FROM VoiceProfiles WHERE profile_id = @profileId`, { profileId }, 'get-voice-profile');
+        return result.recordset[0] ? toProfile(result.recordset[0]) : null;
+    }
+    async findByName(name, scopeType, scopeId) {
+        const result = await database.executeQuery(`SELECT ${PROFILE_COLUMNS} FROM VoiceProfiles WHERE name = @name AND scope_type = @scopeType AND scope_id = @scopeId`, { name, scopeType, scopeId }, 'find-voice-profile');
+        return result.recordset[0] ? toProfile(result.recordset[0]) : null;
+    }
+    // Names are unique per scope, so the same name can be reused by every agent and office.
+    async assertNameFree(fields, profileId = null) {
+        const existing = await this.findByName(fields.name, fields.scopeType, fields.scopeId);
+        if (existing && existing.profileId !== profileId) {
+            const error = new Error(`A voice profile named "${fields.name}" already exists for this ${fields.scopeType}`);
+            error.statusCode = 409;
+            throw error;
+        }
+    }
+    async createProfile(fields, createdBy) {
+        await this.assertNameFree(fields);
+        const profileId = uuidv4();
+        const query = `INSERT INTO VoiceProfiles (profile_id, name, scope_type, scope_id, voice_id, model_id, voice_settings, pronunciations, greeting, market, created_by, updated_by, created_at, updated_at) VALUES (@profileId, @name, @scopeType, @scopeId, @voiceId, @modelId, @voiceSettings, @pronunciations, @greeting, @market, @createdBy, @createdBy, GETDATE(), GETDATE())`;
+        await database.executeQuery(query, { profileId, ...profileParams(fields), createdBy }, 'create-voice-profile');
+        logger.info('Voice profile created', { component: 'VoiceProfileService', profileId, name: fields.name, scopeType: fields.scopeType, scopeId: fields.scopeId, createdBy });
+        return this.getProfile(profileId);
+    }
+    async updateProfile(profileId, fields, updatedBy) {
+        await this.assertNameFree(fields, profileId);
+        const query = `UPDATE VoiceProfiles SET name = @name, scope_type = @scopeType, scope_id = @scopeId, voice_id = @voiceId, model_id = @modelId, voice_settings = @voiceSettings, pronunciations = @pronunciations, greeting = @greeting, market = @market, updated_by = @updatedBy, updated_at = GETDATE() WHERE profile_id = @profileId`;
+        const result = await database.executeQuery(query, { profileId, ...profileParams(fields), updatedBy }, 'update-voice-profile');
+        if (!result.rowsAffected[0]) return null;
+        logger.info('Voice profile updated', { component: 'VoiceProfileService', profileId, name: fields.name, updatedBy });
+        return this.getProfile(profileId);
+    }
+    async deleteProfile(profileId) {
+        const result = await database.executeQuery(`DELETE FROM VoiceProfiles WHERE profile_id = @profileId`, { profileId }, 'delete-voice-profile');
+        return result.rowsAffected[0] || 0;
+    }
+    // Looks a profile up by name across the agent, office and tenant in `scopes`, returning the most specific match. Callers
+    // pass the conversation's agent when there is one, so clients hear their agent's voice.
+    async resolveProfile(name, scopes) {
+        return pickProfile(await this.listProfiles({ name: String(name).toLowerCase(), scopes }), scopes);
+    }
+}
+module.exports = {
+    VoiceProfileService,
+    PROFILE_SCOPES,
+    pickProfile,
+    applyVoiceProfile
+};
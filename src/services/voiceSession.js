@@ -0,0 +1,161 @@
+// @compliance BIG_BROTHER_V2
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { chatMessageSchema } = require('../utils/validators');
+const { VOICE_CONFIG, getVoiceSettings } = require('../config/aiConfig');
+const SpeechPipeline = require('./speechPipeline');
+const { isFormatAvailable, getSupportedFormats } = require('../utils/audioFormats');
+const { listMarkets } = require('../config/pronunciation');
+const { QuotaService, describeViolation } = require('./quotaService');
+const quotaService = new QuotaService();
+class VoiceSession {
+    constructor(socket, aiService, state = {}) {
+        this.socket = socket;
+        this.aiService = aiService;
+        this.sessionId = state.sessionId || uuidv4();
+        this.conversationId = state.conversationId || null;
+        this.userId = state.userId || null;
+        this.voice = state.voice || { enabled: true, voiceId: null, voiceSettings: getVoiceSettings('medium'), outputFormat: VOICE_CONFIG.defaultFormat };
+        this.activeTurn = null;
+        this.pendingTurn = state.pendingTurn || null;
+        this.turnCount = state.turnCount || 0;
+    }
+    send(type, payload = {}) {
+        if (this.socket.readyState !== this.socket.OPEN) return false;
+        this.socket.send(JSON.stringify({ type, sessionId: this.sessionId, ...payload }));
+        return true;
+    }
+    announce(resumed = false) {
+        this.send('session', { conversationId: this.conversationId, resumed, voice: { enabled: this.voice.enabled, voiceId: this.voice.voiceId, outputFormat: this.voice.outputFormat } });
+    }
+    async handleFrame(raw) {
+        let frame;
+        try {
+            frame = JSON.parse(raw.toString());
+        } catch (error) {
+            return this.send('error', { error: 'Invalid Frame', message: 'Frames must be JSON objects' });
+        }
+        switch (frame.type) {
+            case 'text':
+                return this.startTurn(frame.text, 'text');
+            case 'transcript':
+                return this.startTurn(frame.text, 'transcript', frame.confidence);
+            case 'cancel':
+                return this.cancelTurn('client-cancel');
+            case 'configure':
+                return this.configure(frame);
+            case 'ping':
+                return this.send('pong', { timestamp: new Date().toISOString() });
+            default:
+                return this.send('error', { error: 'Unknown Frame Type', message: `Unsupported frame type: ${frame.type}` });
+        }
+    }
+    configure(frame) {
+        if (frame.voiceSettings) {
+            const validationErrors = this.aiService.validateVoiceSettings(frame.voiceSettings);
+            if (validationErrors.length > 0) return this.send('error', { error: 'Invalid Voice Settings', message: 'Voice settings validation failed', details: validationErrors });
+        }
+        if (frame.outputFormat && !isFormatAvailable(frame.outputFormat)) {
+            return this.send('error', { error: 'Invalid Output Format', message: `Output format must be one of: ${getSupportedFormats().join(', ')}` });
+        }
+        if (frame.modelId && !VOICE_CONFIG.supportedModels.includes(frame.modelId)) {
+            return this.send('error', { error: 'Invalid Model', message: `Model must be one of: ${VOICE_CONFIG.supportedModels.join(', ')}` });
+        }
+        if (frame.market && !listMarkets().includes(String(frame.market).toLowerCase())) {
+            return this.send('error', { error: 'Invalid Market', message: `Market must be one of: ${listMarkets().join(', ')}` });
+        }
+        if (frame.provider && !this.aiService.voiceService.listProviders().includes(frame.provider)) {
+            return this.send('error', { error: 'Invalid Provider', message: `Provider must be one of: ${this.aiService.voiceService.listProviders().join(', ')}` });
+        }
+        this.voice = {
+            enabled: frame.audio !== undefined ? !!frame.audio : this.voice.enabled,
+            voiceId: frame.voiceId || this.voice.voiceId,
+            voiceSettings: frame.voiceSettings ? getVoiceSettings('medium', frame.voiceSettings) : this.voice.voiceSettings,
+            outputFormat: frame.outputFormat || this.voice.outputFormat,
+            modelId: frame.modelId || this.voice.modelId || null,
+            market: frame.market || this.voice.market || null,
+            provider: frame.provider || this.voice.provider || null
+        };
+        this.announce(false);
+    }
+    cancelTurn(reason) {
+        const turn = this.activeTurn;
+        if (!turn || turn.controller.signal.aborted) return;
+        turn.controller.abort();
+        this.send('cancelled', { turnId: turn.turnId, reason });
+        logger.info('Voice session turn cancelled', { component: 'VoiceSession', sessionId: this.sessionId, turnId: turn.turnId, reason });
+    }
+    startTurn(text, source, confidence = null) {
+        const previous = this.activeTurn;
+        this.cancelTurn('barge-in');
+        const turn = { turnId: uuidv4(), controller: new AbortController() };
+        this.activeTurn = turn;
+        // Cleared however the turn ends, including rejections before it starts streaming, so it is not cancelled later.
+        turn.promise = (previous ? previous.promise : this.pendingTurn || Promise.resolve()).then(() => this.runTurn(turn, text, source, confidence)).finally(() => {
+            if (this.activeTurn === turn) this.activeTurn = null;
+        });
+        return turn.promise;
+    }
+    async runTurn(turn, text, source, confidence) {
+        const { signal } = turn.controller;
+        if (signal.aborted) return;
+        const timer = logger.performance('voice-session-turn', 'VoiceSession');
+        const { error, value } = chatMessageSchema.validate({ message: text, conversationId: this.conversationId || undefined }, { stripUnknown: true, convert: true });
+        if (error) {
+            timer.end('Voice session turn rejected');
+            return this.send('error', { turnId: turn.turnId, error: 'Validation Error', message: error.details[0].message });
+        }
+        let violation = null;
+        try {
+            violation = await quotaService.checkQuota(this.userId);
+        } catch (error) {
+            logger.error('Spend quota check failed', { component: 'VoiceSession', sessionId: this.sessionId, error: error.message });
+        }
+        if (violation) {
+            timer.end('Voice session turn over spend quota');
+            return this.send('error', { turnId: turn.turnId, ...describeViolation(violation), quota: violation });
+        }
+        this.turnCount++;
+        this.send('turn_start', { turnId: turn.turnId, source, confidence });
+        const speech = this.voice.enabled ? new SpeechPipeline(this.aiService, {
+            voiceId: this.voice.voiceId,
+            userId: this.userId,
+            voiceSettings: this.voice.voiceSettings,
+            outputFormat: this.voice.outputFormat,
+            modelId: this.voice.modelId,
+            market: this.voice.market,
+            provider: this.voice.provider,
+            signal,
+            onAudio: (chunk) => this.send('audio', { turnId: turn.turnId, ...chunk }),
+            onAudioError: (failure) => this.send('audio_error', { turnId: turn.turnId, ...failure })
+        }) : null;
+        try {
+            const result = await this.aiService.streamChatMessage(value.message, this.conversationId, this.userId, {}, {
+                signal,
+                onStart: ({ conversationId }) => {
+                    if (this.conversationId === conversationId) return;
+                    this.conversationId = conversationId;
+                    this.announce(false);
+                },
+                onDelta: (content) => {
+                    this.send('text_delta', { turnId: turn.turnId, content });
+                    if (speech) speech.push(content);
+                }
+            });
+            const audioStats = speech ? await speech.finish() : null;
+            timer.addMetadata('sessionId', this.sessionId);
+            timer.addMetadata('aborted', signal.aborted);
+            timer.end('Voice session turn completed');
+            this.send('turn_end', { turnId: turn.turnId, success: !result.metadata.error, conversationId: result.conversationId, messageId: result.messageId, response: result.response, aborted: signal.aborted, tokenCount: result.metadata.tokenCount, audio: audioStats ? { chunks: audioStats.chunks, failedChunks: audioStats.failed, firstAudioMs: audioStats.firstAudioMs } : null });
+        } catch (error) {
+            timer.endWithError(error, 'Voice session turn failed');
+            this.send('error', { turnId: turn.turnId, error: 'Turn Failed', message: 'Unable to process your message at this time' });
+        }
+    }
+    detach() {
+        const pendingTurn = this.activeTurn ? this.activeTurn.promise : null;
+        this.cancelTurn('disconnect');
+        return { sessionId: this.sessionId, conversationId: this.conversationId, userId: this.userId, voice: this.voice, turnCount: this.turnCount, pendingTurn };
+    }
+}
+module.exports = VoiceSession;
@@ -0,0 +1,124 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('../utils/logger');
+const { TTS_CONFIG } = require('../config/aiConfig');
+const { getAudioFormat, convertAudio } = require('../utils/audioFormats');
+const { createTTSProvider, isProviderUnavailable } = require('./ttsProvider');
+class VoiceSynthesisService {
+    constructor(config = TTS_CONFIG) {
+        this.config = config;
+        this.providers = new Map();
+        for (const name of new Set([config.provider, ...config.fallbackProviders])) {
+            const provider = createTTSProvider(name);
+            if (provider.isConfigured()) this.providers.set(name, provider);
+            else logger.warn('Voice provider not configured, leaving it out of the failover chain', { component: 'VoiceSynthesisService', provider: name });
+        }
+        this.elevenlabsClient = this.providers.get('elevenlabs')?.client || null;
+    }
+    listProviders() {
+        return [...this.providers.keys()];
+    }
+    isHealthy(name) {
+        return this.providers.get(name).breaker.isAvailable();
+    }
+    // The requested provider leads, then the configured order; providers whose circuit is open go last and fail fast.
+    orderProviders(preferred = null, sourceFormat = null) {
+        const names = this.listProviders().filter(name => !sourceFormat || this.providers.get(name).supportsFormat(sourceFormat));
+        const ordered = names.includes(preferred) ? [preferred, ...names.filter(name => name !== preferred)] : names;
+        return [...ordered.filter(name => this.isHealthy(name)), ...ordered.filter(name => !this.isHealthy(name))];
+    }
+    getProviderHealth() {
+        return this.listProviders().map(name => ({ provider: name, primary: name === this.config.provider, healthy: this.isHealthy(name), ...this.providers.get(name).breaker.getState() }));
+    }
+    // Tries each candidate provider in turn; only outages fail over, other errors are returned to the caller as-is.
+    async withFailover(operation, candidates, perform) {
+        let lastError = null;
+        for (const name of candidates) {
+            try {
+                return { name, result: await perform(this.providers.get(name)) };
+            } catch (error) {
+                if (!isProviderUnavailable(error)) throw error;
+                lastError = error;
+                logger.warn('Voice provider failed, trying next provider', { component: 'VoiceSynthesisService', operation, provider: name, error: error.response?.status || error.message });
+            }
+        }
+        const error = new Error(candidates.length > 0 ? 'All voice providers are unavailable' : 'No configured voice provider supports this request');
+        error.statusCode = 503;
+        error.cause = lastError;
+        throw error;
+    }
+    async synthesizeVoice(text, voiceId = null, voiceSettings = null, outputFormat = 'mp3_44100_128', { modelId = null, provider = null } = {}) {
+        const timer = logger.performance('voice-synthesis', 'VoiceSynthesisService');
+        try {
+            const format = getAudioFormat(outputFormat);
+            const { name, result } = await this.withFailover('synthesize', this.orderProviders(provider, format.source), ttsProvider => ttsProvider.synthesize(text, { voiceId, voiceSettings, sourceFormat: format.source, modelId }));
+            const audioBuffer = await convertAudio(result.audioBuffer, outputFormat);
+            const fallback = name !== (provider || this.config.provider);
+            timer.addMetadata('textLength', text.length);
+            timer.addMetadata('voiceId', result.voiceId);
+            timer.addMetadata('provider', name);
+            timer.addMetadata('outputFormat', outputFormat);
+            timer.addMetadata('audioSize', audioBuffer.length);
+            timer.end('Voice synthesis completed');
+            logger.voiceSynthesisLog(result.voiceId, text.length, {
+                outputFormat,
+                sourceFormat: format.source,
+                audioSize: audioBuffer.length,
+                model: result.modelId,
+                provider: name,
+                fallback
+            });
+            return {
+                audioBuffer,
+                format: outputFormat,
+                voiceId: result.voiceId,
+                textLength: text.length,
+                audioSize: audioBuffer.length,
+                modelId: result.modelId,
+                provider: name,
+                fallback
+            };
+        } catch (error) {
+            timer.endWithError(error, 'Voice synthesis failed');
+            logger.error('Voice synthesis failed', {
+                component: 'VoiceSynthesisService',
+                voiceId: voiceId || 'default',
+                textLength: text.length,
+                error: error.cause?.response?.data || error.response?.data || error.message,
+                stack: error.stack
+            });
+            throw error;
+        }
+    }
+    async getAvailableVoices(provider = null) {
+        const timer = logger.performance('get-voices', 'VoiceSynthesisService');
+        try {
+            const { name, result } = await this.withFailover('list-voices', this.orderProviders(provider), ttsProvider => ttsProvider.listVoices());
+            const voices = result.map(voice => ({ ...voice, provider: name }));
+            timer.addMetadata('voiceCount', voices.length);
+            timer.addMetadata('provider', name);
+            timer.end('Available voices retrieved');
+            return voices;
+        } catch (error) {
+            timer.endWithError(error, 'Failed to get available voices');
+            logger.error('Failed to get available voices', {
+                component: 'VoiceSynthesisService',
+                error: error.response?.data || error.message
+            });
+            throw error;
+        }
+    }
+    validateVoiceSettings(settings) {
+        const errors = [];
+        if (settings.stability !== undefined && (settings.stability < 0 || settings.stability > 1)) {
+            errors.push('Stability must be between 0 and 1');
+        }
+        if (settings.similarityBoost !== undefined && (settings.similarityBoost < 0 || settings.similarityBoost > 1)) {
+            errors.push('Similarity boost must be between 0 and 1');
+        }
+        if (settings.style !== undefined && (settings.style < 0 || settings.style > 1)) {
+            errors.push('Style must be between 0 and 1');
+        }
+        return errors;
+    }
+}
+module.exports = VoiceSynthesisService;
\ No newline at end of file
@@ -0,0 +1,112 @@
+// @compliance BIG_BROTHER_V2
+const { spawn } = require('child_process');
+const logger = require('./logger');
+const AUDIO_FORMAT_CONFIG = {
+    ffmpegPath: process.env.FFMPEG_PATH || null,
+    opusBitrate: process.env.AUDIO_OPUS_BITRATE || '32k',
+    transcodeTimeoutMs: parseInt(process.env.AUDIO_TRANSCODE_TIMEOUT_MS) || 15000
+};
+// `source` is the ElevenLabs output_format requested for each client-facing format. ElevenLabs PCM is
+// headerless 16-bit little-endian mono, so wav_* adds a RIFF header and ogg_opus is transcoded with ffmpeg.
+const AUDIO_FORMATS = {
+    mp3_44100_128: { source: 'mp3_44100_128', mimeType: 'audio/mpeg', extension: 'mp3' },
+    mp3_22050_32: { source: 'mp3_22050_32', mimeType: 'audio/mpeg', extension: 'mp3' },
+    ogg_opus: { source: 'pcm_24000', mimeType: 'audio/ogg; codecs=opus', extension: 'ogg', sampleRate: 24000, container: 'ogg' }
+};
+for (const sampleRate of [16000, 22050, 24000, 44100]) {
+    AUDIO_FORMATS[`pcm_${sampleRate}`] = { source: `pcm_${sampleRate}`, mimeType: 'application/octet-stream', extension: 'pcm', sampleRate };
+    AUDIO_FORMATS[`wav_${sampleRate}`] = { source: `pcm_${sampleRate}`, mimeType: 'audio/wav', extension: 'wav', sampleRate, container: 'wav' };
+}
+function getAudioFormat(outputFormat) {
+    const format = AUDIO_FORMATS[outputFormat];
+    if (!format) throw new Error(`Unsupported output format: ${outputFormat}`);
+    return format;
+}
+function isFormatAvailable(outputFormat, config = AUDIO_FORMAT_CONFIG) {
+    const format = AUDIO_FORMATS[outputFormat];
+    return !!format && (format.container !== 'ogg' || !!config.ffmpegPath);
+}
+function getSupportedFormats(config = AUDIO_FORMAT_CONFIG) {
+    return Object.keys(AUDIO_FORMATS).filter(outputFormat => isFormatAvailable(outputFormat, config));
+}
+// ElevenLabs MP3 is constant bitrate, so durations follow from byte counts for both MP3 and PCM sources.
+function estimateDurationMs(byteLength, outputFormat) {
+    const [codec, sampleRate, kbps] = getAudioFormat(outputFormat).source.split('_');
+    if (codec === 'mp3') return Math.round(byteLength * 8 / parseInt(kbps, 10));
+    return Math.round(byteLength / (parseInt(sampleRate, 10) * 2) * 1000);
+}
+function wrapPcmInWav(pcm, sampleRate, channels = 1, bitsPerSample = 16) {
+    const header = Buffer.alloc(44);
+    const blockAlign = channels * bitsPerSample / 8;
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+function transcodeToOggOpus(pcm, sampleRate, config = AUDIO_FORMAT_CONFIG) {
+    return new Promise((resolve, reject) => {
+        const timer = logger.performance('audio-transcode', 'AudioFormats');
+        const ffmpeg = spawn(config.ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-f', 's16le', '-ar', String(sampleRate), '-ac', '1', '-i', 'pipe:0', '-c:a', 'libopus', '-b:a', config.opusBitrate, '-f', 'ogg', 'pipe:1']);
+        const chunks = [];
+        let stderr = '';
+        let settled = false;
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeout);
+            timer.endWithError(error, 'Audio transcoding failed');
+            reject(error);
+        };
+        const timeout = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            fail(new Error(`Audio transcoding timed out after ${config.transcodeTimeoutMs}ms`));
+        }, config.transcodeTimeoutMs);
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        ffmpeg.on('error', fail);
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) return fail(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeout);
+            const output = Buffer.concat(chunks);
+            timer.addMetadata('inputSize', pcm.length);
+            timer.addMetadata('outputSize', output.length);
+            timer.end('Audio transcoded to Ogg Opus');
+            resolve(output);
+        });
+        // ffmpeg may exit before reading all input; the close handler reports that failure.
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(pcm);
+    });
+}
+async function convertAudio(audioBuffer, outputFormat, config = AUDIO_FORMAT_CONFIG) {
+    const format = getAudioFormat(outputFormat);
+    if (format.container === 'wav') return wrapPcmInWav(audioBuffer, format.sampleRate);
+    if (format.container === 'ogg') {
+        if (!config.ffmpegPath) throw new Error('Ogg Opus output requires FFMPEG_PATH to be configured');
+        return transcodeToOggOpus(audioBuffer, format.sampleRate, config);
+    }
+    return audioBuffer;
+}
+module.exports = {
+    AUDIO_FORMAT_CONFIG,
+    AUDIO_FORMATS,
+    getAudioFormat,
+    isFormatAvailable,
+    getSupportedFormats,
+    estimateDurationMs,
+    wrapPcmInWav,
+    transcodeToOggOpus,
+    convertAudio
+};
@@ -0,0 +1,28 @@
+// @compliance BIG_BROTHER_V2
+const multer = require('multer');
+const logger = require('./logger');
+const { STT_CONFIG } = require('../config/aiConfig');
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: STT_CONFIG.maxFileSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (STT_CONFIG.supportedMimeTypes.includes(file.mimetype.split(';')[0].trim().toLowerCase())) return callback(null, true);
+        const error = new Error(`Unsupported audio type: ${file.mimetype}`);
+        error.code = 'UNSUPPORTED_AUDIO_TYPE';
+        callback(error);
+    }
+}).single('audio');
+const audioUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error) {
+            const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : error.code === 'UNSUPPORTED_AUDIO_TYPE' ? 415 : 400;
+            logger.warn('Audio upload rejected', { component: 'AudioUpload', requestId: req.requestId, code: error.code, error: error.message });
+            return res.status(statusCode).json({ success: false, error: 'Invalid Audio Upload', message: error.code === 'LIMIT_FILE_SIZE' ? `Audio exceeds ${Math.round(STT_CONFIG.maxFileSize / 1024 / 1024)}MB limit` : error.message, requestId: req.requestId });
+        }
+        if (!req.file || req.file.size === 0) {
+            return res.status(400).json({ success: false, error: 'Missing Audio', message: 'An audio file must be uploaded in the "audio" field', requestId: req.requestId });
+        }
+        next();
+    });
+};
+module.exports = { audioUpload };
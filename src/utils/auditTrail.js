@@ -0,0 +1,174 @@
+// @compliance BIG_BROTHER_V2
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_BYTES = 64 * 1024;
+const NEWLINE = 0x0a;
+const AUDIT_CONFIG = {
+    enabled: process.env.AUDIT_LOGGING !== 'false',
+    filePath: process.env.AUDIT_TRAIL_PATH || path.join(process.cwd(), 'logs', 'audit-trail.jsonl')
+};
+function hashEntry(entry) {
+    const { hash, ...body } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+function outcomeFor(statusCode) {
+    if (statusCode === 401 || statusCode === 403) return 'denied';
+    return statusCode < 400 ? 'success' : 'failure';
+}
+async function* readEntries(filePath) {
+    if (!fs.existsSync(filePath)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim()) yield { lineNumber, line };
+    }
+}
+class AuditTrail {
+    constructor(filePath = AUDIT_CONFIG.filePath) {
+        this.filePath = filePath;
+        this.head = null;
+        this.queue = Promise.resolve();
+        this.lastError = null;
+        this.lastRepair = null;
+    }
+    async loadHead() {
+        if (!fs.existsSync(this.filePath)) return { sequence: 0, hash: GENESIS_HASH };
+        const handle = await fs.promises.open(this.filePath, 'r+');
+        try {
+            const { size } = await handle.stat();
+            const start = Math.max(size - TAIL_BYTES, 0);
+            const { buffer } = await handle.read(Buffer.alloc(size - start), 0, size - start, start);
+            let end = buffer.length;
+            // A crash mid-append leaves a last line without its newline. That entry was never acknowledged, so it is moved
+            // aside to a .torn file and the trail is cut back to the last complete entry.
+            if (end > 0 && buffer[end - 1] !== NEWLINE) {
+                end = buffer.lastIndexOf(NEWLINE) + 1;
+                if (end === 0 && start > 0) throw new Error('Audit trail tail holds no complete entry');
+                await this.quarantineTornEntry(handle, buffer.subarray(end), start + end);
+            }
+            if (end === 0) return { sequence: 0, hash: GENESIS_HASH };
+            const lineStart = end > 1 ? buffer.lastIndexOf(NEWLINE, end - 2) + 1 : 0;
+            let last;
+            try {
+                last = JSON.parse(buffer.toString('utf8', lineStart, end));
+            } catch (error) {
+                throw new Error(`Audit trail head entry is unreadable: ${error.message}`);
+            }
+            return { sequence: last.sequence, hash: last.hash };
+        } finally {
+            await handle.close();
+        }
+    }
+    async quarantineTornEntry(handle, tornBytes, truncateAt) {
+        const tornPath = `${this.filePath}.torn`;
+        await fs.promises.appendFile(tornPath, Buffer.concat([tornBytes, Buffer.from('\n')]), { mode: 0o600 });
+        await handle.truncate(truncateAt);
+        this.lastRepair = { repairedAt: new Date().toISOString(), tornBytes: tornBytes.length, tornPath };
+        logger.warn('Torn audit trail entry quarantined', { component: 'AuditTrail', filePath: this.filePath, ...this.lastRepair });
+    }
+    async ensureHead() {
+        if (!this.head) {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            this.head = await this.loadHead();
+        }
+        return this.head;
+    }
+    recordFailure(error) {
+        this.head = null;
+        this.lastError = { message: error.message, failedAt: new Date().toISOString() };
+    }
+    append(event) {
+        const write = this.queue.then(async () => {
+            const head = await this.ensureHead();
+            const entry = { sequence: head.sequence + 1, timestamp: new Date().toISOString(), ...event, previousHash: head.hash };
+            entry.hash = hashEntry(entry);
+            await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { encoding: 'utf8', mode: 0o600 });
+            this.head = { sequence: entry.sequence, hash: entry.hash };
+            this.lastError = null;
+            return entry;
+        });
+        this.queue = write.catch(error => {
+            this.recordFailure(error);
+            logger.error('Failed to append audit entry', { component: 'AuditTrail', requestId: event.requestId, error: error.message });
+        });
+        return write;
+    }
+    // Loads (and if needed repairs) the head so a damaged trail shows up here before the next request tries to append.
+    async getHealth() {
+        if (!AUDIT_CONFIG.enabled) return { status: 'healthy', enabled: false };
+        const check = this.queue.then(() => this.ensureHead());
+        this.queue = check.catch(error => this.recordFailure(error));
+        await this.queue;
+        return { status: this.lastError ? 'unhealthy' : 'healthy', enabled: true, filePath: this.filePath, sequence: this.head ? this.head.sequence : null, lastError: this.lastError, lastRepair: this.lastRepair };
+    }
+    record(req, res, startTime) {
+        return this.append({
+            requestId: req.requestId || null,
+            actor: req.user ? { userId: req.user.userId, role: req.user.role } : { userId: 'anonymous', role: null },
+            action: `${req.method} ${req.baseUrl}${req.route?.path || ''}`,
+            resource: req.originalUrl.split('?')[0],
+            outcome: outcomeFor(res.statusCode),
+            statusCode: res.statusCode,
+            ip: req.ip || null,
+            durationMs: Date.now() - startTime
+        }).catch(() => null);
+    }
+    async verify() {
+        const result = { valid: true, entries: 0, headHash: GENESIS_HASH, error: null };
+        let previous = { sequence: 0, hash: GENESIS_HASH };
+        for await (const { lineNumber, line } of readEntries(this.filePath)) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return { ...result, valid: false, error: { lineNumber, reason: 'Unparseable entry' } };
+            }
+            if (entry.sequence !== previous.sequence + 1) return { ...result, valid: false, error: { lineNumber, sequence: entry.sequence, reason: `Expected sequence ${previous.sequence + 1}` } };
+            if (entry.previousHash !== previous.hash) return { ...result, valid: false, error: { lineNumber, sequence: entry.sequence, reason: 'Broken hash chain' } };
+            if (entry.hash !== hashEntry(entry)) return { ...result, valid: false, error: { lineNumber, sequence: entry.sequence, reason: 'Entry hash mismatch' } };
+            previous = entry;
+            result.entries++;
+            result.headHash = entry.hash;
+        }
+        return result;
+    }
+    async query({ actor = null, action = null, outcome = null, requestId = null, from = null, to = null, limit = 50 } = {}) {
+        const matches = [];
+        let skipped = 0;
+        // Unlike verify(), a search skips corrupt lines and reports how many it passed over rather than failing.
+        for await (const { lineNumber, line } of readEntries(this.filePath)) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                entry = null;
+            }
+            if (!entry || typeof entry !== 'object') {
+                skipped++;
+                logger.warn('Skipping unreadable audit trail entry', { component: 'AuditTrail', filePath: this.filePath, lineNumber });
+                continue;
+            }
+            const timestamp = new Date(entry.timestamp);
+            if (actor && entry.actor?.userId !== actor) continue;
+            if (action && !String(entry.action).includes(action)) continue;
+            if (outcome && entry.outcome !== outcome) continue;
+            if (requestId && entry.requestId !== requestId) continue;
+            if ((from && timestamp < from) || (to && timestamp > to)) continue;
+            matches.push(entry);
+            if (matches.length > limit) matches.shift();
+        }
+        return { entries: matches.reverse(), skipped };
+    }
+}
+const auditTrail = new AuditTrail();
+module.exports = {
+    AUDIT_CONFIG,
+    AuditTrail,
+    auditTrail,
+    hashEntry
+};
@@ -0,0 +1,86 @@
+// @compliance BIG_BROTHER_V2
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+const { VALIDATION_PATTERNS } = require('./validators');
+const { ROLES } = require('../config/permissions');
+const ConversationManager = require('../services/conversationManager');
+const AUTH_CONFIG = {
+    secret: process.env.JWT_SECRET,
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined,
+    expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    algorithms: ['HS256']
+};
+const conversationManager = new ConversationManager();
+function verifyAccessToken(token) {
+    if (!AUTH_CONFIG.secret) throw new Error('JWT_SECRET is not configured');
+    const payload = jwt.verify(token, AUTH_CONFIG.secret, { algorithms: AUTH_CONFIG.algorithms, issuer: AUTH_CONFIG.issuer, audience: AUTH_CONFIG.audience });
+    const userId = payload.sub || payload.userId;
+    if (!userId) throw new jwt.JsonWebTokenError('Token has no subject');
+    const role = payload.role || 'client';
+    if (!ROLES.includes(role)) throw new jwt.JsonWebTokenError(`Unknown role: ${role}`);
+    if (role === 'agent' && !payload.agentId) throw new jwt.JsonWebTokenError('Agent tokens must carry an agentId claim');
+    return { userId: String(userId), role, agentId: payload.agentId ? String(payload.agentId) : null, officeId: payload.officeId ? String(payload.officeId) : null, tenantId: payload.tenantId ? String(payload.tenantId) : null, tokenId: payload.jti || null, expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null };
+}
+function signAccessToken(userId, claims = {}) {
+    if (!AUTH_CONFIG.secret) throw new Error('JWT_SECRET is not configured');
+    return jwt.sign({ ...claims, sub: String(userId) }, AUTH_CONFIG.secret, { algorithm: AUTH_CONFIG.algorithms[0], expiresIn: AUTH_CONFIG.expiresIn, ...(AUTH_CONFIG.issuer ? { issuer: AUTH_CONFIG.issuer } : {}), ...(AUTH_CONFIG.audience ? { audience: AUTH_CONFIG.audience } : {}) });
+}
+function canAccessConversation(user, conversation, scope = 'own') {
+    if (scope === 'all') return true;
+    if (conversation.userId === user.userId) return true;
+    return scope === 'listings' && !!user.agentId && conversation.agentId === user.agentId;
+}
+function extractBearerToken(header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+    return match ? match[1] : null;
+}
+const authenticate = (req, res, next) => {
+    const token = extractBearerToken(req.get('Authorization'));
+    if (!token) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ success: false, error: 'Unauthorized', message: 'A bearer token is required', requestId: req.requestId });
+    }
+    try {
+        req.user = verifyAccessToken(token);
+        next();
+    } catch (error) {
+        const expired = error instanceof jwt.TokenExpiredError;
+        logger.warn('Access token rejected', { component: 'Auth', requestId: req.requestId, url: req.originalUrl, ip: req.ip, reason: error.message });
+        if (!(error instanceof jwt.JsonWebTokenError)) {
+            return res.status(500).json({ success: false, error: 'Authentication Unavailable', message: 'Unable to verify credentials at this time', requestId: req.requestId });
+        }
+        res.setHeader('WWW-Authenticate', `Bearer error="invalid_token", error_description="${expired ? 'The token has expired' : 'The token is invalid'}"`);
+        res.status(401).json({ success: false, error: 'Unauthorized', message: expired ? 'Access token has expired' : 'Access token is invalid', requestId: req.requestId });
+    }
+};
+const requireConversationAccess = async (req, res, next) => {
+    const conversationId = req.params.conversationId || req.body?.conversationId;
+    if (!conversationId) return next();
+    if (!VALIDATION_PATTERNS.UUID.test(conversationId)) {
+        return res.status(400).json({ success: false, error: 'Invalid Conversation ID', message: 'Conversation ID must be a valid UUID', requestId: req.requestId });
+    }
+    try {
+        const conversation = await conversationManager.getConversation(conversationId);
+        if (!conversation) {
+            return res.status(404).json({ success: false, error: 'Conversation Not Found', message: 'The specified conversation does not exist', requestId: req.requestId });
+        }
+        if (!canAccessConversation(req.user, conversation, req.accessScope)) {
+            logger.warn('Conversation access denied', { component: 'Auth', requestId: req.requestId, conversationId, userId: req.user.userId, role: req.user.role, scope: req.accessScope || 'own', url: req.originalUrl });
+            return res.status(403).json({ success: false, error: 'Forbidden', message: 'You do not have access to this conversation', requestId: req.requestId });
+        }
+        req.conversation = conversation;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+module.exports = {
+    AUTH_CONFIG,
+    authenticate,
+    requireConversationAccess,
+    canAccessConversation,
+    verifyAccessToken,
+    signAccessToken,
+    extractBearerToken
+};
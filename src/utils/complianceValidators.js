@@ -0,0 +1,25 @@
+// @compliance BIG_BROTHER_V2
+const { customJoi, createValidationMiddleware, VALIDATION_PATTERNS } = require('./validators');
+const legalHoldSchema = customJoi.object({
+    scope: customJoi.string().valid('conversation', 'user').required(),
+    targetId: customJoi.when('scope', {
+        is: 'conversation',
+        then: customJoi.string().pattern(VALIDATION_PATTERNS.UUID),
+        otherwise: customJoi.string().sanitized().min(1).max(100)
+    }).required(),
+    reason: customJoi.string().sanitized().min(1).max(500).required()
+});
+const dataSubjectSchema = customJoi.object({
+    email: customJoi.string().email().max(254).optional(),
+    confirm: customJoi.boolean().optional().default(false)
+});
+const validateLegalHold = createValidationMiddleware(legalHoldSchema);
+const validateDataSubjectExport = createValidationMiddleware(dataSubjectSchema, 'query');
+const validateDataSubjectErasure = createValidationMiddleware(dataSubjectSchema);
+module.exports = {
+    legalHoldSchema,
+    dataSubjectSchema,
+    validateLegalHold,
+    validateDataSubjectExport,
+    validateDataSubjectErasure
+};
@@ -0,0 +1,83 @@
+// @compliance BIG_BROTHER_V2
+const crypto = require('crypto');
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const MIN_KEY_LENGTH = 32;
+const ENCRYPTED_PATTERN = /^enc:([A-Za-z0-9_-]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+let keyring = null;
+function deriveKey(material) {
+    return Buffer.from(crypto.hkdfSync('sha256', material, 'bigbrother-field-encryption', 'conversation-content', 32));
+}
+function loadKeyring() {
+    const entries = [];
+    if (process.env.ENCRYPTION_KEY) entries.push(['v1', process.env.ENCRYPTION_KEY]);
+    (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) throw new Error('ENCRYPTION_KEYS entries must look like <version>:<key>');
+        entries.push([entry.slice(0, separator), entry.slice(separator + 1)]);
+    });
+    const keys = new Map();
+    for (const [version, material] of entries) {
+        if (!/^[A-Za-z0-9_-]+$/.test(version)) throw new Error(`Invalid encryption key version: ${version}`);
+        if (material.length < MIN_KEY_LENGTH) throw new Error(`Encryption key ${version} must be at least ${MIN_KEY_LENGTH} characters`);
+        keys.set(version, deriveKey(material));
+    }
+    const activeVersion = process.env.ENCRYPTION_KEY_VERSION || entries[entries.length - 1]?.[0] || null;
+    if (activeVersion && !keys.has(activeVersion)) throw new Error(`Active encryption key version ${activeVersion} is not configured`);
+    return { keys, activeVersion };
+}
+function getKeyring() {
+    if (!keyring) keyring = loadKeyring();
+    return keyring;
+}
+function isEncryptionEnabled() {
+    return getKeyring().activeVersion !== null;
+}
+function getActiveKeyVersion() {
+    return getKeyring().activeVersion;
+}
+function getKeyVersion(value) {
+    const match = typeof value === 'string' ? ENCRYPTED_PATTERN.exec(value) : null;
+    return match ? match[1] : null;
+}
+// AAD binding a ciphertext to its row; ids are lower-cased because mssql returns uniqueidentifiers upper-case.
+function fieldContext(table, column, id) {
+    return `${table}.${column}:${String(id).toLowerCase()}`;
+}
+function encryptField(plaintext, context) {
+    const { keys, activeVersion } = getKeyring();
+    if (!activeVersion || plaintext === null || plaintext === undefined) return plaintext;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeVersion), iv);
+    cipher.setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return `enc:${activeVersion}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+function decryptField(value, context) {
+    const match = typeof value === 'string' ? ENCRYPTED_PATTERN.exec(value) : null;
+    if (!match) return value;
+    const [, version, iv, authTag, ciphertext] = match;
+    const key = getKeyring().keys.get(version);
+    if (!key) throw new Error(`Encryption key version ${version} is not configured`);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+function needsReencryption(value) {
+    const activeVersion = getActiveKeyVersion();
+    return !!activeVersion && value !== null && value !== undefined && getKeyVersion(value) !== activeVersion;
+}
+function resetKeyring() {
+    keyring = null;
+}
+module.exports = {
+    isEncryptionEnabled,
+    getActiveKeyVersion,
+    getKeyVersion,
+    encryptField,
+    decryptField,
+    needsReencryption,
+    fieldContext,
+    resetKeyring
+};
@@ -0,0 +1,26 @@
+// @compliance BIG_BROTHER_V2
+function openEventStream(res) {
+    const controller = new AbortController();
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return {
+        signal: controller.signal,
+        send(event, data) {
+            if (res.writableEnded || res.destroyed) return false;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            if (typeof res.flush === 'function') res.flush();
+            return true;
+        },
+        end() {
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
+module.exports = { openEventStream };
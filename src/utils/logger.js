@@ -1,6 +1,7 @@
 const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
+const { maskFields } = require('./piiScanner');
 const LOG_LEVELS = {
     error: 0,
     warn: 1,
@@ -20,7 +21,10 @@ const LOG_COLORS = {
     silly: 'grey'
 };
 winston.addColors(LOG_COLORS);
+// Masks emails, phones, SSNs, card/bank numbers and street addresses before any transport writes.
+const piiMaskFormat = winston.format((info) => maskFields(info))();
 const aiOperationFormat = winston.format.combine(
+    piiMaskFormat,
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
     winston.format.errors({ stack: true }),
     winston.format.json(),
@@ -43,6 +47,7 @@ const aiOperationFormat = winston.format.combine(
     })
 );
 const consoleFormat = winston.format.combine(
+    piiMaskFormat,
     winston.format.timestamp({ format: 'HH:mm:ss.SSS' }),
     winston.format.colorize({ all: true }),
     winston.format.printf(({ timestamp, level, message, component, operation, duration, ...meta }) => {
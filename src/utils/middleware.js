@@ -1,6 +1,10 @@
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
+const { getPermissionScope } = require('../config/permissions');
+const { AUDIT_CONFIG, auditTrail } = require('./auditTrail');
+const { QuotaService, describeViolation } = require('../services/quotaService');
+const quotaService = new QuotaService();
 const performanceMiddleware = (req, res, next) => {
     req.requestId = uuidv4();
     req.startTime = Date.now();
@@ -184,8 +188,44 @@ const complianceMiddleware = (req, res, next) => {
             userAgent: req.get('User-Agent')
         });
     }
+    if (AUDIT_CONFIG.enabled) {
+        const startTime = Date.now();
+        res.on('finish', () => auditTrail.record(req, res, startTime));
+    }
+    next();
+};
+const authorize = (permission) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Unauthorized', message: 'Authentication is required', requestId: req.requestId });
+    }
+    const scope = getPermissionScope(req.user.role, permission);
+    if (!scope) {
+        logger.warn('Permission denied', {
+            component: 'Authorization',
+            requestId: req.requestId,
+            userId: req.user.userId,
+            role: req.user.role,
+            permission,
+            url: req.originalUrl
+        });
+        return res.status(403).json({ success: false, error: 'Forbidden', message: `Role '${req.user.role}' is not permitted to perform ${permission}`, requestId: req.requestId });
+    }
+    req.accessScope = scope;
     next();
 };
+const enforceSpendQuota = (estimateCost = () => 0) => async (req, res, next) => {
+    try {
+        const violation = await quotaService.checkQuota(req.user.userId, estimateCost(req));
+        if (!violation) return next();
+        logger.warn('Spend quota exceeded', { component: 'Quota', requestId: req.requestId, userId: req.user.userId, url: req.originalUrl, ...violation });
+        if (violation.statusCode === 429) res.setHeader('Retry-After', Math.max(Math.ceil((new Date(violation.resetAt) - Date.now()) / 1000), 1));
+        res.status(violation.statusCode).json({ success: false, ...describeViolation(violation), quota: violation, requestId: req.requestId });
+    } catch (error) {
+        // A metering outage shouldn't take chat down with it; spend is still recorded once the database recovers.
+        logger.error('Spend quota check failed', { component: 'Quota', requestId: req.requestId, userId: req.user?.userId, error: error.message });
+        next();
+    }
+};
 module.exports = {
     performanceMiddleware,
     apiRateLimit,
@@ -195,5 +235,7 @@ module.exports = {
     errorHandler,
     notFoundHandler,
     healthCheckBypass,
-    complianceMiddleware
+    complianceMiddleware,
+    authorize,
+    enforceSpendQuota
 };
\ No newline at end of file
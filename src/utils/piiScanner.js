@@ -0,0 +1,77 @@
+// @compliance BIG_BROTHER_V2
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy|Trail|Trl';
+// Ordered by priority: earlier detectors win when matches overlap.
+const PII_DETECTORS = [
+    { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { type: 'ssn', pattern: /\b(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}\b/g },
+    { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, verify: (value) => passesLuhn(value.replace(/\D/g, '')) },
+    { type: 'bank', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g, verify: (value) => value.replace(/ /g, '').length >= 15 },
+    { type: 'bank', pattern: /\b(?:account|acct|routing|aba)(?:\s*(?:number|no\.?|num|#))?\s*[:#]?\s*(\d{6,17})\b/gi, group: 1 },
+    { type: 'phone', pattern: /(?<![\w-])(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]\d{3}[-.\s]\d{4}(?![\w-])/g },
+    { type: 'address', pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Za-z0-9'.-]+\\s+){0,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:Apt|Unit|Suite|Ste|#)\\s*[A-Za-z0-9-]+)?`, 'gi') }
+];
+const SENSITIVE_KEYS = /^(email|clientEmail|clientName|phone|clientPhone|ssn|cardNumber|accountNumber|routingNumber|clientInfo)$/i;
+const MAX_MASK_DEPTH = 8;
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+function scanText(text) {
+    if (typeof text !== 'string' || text.length === 0) return [];
+    const findings = [];
+    for (const detector of PII_DETECTORS) {
+        for (const match of text.matchAll(detector.pattern)) {
+            const value = detector.group ? match[detector.group] : match[0];
+            const start = match.index + (detector.group ? match[0].lastIndexOf(value) : 0);
+            const end = start + value.length;
+            if (detector.verify && !detector.verify(value)) continue;
+            if (findings.some(finding => start < finding.end && end > finding.start)) continue;
+            findings.push({ type: detector.type, value, start, end });
+        }
+    }
+    return findings.sort((a, b) => a.start - b.start);
+}
+function replacePii(text, replacer) {
+    const findings = scanText(text);
+    let result = text;
+    for (let i = findings.length - 1; i >= 0; i--) {
+        const finding = findings[i];
+        result = result.slice(0, finding.start) + replacer(finding) + result.slice(finding.end);
+    }
+    return result;
+}
+function maskText(text) {
+    return replacePii(text, finding => `[REDACTED:${finding.type}]`);
+}
+function maskValue(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return maskText(value);
+    if (!value || typeof value !== 'object' || depth > MAX_MASK_DEPTH || seen.has(value)) return value;
+    if (value instanceof Date || Buffer.isBuffer(value)) return value;
+    seen.add(value);
+    if (Array.isArray(value)) return value.map(item => maskValue(item, depth + 1, seen));
+    const masked = value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : {};
+    for (const key of Object.keys(value)) masked[key] = value[key];
+    return maskFields(masked, depth, seen);
+}
+function maskFields(target, depth = 0, seen = new WeakSet()) {
+    for (const key of Object.keys(target)) {
+        if (SENSITIVE_KEYS.test(key) && target[key] !== null && target[key] !== undefined) target[key] = '[REDACTED]';
+        else target[key] = maskValue(target[key], depth + 1, seen);
+    }
+    return target;
+}
+module.exports = {
+    scanText,
+    maskText,
+    maskValue,
+    maskFields,
+    replacePii
+};
@@ -0,0 +1,20 @@
+// @compliance BIG_BROTHER_V2
+const { customJoi, createValidationMiddleware } = require('./validators');
+const preferenceListItem = customJoi.string().sanitized().min(1).max(100);
+// A correction sets only the fields it names; null clears a learned value.
+const preferencePatchSchema = customJoi.object({
+    minBedrooms: customJoi.number().integer().min(0).max(20).allow(null),
+    minBathrooms: customJoi.number().min(0).max(20).allow(null),
+    minPrice: customJoi.number().min(0).allow(null),
+    maxPrice: customJoi.number().min(0).allow(null),
+    locations: customJoi.array().items(preferenceListItem).max(10).allow(null),
+    propertyTypes: customJoi.array().items(preferenceListItem).max(10).allow(null),
+    features: customJoi.array().items(preferenceListItem).max(10).allow(null),
+    schoolDistrict: customJoi.string().sanitized().max(100).allow(null),
+    prioritizeSchools: customJoi.boolean().allow(null)
+}).min(1);
+const validatePreferencePatch = createValidationMiddleware(preferencePatchSchema);
+module.exports = {
+    preferencePatchSchema,
+    validatePreferencePatch
+};
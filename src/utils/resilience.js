@@ -0,0 +1,122 @@
+// @compliance BIG_BROTHER_V2
+const axios = require('axios');
+const logger = require('./logger');
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+// Timeouts, conflicts, rate limits, server errors and dropped connections are worth retrying; cancellations and other
+// 4xx responses are not.
+const RETRYABLE_STATUS_CODES = [408, 409, 429];
+function isRetryableError(error) {
+    if (axios.isCancel(error) || error.code === 'ERR_CANCELED' || error.code === 'CIRCUIT_OPEN') return false;
+    const status = error.response?.status;
+    return !status || RETRYABLE_STATUS_CODES.includes(status) || status >= 500;
+}
+// Retry-After is either delay-seconds or an HTTP date.
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+// Full jitter: a random delay up to the exponential ceiling, so clients that failed together do not retry together.
+function backoffDelay(attempt, baseDelay, maxDelay, random = Math.random) {
+    return Math.round(random() * Math.min(baseDelay * Math.pow(2, attempt), maxDelay));
+}
+async function withRetry(operation, { name = 'provider', maxRetries = 3, retryDelay = 1000, maxRetryDelay = 10000 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (!isRetryableError(error) || attempt >= maxRetries) throw error;
+            const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+            // A provider asking us to wait longer than we are willing to is treated as down, so callers can fail over instead.
+            if (retryAfter !== null && retryAfter > maxRetryDelay) throw error;
+            const delay = retryAfter ?? backoffDelay(attempt, retryDelay, maxRetryDelay);
+            logger.warn('Provider request failed, retrying', { component: 'Resilience', provider: name, attempt: attempt + 1, delay, status: error.response?.status, error: error.message });
+            await sleep(delay);
+        }
+    }
+}
+// Opens after failureThreshold consecutive failures and fails fast for cooldownMs; the first call after that is a
+// half-open trial that either closes the breaker or opens it again.
+class CircuitBreaker {
+    constructor(name, { failureThreshold = 5, cooldownMs = 30000, isFailure = isRetryableError } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.isFailure = isFailure;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+        this.lastFailureAt = null;
+        this.lastSuccessAt = null;
+    }
+    currentState() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) this.state = 'half-open';
+        return this.state;
+    }
+    isAvailable() {
+        const state = this.currentState();
+        return state === 'closed' || (state === 'half-open' && !this.trialInFlight);
+    }
+    async execute(operation) {
+        if (!this.isAvailable()) {
+            const error = new Error(`Circuit open for ${this.name}`);
+            error.code = 'CIRCUIT_OPEN';
+            error.statusCode = 503;
+            throw error;
+        }
+        const trial = this.state === 'half-open';
+        if (trial) this.trialInFlight = true;
+        try {
+            const result = await operation();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) this.onFailure(error, trial);
+            throw error;
+        } finally {
+            if (trial) this.trialInFlight = false;
+        }
+    }
+    onSuccess() {
+        if (this.state !== 'closed') logger.info('Circuit breaker closed', { component: 'Resilience', provider: this.name });
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastSuccessAt = new Date().toISOString();
+    }
+    onFailure(error, trial = false) {
+        this.consecutiveFailures++;
+        this.lastError = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+        this.lastFailureAt = new Date().toISOString();
+        if (trial || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            logger.warn('Circuit breaker opened', { component: 'Resilience', provider: this.name, consecutiveFailures: this.consecutiveFailures, cooldownMs: this.cooldownMs, lastError: this.lastError });
+        }
+    }
+    getState() {
+        const state = this.currentState();
+        return {
+            state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            lastError: this.lastError,
+            lastFailureAt: this.lastFailureAt,
+            lastSuccessAt: this.lastSuccessAt,
+            retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+        };
+    }
+}
+module.exports = {
+    CircuitBreaker,
+    withRetry,
+    isRetryableError,
+    parseRetryAfter,
+    backoffDelay
+};
@@ -0,0 +1,33 @@
+// @compliance BIG_BROTHER_V2
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'st', 'ave', 'blvd', 'rd', 'ln', 'ct', 'apt', 'sq', 'ft', 'approx', 'vs', 'etc', 'e.g', 'i.e', 'inc', 'jr', 'sr'];
+const SENTENCE_BOUNDARY = /[.!?]+["')\]]*(?=\s)|\n+/g;
+class SentenceChunker {
+    constructor(minLength = 20) {
+        this.minLength = minLength;
+        this.buffer = '';
+    }
+    push(text) {
+        this.buffer += text;
+        const sentences = [];
+        let start = 0;
+        let match;
+        SENTENCE_BOUNDARY.lastIndex = 0;
+        while ((match = SENTENCE_BOUNDARY.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            const candidate = this.buffer.slice(start, end).trim();
+            const lastWord = candidate.split(/\s+/).pop().replace(/[.!?"')\]]+$/, '').toLowerCase();
+            if (match[0].startsWith('.') && ABBREVIATIONS.includes(lastWord)) continue;
+            if (candidate.length < this.minLength) continue;
+            sentences.push(candidate);
+            start = end;
+        }
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+    flush() {
+        const remainder = this.buffer.trim();
+        this.buffer = '';
+        return remainder ? [remainder] : [];
+    }
+}
+module.exports = SentenceChunker;
@@ -0,0 +1,107 @@
+// @compliance BIG_BROTHER_V2
+const { SPEECH_CONFIG, getLexicon } = require('../config/pronunciation');
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'D C', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+    MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+    NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+const STREET_TYPES = { St: 'Street', Ave: 'Avenue', Blvd: 'Boulevard', Rd: 'Road', Ln: 'Lane', Dr: 'Drive', Ct: 'Court', Pl: 'Place', Pkwy: 'Parkway', Hwy: 'Highway', Cir: 'Circle', Ter: 'Terrace', Trl: 'Trail', Fwy: 'Freeway' };
+const DIRECTIONS = { N: 'North', S: 'South', E: 'East', W: 'West', NE: 'Northeast', NW: 'Northwest', SE: 'Southeast', SW: 'Southwest' };
+const UNIT_LABELS = { Apt: 'Apartment', Apartment: 'Apartment', Unit: 'Unit', Ste: 'Suite', Suite: 'Suite', '#': 'unit' };
+const MAGNITUDES = { k: 'thousand', m: 'million', b: 'billion' };
+const PER_UNITS = [[/^mo/i, 'per month'], [/^y/i, 'per year'], [/^(sq|sf)/i, 'per square foot']];
+// Acronyms are matched case-sensitively so that e.g. "APR" the rate is not confused with "Apr" the month.
+const ABBREVIATIONS = {
+    'HOA': 'H O A', 'MLS': 'M L S', 'ADU': 'A D U', 'HVAC': 'H-vac', 'DOM': 'days on market', 'SFH': 'single-family home', 'FSBO': 'for sale by owner',
+    'REO': 'R E O', 'OBO': 'or best offer', 'PMI': 'P M I', 'LTV': 'L T V', 'APR': 'A P R', 'W/D': 'washer and dryer', 'A/C': 'A C',
+    'approx.': 'approximately', 'incl.': 'including', 'bsmt': 'basement', 'w/': 'with '
+};
+const STREET_WORDS = [...Object.keys(STREET_TYPES), ...Object.values(STREET_TYPES)].join('|');
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, (character) => XML_ENTITIES[character]);
+function ordinal(day) {
+    const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[day % 10] || 'th';
+    return `${day}${suffix}`;
+}
+function speakDate(match, year, month, day) {
+    const monthIndex = parseInt(month, 10) - 1;
+    const dayNumber = parseInt(day, 10);
+    if (!MONTHS[monthIndex] || dayNumber < 1 || dayNumber > 31) return match;
+    return `${MONTHS[monthIndex]} ${ordinal(dayNumber)}, ${year.length === 2 ? `20${year}` : year}`;
+}
+// Before a noun the count is attributive: "3bd home" reads "3-bedroom home", not "3 bedrooms home".
+function countPhrase(value, noun, following = '') {
+    if (/^,?\s*(?:home|house|condo|townhome|townhouse|apartment|unit|property|listing)s?\b/i.test(following)) return `${value.replace('.5', ' and a half')}-${noun}`;
+    if (value.endsWith('.5')) return `${value.slice(0, -2)} and a half ${noun}s`;
+    return `${value} ${value === '1' ? noun : `${noun}s`}`;
+}
+// House and unit numbers are read in pairs the way agents say them: 1204 -> "12 oh 4", 315 -> "3 15".
+function speakNumberPairs(number) {
+    const pair = (digits) => digits === '00' ? 'hundred' : digits.startsWith('0') ? `oh ${digits[1]}` : digits;
+    if (number.length <= 2 || /^\d0+$/.test(number)) return number;
+    if (number.length === 3) return `${number[0]} ${pair(number.slice(1))}`;
+    if (number.length === 4) return `${number.slice(0, 2)} ${pair(number.slice(2))}`;
+    if (number.length === 5) return `${number.slice(0, 2)} ${number[2]} ${pair(number.slice(3))}`;
+    return number;
+}
+function speakUnit(unit) {
+    const [, digits, letters] = unit.match(/^(\d*)([A-Za-z]*)$/) || [null, unit, ''];
+    const lettersFirst = /^[A-Za-z]/.test(unit);
+    const spoken = [digits && speakNumberPairs(digits), letters && letters.toUpperCase().split('').join(' ')];
+    return (lettersFirst ? spoken.reverse() : spoken).filter(Boolean).join(' ');
+}
+// ZIPs are read digit by digit, with zero as "oh" like the house and unit numbers: 78704-1234 -> "7 8 7 oh 4 dash 1 2 3 4".
+function speakZip(zip, plusFour) {
+    const spell = (digits) => digits.split('').map(digit => digit === '0' ? 'oh' : digit).join(' ');
+    return plusFour ? `${spell(zip)} dash ${spell(plusFour)}` : spell(zip);
+}
+const RULES = [
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) => speakDate(match, year, month, day)],
+    [/\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g, (match, month, day, year) => speakDate(match, year, month, day)],
+    [/\$(\d+(?:\.\d+)?)\s?([KMB])\b/gi, (match, amount, magnitude) => `${amount} ${MAGNITUDES[magnitude.toLowerCase()]} dollars`],
+    [/\$(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?(?!\d)/g, (match, whole, cents) => `${whole} ${whole === '1' ? 'dollar' : 'dollars'}${cents && cents !== '00' ? ` and ${parseInt(cents, 10)} cents` : ''}`],
+    [/(?<=\w)\s?\/\s?(mo|month|yr|year|sq\.?\s?ft|sqft|sf)\b/gi, (match, unit) => ` ${PER_UNITS.find(([pattern]) => pattern.test(unit))[1]}`],
+    [/\b(\d+(?:\.5)?)\s?(?:bd|br|bdr|bdrm|beds?)\s?\/\s?(\d+(?:\.5)?)\s?(?:ba|bth|baths?)\b/gi, (match, beds, baths, offset, text) => `${countPhrase(beds, 'bedroom', text.slice(offset + match.length))}, ${countPhrase(baths, 'bathroom', text.slice(offset + match.length))}`],
+    [/\b(\d+(?:\.5)?)\s?(?:bd|br|bdr|bdrms?)\b/gi, (match, beds, offset, text) => countPhrase(beds, 'bedroom', text.slice(offset + match.length))],
+    [/\b(\d+(?:\.5)?)\s?(?:ba|bths?)\b/gi, (match, baths, offset, text) => countPhrase(baths, 'bathroom', text.slice(offset + match.length))],
+    [/\b(\d{1,3}(?:,\d{3})+|\d+)\s?(?:sq\.?\s?ft(?:\.(?=\s+[a-z]))?|sqft|sf|ft²)(?![\w²])/gi, (match, area) => `${area} square feet`],
+    [new RegExp(`\\b(\\d{1,5})\\s+(?:(${Object.keys(DIRECTIONS).join('|')})\\.?\\s+)?((?:[A-Z][\\w'-]*\\s+){1,3}?)(${STREET_WORDS})\\b(?:\\.(?=[,;:]))?`, 'g'), (match, number, direction, name, type) => `${speakNumberPairs(number)} ${direction ? `${DIRECTIONS[direction]} ` : ''}${name}${STREET_TYPES[type] || type}`],
+    [new RegExp(`(?:\\b(Apt|Apartment|Unit|Ste|Suite)\\.?\\s*#?|(?<=(?:,|\\b(?:${STREET_WORDS}))\\s?)#)\\s?(\\d+[A-Za-z]?|[A-Za-z]\\d*)\\b`, 'g'), (match, label, unit) => `${UNIT_LABELS[label || '#']} ${speakUnit(unit)}`],
+    [new RegExp(`\\b([A-Z][a-z]+)\\s+(${Object.keys(STREET_TYPES).join('|')})\\b(?:\\.(?=[,;:]))?`, 'g'), (match, name, type, offset, text) => {
+        // "Dr. Smith" and "St. Louis" are titles and saints, not streets.
+        if ((type === 'Dr' || type === 'St') && /^\.?\s+[A-Z][a-z]/.test(text.slice(offset + match.length))) return match;
+        return `${name} ${STREET_TYPES[type]}`;
+    }],
+    // A state code followed by a ZIP is an address whether or not a comma separates it from the city; a bare code needs the comma.
+    [/(?<=[A-Za-z](?:,\s?|\s))([A-Z]{2})\s+(\d{5})(?:-(\d{4}))?\b/g, (match, code, zip, plusFour) => STATES[code] ? `${STATES[code]} ${speakZip(zip, plusFour)}` : match],
+    [/(?<=[A-Za-z],\s?)([A-Z]{2})\b/g, (match, code) => STATES[code] || match],
+    [/\b(zip(?:\s?code)?:?\s*)(\d{5})(?:-(\d{4}))?\b/gi, (match, label, zip, plusFour) => `${label}${speakZip(zip, plusFour)}`],
+    [/\b(\d{5})-(\d{4})\b/g, (match, zip, plusFour) => speakZip(zip, plusFour)],
+    ...Object.entries(ABBREVIATIONS).map(([abbreviation, spoken]) => [new RegExp(`(?<![\\w/])${escapeRegex(abbreviation)}${/\w$/.test(abbreviation) ? '(?![\\w/])' : ''}`, 'g'), () => spoken])
+];
+function applyLexicon(text, lexicon, { phonemes = false } = {}) {
+    const terms = Object.keys(lexicon).sort((a, b) => b.length - a.length);
+    if (terms.length === 0) return text;
+    const pattern = new RegExp(`(?<![\\w-])(${terms.map(escapeRegex).join('|')})(?![\\w-])`, 'g');
+    return text.replace(pattern, (term) => {
+        const entry = typeof lexicon[term] === 'string' ? { alias: lexicon[term] } : lexicon[term];
+        if (phonemes && entry.ipa) return `<phoneme alphabet="ipa" ph="${escapeXml(entry.ipa)}">${escapeXml(term)}</phoneme>`;
+        return entry.alias || term;
+    });
+}
+// Rewrites listing shorthand, prices, dates and addresses into speakable text, then applies the market lexicon
+// with any per-profile pronunciation overrides on top.
+function normalizeForSpeech(text, { market = SPEECH_CONFIG.defaultMarket, modelId = null, pronunciations = {} } = {}) {
+    const lexicon = { ...getLexicon(market), ...pronunciations };
+    const expanded = RULES.reduce((current, [pattern, replacer]) => current.replace(pattern, replacer), String(text));
+    return applyLexicon(expanded, lexicon, { phonemes: SPEECH_CONFIG.phonemeModels.includes(modelId) }).replace(/ {2,}/g, ' ').trim();
+}
+module.exports = {
+    normalizeForSpeech,
+    applyLexicon,
+    speakNumberPairs
+};
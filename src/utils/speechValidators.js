@@ -0,0 +1,21 @@
+// @compliance BIG_BROTHER_V2
+const { customJoi, createValidationMiddleware, voiceSynthesisSchema } = require('./validators');
+const { VOICE_CONFIG } = require('../config/aiConfig');
+// Narration text only ever reaches the TTS provider, so it skips the SQL keyword screen that would reject apostrophes
+// and words like "updated".
+const narrationSchema = voiceSynthesisSchema.keys({
+    text: customJoi.string().trim().min(1).max(VOICE_CONFIG.longForm.maxTextLength).required()
+});
+const speechPreviewSchema = customJoi.object({
+    text: customJoi.string().sanitized().min(1).max(5000).required(),
+    market: voiceSynthesisSchema.extract('market'),
+    modelId: voiceSynthesisSchema.extract('modelId')
+});
+const validateNarration = createValidationMiddleware(narrationSchema);
+const validateSpeechPreview = createValidationMiddleware(speechPreviewSchema);
+module.exports = {
+    narrationSchema,
+    speechPreviewSchema,
+    validateNarration,
+    validateSpeechPreview
+};
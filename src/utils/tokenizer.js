@@ -0,0 +1,53 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('./logger');
+const { AI_CONFIG } = require('../config/aiConfig');
+// OpenAI chat format overhead: each message is wrapped in role/separator tokens and the reply is primed.
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+const encoders = new Map();
+let tiktoken = null;
+let fallbackLogged = false;
+function resolveEncodingName(model) {
+    if (!tiktoken) tiktoken = require('js-tiktoken');
+    try {
+        return tiktoken.getEncodingNameForModel(model);
+    } catch (error) {
+        return /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model || '') ? 'o200k_base' : 'cl100k_base';
+    }
+}
+function getEncoder(model = AI_CONFIG.model) {
+    const encodingName = resolveEncodingName(model);
+    if (!encoders.has(encodingName)) {
+        const timer = logger.performance('tokenizer-load', 'Tokenizer');
+        encoders.set(encodingName, tiktoken.getEncoding(encodingName));
+        timer.addMetadata('encoding', encodingName);
+        timer.end('Tokenizer encoding loaded');
+    }
+    return encoders.get(encodingName);
+}
+function countTokens(text, model = AI_CONFIG.model) {
+    if (!text) return 0;
+    try {
+        return getEncoder(model).encode(String(text), [], []).length;
+    } catch (error) {
+        if (!fallbackLogged) {
+            fallbackLogged = true;
+            logger.error('Tokenizer unavailable, falling back to length estimate', { component: 'Tokenizer', model, error: error.message });
+        }
+        return Math.ceil(String(text).length / 4);
+    }
+}
+function countMessageTokens(messages, model = AI_CONFIG.model) {
+    return messages.reduce((total, message) => total + TOKENS_PER_MESSAGE + countTokens(message.content || '', model) + (message.name ? TOKENS_PER_NAME + countTokens(message.name, model) : 0) + (message.tool_calls ? countTokens(JSON.stringify(message.tool_calls), model) : 0), REPLY_PRIMING_TOKENS);
+}
+function warmTokenizer(model = AI_CONFIG.model) {
+    countTokens('warm', model);
+    return resolveEncodingName(model);
+}
+module.exports = {
+    countTokens,
+    countMessageTokens,
+    resolveEncodingName,
+    warmTokenizer
+};
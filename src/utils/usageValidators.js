@@ -0,0 +1,12 @@
+// @compliance BIG_BROTHER_V2
+const { customJoi, createValidationMiddleware } = require('./validators');
+// A null limit falls back to the configured default; at least one of the two must be given.
+const spendQuotaSchema = customJoi.object({
+    dailyLimitUsd: customJoi.number().positive().max(100000).allow(null),
+    monthlyLimitUsd: customJoi.number().positive().max(1000000).allow(null)
+}).min(1);
+const validateSpendQuota = createValidationMiddleware(spendQuotaSchema);
+module.exports = {
+    spendQuotaSchema,
+    validateSpendQuota
+};
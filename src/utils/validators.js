@@ -1,6 +1,8 @@
 // @compliance BIG_BROTHER_V2
 const Joi = require('joi');
 const logger = require('./logger');
+const { VOICE_CONFIG, TTS_CONFIG } = require('../config/aiConfig');
+const { listMarkets } = require('../config/pronunciation');
 const VALIDATION_PATTERNS = {
     UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
     SQL_INJECTION: /('|(\\)|;|--|\/\*|\*\/|xp_|sp_|exec|execute|select|insert|update|delete|drop|create|alter)/i,
@@ -66,7 +68,8 @@ const chatMessageSchema = customJoi.object({
             min: customJoi.number().min(0).optional(),
             max: customJoi.number().min(0).optional()
         }).optional(),
-        urgency: customJoi.string().valid('low', 'medium', 'high', 'urgent').optional()
+        urgency: customJoi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+        propertyId: customJoi.string().sanitized().max(100).optional()
     }).optional(),
     metadata: customJoi.object().optional()
 });
@@ -95,12 +98,14 @@ const voiceSynthesisSchema = customJoi.object({
         useSpeakerBoost: customJoi.boolean().optional()
     }).optional(),
     outputFormat: customJoi.string()
-        .valid('mp3_44100_128', 'mp3_22050_32', 'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100')
+        .valid(...VOICE_CONFIG.supportedFormats)
         .optional()
-        .default('mp3_44100_128'),
+        .default(VOICE_CONFIG.defaultFormat),
     modelId: customJoi.string()
-        .valid('eleven_monolingual_v1', 'eleven_multilingual_v1', 'eleven_multilingual_v2', 'eleven_turbo_v2')
-        .optional()
+        .valid(...VOICE_CONFIG.supportedModels)
+        .optional(),
+    market: customJoi.string().lowercase().valid(...listMarkets()).optional(),
+    provider: customJoi.string().valid(...TTS_CONFIG.supportedProviders).optional()
 });
 const conversationHistorySchema = customJoi.object({
     conversationId: customJoi.string()
@@ -118,6 +123,9 @@ const conversationHistorySchema = customJoi.object({
         .optional()
         .default(0),
     includeMetadata: customJoi.boolean()
+        .optional()
+        .default(false),
+    reveal: customJoi.boolean()
         .optional()
         .default(false)
 });
@@ -140,8 +148,12 @@ const brokerServiceSchema = customJoi.object({
         clientEmail: customJoi.string().pattern(VALIDATION_PATTERNS.EMAIL).optional(),
         clientPhone: customJoi.string().pattern(VALIDATION_PATTERNS.PHONE).optional(),
         preferredDate: customJoi.date().min('now').optional(),
-        timeSlot: customJoi.string().valid('morning', 'afternoon', 'evening').optional()
-    }).optional()
+        timeSlot: customJoi.string().valid('morning', 'afternoon', 'evening').optional(),
+        propertyId: customJoi.string().sanitized().max(100).optional(),
+        agentId: customJoi.string().sanitized().max(100).optional(),
+        limit: customJoi.number().integer().min(1).max(100).optional(),
+        offset: customJoi.number().integer().min(0).optional()
+    }).optional().default({})
 });
 const healthCheckSchema = customJoi.object({
     detailed: customJoi.boolean().optional().default(false),
@@ -211,6 +223,8 @@ module.exports = {
     validateConversationHistory,
     validateBrokerService,
     validateHealthCheck,
+    createValidationMiddleware,
+    customJoi,
     sanitizeString,
     VALIDATION_PATTERNS
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// @compliance BIG_BROTHER_V2
+const logger = require('./logger');
+const VoiceSynthesisService = require('../services/voiceSynthesisService');
+const { VoiceProfileService, applyVoiceProfile } = require('../services/voiceProfileService');
+const { VOICE_CONFIG } = require('../config/aiConfig');
+const { isFormatAvailable, getSupportedFormats } = require('./audioFormats');
+const { listMarkets } = require('../config/pronunciation');
+const voiceService = new VoiceSynthesisService();
+const voiceProfileService = new VoiceProfileService();
+// Multipart uploads carry objects as JSON strings; anything unparseable is treated as absent.
+function parseJsonField(value) {
+    if (!value || typeof value !== 'string') return value || undefined;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+// Ogg Opus depends on ffmpeg and providers on their credentials, so these are checked per request rather than in the schema.
+function validateAudioOptions(req, res, next) {
+    const { outputFormat, modelId, market, provider } = req.body;
+    const voiceSettings = parseJsonField(req.body.voiceSettings);
+    const validationErrors = voiceSettings ? voiceService.validateVoiceSettings(voiceSettings) : [];
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid Voice Settings', message: 'Voice settings validation failed', details: validationErrors, requestId: req.requestId });
+    }
+    if (outputFormat && !isFormatAvailable(outputFormat)) {
+        return res.status(400).json({ success: false, error: 'Invalid Output Format', message: `Output format must be one of: ${getSupportedFormats().join(', ')}`, requestId: req.requestId });
+    }
+    if (modelId && !VOICE_CONFIG.supportedModels.includes(modelId)) {
+        return res.status(400).json({ success: false, error: 'Invalid Model', message: `Model must be one of: ${VOICE_CONFIG.supportedModels.join(', ')}`, requestId: req.requestId });
+    }
+    if (market && !listMarkets().includes(String(market).toLowerCase())) {
+        return res.status(400).json({ success: false, error: 'Invalid Market', message: `Market must be one of: ${listMarkets().join(', ')}`, requestId: req.requestId });
+    }
+    if (provider && !voiceService.listProviders().includes(provider)) {
+        return res.status(400).json({ success: false, error: 'Invalid Provider', message: `Provider must be one of: ${voiceService.listProviders().join(', ')}`, requestId: req.requestId });
+    }
+    next();
+}
+// Sets req.voice to the voice, settings, model, market, pronunciations and greeting the reply should use. A named
+// profile is looked up for the conversation's agent when there is one, so clients hear their agent's voice.
+async function resolveVoiceProfile(req, res, next) {
+    const { profile } = req.body;
+    try {
+        const scopes = { agent: req.conversation?.agentId || req.user.agentId, office: req.user.officeId, tenant: req.user.tenantId };
+        const voiceProfile = profile ? await voiceProfileService.resolveProfile(profile, scopes) : null;
+        if (profile && !voiceProfile) {
+            return res.status(404).json({ success: false, error: 'Voice Profile Not Found', message: `No voice profile named "${profile}" is assigned to this agent, office or tenant`, requestId: req.requestId });
+        }
+        req.voiceProfile = voiceProfile;
+        req.voice = applyVoiceProfile(voiceProfile, req.body);
+        next();
+    } catch (error) {
+        logger.error('Voice profile resolution failed', { component: 'VoiceMiddleware', requestId: req.requestId, profile, error: error.message });
+        res.status(500).json({ success: false, error: 'Voice Profile Resolution Failed', message: 'Unable to resolve the requested voice profile', requestId: req.requestId });
+    }
+}
+module.exports = {
+    parseJsonField,
+    validateAudioOptions,
+    resolveVoiceProfile
+};
@@ -0,0 +1,41 @@
+// @compliance BIG_BROTHER_V2
+const { customJoi, createValidationMiddleware, voiceSynthesisSchema } = require('./validators');
+// Greetings and pronunciations are spoken text like narration, so they skip the SQL keyword screen; setting ranges are
+// left to validateVoiceSettings.
+const pronunciationText = customJoi.string().trim().min(1).max(200);
+// IPA is written into an SSML attribute, so only letters, diacritics, stress and length marks and separators are allowed.
+const ipaText = pronunciationText.pattern(/^[\p{L}\p{M}\p{Sk}.|‖‿\s-]+$/u).messages({
+    'string.pattern.base': 'IPA may only contain IPA letters, diacritics, stress marks and separators'
+});
+const pronunciationEntry = customJoi.alternatives().try(
+    pronunciationText,
+    customJoi.object({ alias: pronunciationText, ipa: ipaText }).or('alias', 'ipa')
+);
+const voiceProfileSchema = customJoi.object({
+    name: customJoi.string()
+        .trim()
+        .lowercase()
+        .pattern(/^[a-z0-9][a-z0-9 _-]{0,49}$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'Profile name may only contain letters, numbers, spaces, dashes and underscores'
+        }),
+    scopeType: customJoi.string().valid('agent', 'office', 'tenant').required(),
+    scopeId: customJoi.string().sanitized().min(1).max(100).required(),
+    voiceId: voiceSynthesisSchema.extract('voiceId'),
+    modelId: voiceSynthesisSchema.extract('modelId'),
+    voiceSettings: customJoi.object({
+        stability: customJoi.number(),
+        similarityBoost: customJoi.number(),
+        style: customJoi.number(),
+        useSpeakerBoost: customJoi.boolean()
+    }).optional(),
+    pronunciations: customJoi.object().pattern(pronunciationText, pronunciationEntry).max(200).optional(),
+    greeting: customJoi.string().trim().max(500).allow('', null).optional(),
+    market: voiceSynthesisSchema.extract('market')
+});
+const validateVoiceProfile = createValidationMiddleware(voiceProfileSchema);
+module.exports = {
+    voiceProfileSchema,
+    validateVoiceProfile
+};
@@ -14,6 +14,7 @@ process.env.TEST_MODE = 'true';
 process.env.ELEVENLABS_API_KEY = 'test-key-placeholder';
 process.env.ELEVENLABS_VOICE_ID = 'test-voice-id';
 process.env.AI_MODEL = 'gpt-4-turbo-preview';
+process.env.JWT_SECRET = 'test-jwt-secret';
 
 let passed = 0;
 let failed = 0;
@@ -25,18 +26,34 @@ function test(name, testFn) {
     console.log(`✅ PASS: ${name}\n`);
     passed++;
   } catch (error) {
-    if (error.message.includes('Cannot find module') || 
-        error.message.includes('Missing required database configuration') ||
-        error.message.includes('database configuration') ||
-        error.message.includes('Cannot read properties of undefined')) {
-      console.log(`⚠️  SKIP: ${name}`);
-      console.log(`   Reason: Database/dependency issue (${error.message.split('\n')[0]})\n`);
-      // Don't count as failed - these are infrastructure issues in test environment
-    } else {
-      console.log(`❌ FAIL: ${name}`);
-      console.log(`   Error: ${error.message}\n`);
-      failed++;
-    }
+    recordFailure(name, error);
+  }
+}
+
+// For tests that drive streams, sockets or files; call with await so results are counted before the summary.
+async function testAsync(name, testFn) {
+  try {
+    console.log(`🔍 Testing: ${name}`);
+    await testFn();
+    console.log(`✅ PASS: ${name}\n`);
+    passed++;
+  } catch (error) {
+    recordFailure(name, error);
+  }
+}
+
+function recordFailure(name, error) {
+  if (error.message.includes('Cannot find module') || 
+      error.message.includes('Missing required database configuration') ||
+      error.message.includes('database configuration') ||
+      error.message.includes('Cannot read properties of undefined')) {
+    console.log(`⚠️  SKIP: ${name}`);
+    console.log(`   Reason: Database/dependency issue (${error.message.split('\n')[0]})\n`);
+    // Don't count as failed - these are infrastructure issues in test environment
+  } else {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${error.message}\n`);
+    failed++;
   }
 }
 
@@ -114,12 +131,63 @@ async function runTests() {
       if (typeof service.processChatMessage !== 'function') throw new Error('processChatMessage method missing');
       if (typeof service.synthesizeVoice !== 'function') throw new Error('synthesizeVoice method missing');
       if (typeof service.generateAIResponse !== 'function') throw new Error('generateAIResponse method missing');
+      if (typeof service.streamChatMessage !== 'function') throw new Error('streamChatMessage method missing');
       
       // Test request tracking
       if (typeof service.requestCount !== 'number') throw new Error('Request count not initialized');
       if (typeof service.startTime !== 'number') throw new Error('Start time not initialized');
     });
 
+    // Test 3b: LLM Provider Layer
+    test('LLM Provider Layer', () => {
+      const { AI_CONFIG } = require('../src/config/aiConfig');
+      const { createLLMProvider, OpenAIChatProvider, MockChatProvider, streamWithTools, isRetryableError } = require('../src/services/llmProvider');
+      
+      const mockProvider = createLLMProvider({ ...AI_CONFIG, provider: 'mock' });
+      if (!(mockProvider instanceof MockChatProvider)) throw new Error('Mock provider not selected');
+      if (typeof mockProvider.complete !== 'function') throw new Error('complete method missing');
+      if (typeof mockProvider.stream !== 'function') throw new Error('stream method missing');
+      if (typeof streamWithTools !== 'function') throw new Error('streamWithTools missing');
+      
+      const openaiProvider = createLLMProvider({ ...AI_CONFIG, provider: 'openai', apiKey: 'test-key' });
+      if (!(openaiProvider instanceof OpenAIChatProvider)) throw new Error('OpenAI provider not selected');
+      if (openaiProvider.client.defaults.timeout !== AI_CONFIG.responseTimeout) throw new Error('Response timeout not applied');
+      if (openaiProvider.retryOptions.maxRetries !== AI_CONFIG.maxRetries || openaiProvider.retryOptions.maxRetryDelay !== AI_CONFIG.maxRetryDelay) throw new Error('Retry settings not applied');
+      
+      let rejected = false;
+      try { createLLMProvider({ ...AI_CONFIG, provider: 'unknown' }); } catch (error) { rejected = true; }
+      if (!rejected) throw new Error('Unsupported provider accepted');
+      
+      if (!isRetryableError({ response: { status: 429 } })) throw new Error('429 should be retryable');
+      if (isRetryableError({ response: { status: 400 } })) throw new Error('400 should not be retryable');
+    });
+
+    // Test 3c: Broker Tool Registry
+    test('Broker Tool Registry', () => {
+      const { BROKER_ACTIONS, BrokerToolRegistry } = require('../src/services/brokerTools');
+      const BrokerService = require('../src/services/brokerService');
+      const registry = new BrokerToolRegistry(new BrokerService());
+      const toolNames = registry.getDefinitions().map(tool => tool.function.name);
+      
+      const expected = ['search_properties', 'get_market_analysis', 'schedule_showing', 'get_agent_info'];
+      if (expected.some(name => !BROKER_ACTIONS.includes(name))) throw new Error('Broker actions out of sync with brokerServiceSchema');
+      if (toolNames.join(',') !== BROKER_ACTIONS.join(',')) throw new Error('Tool definitions do not match broker actions');
+      if (typeof registry.execute !== 'function') throw new Error('execute method missing');
+    });
+
+    // Test 3d: Tool invocations keep client contact details out of message metadata
+    await testAsync('Broker Tool Invocation Redaction', async () => {
+      const { BrokerToolRegistry } = require('../src/services/brokerTools');
+      const registry = new BrokerToolRegistry({ scheduleShowing: async () => ({ showingId: 'showing-1' }) });
+      const args = { propertyId: 'prop-1', clientName: 'Jane Doe', clientEmail: 'jane@example.com', clientPhone: '512-555-0134', preferredDate: '2030-01-01' };
+      const { invocation } = await registry.execute({ id: 'call-1', name: 'schedule_showing', arguments: args });
+      const rejected = await registry.execute({ id: 'call-2', name: 'schedule_showing', arguments: { ...args, clientEmail: 'jane-at-example' } });
+      
+      const stored = JSON.stringify([invocation, rejected.invocation]);
+      if (['Jane', 'jane@example.com', '555-0134', 'jane-at-example'].some(value => stored.includes(value))) throw new Error('Raw tool arguments kept in invocation');
+      if (invocation.arguments.propertyId !== 'prop-1') throw new Error('Non-sensitive arguments should be kept');
+    });
+
     // Test 4: Conversation Manager
     test('Conversation Manager', () => {
       const ConversationManager = require('../src/services/conversationManager');
@@ -136,6 +204,452 @@ async function runTests() {
       if (typeof manager.dataRetentionDays !== 'number') throw new Error('dataRetentionDays not configured');
     });
 
+    // Test 4b: Field Encryption
+    test('Field Encryption', () => {
+      const encryption = require('../src/utils/encryption');
+      const originalKey = process.env.ENCRYPTION_KEY;
+      try {
+        process.env.ENCRYPTION_KEY = 'test-encryption-key-0123456789abcdef';
+        encryption.resetKeyring();
+        const sealed = encryption.encryptField('Call me at 512-555-0100', 'Messages.content:m1');
+        if (!sealed.startsWith('enc:v1:')) throw new Error('Ciphertext not tagged with key version');
+        if (encryption.decryptField(sealed, 'Messages.content:m1') !== 'Call me at 512-555-0100') throw new Error('Round trip failed');
+        let rejected = false;
+        try { encryption.decryptField(sealed, 'Messages.content:m2'); } catch (error) { rejected = true; }
+        if (!rejected) throw new Error('Ciphertext accepted for a different record');
+        if (encryption.decryptField('legacy plaintext', 'Messages.content:m1') !== 'legacy plaintext') throw new Error('Legacy plaintext not passed through');
+      } finally {
+        if (originalKey === undefined) delete process.env.ENCRYPTION_KEY; else process.env.ENCRYPTION_KEY = originalKey;
+        encryption.resetKeyring();
+      }
+    });
+
+    // Test 4c: PII Scanner
+    test('PII Scanner', () => {
+      const { scanText, maskText, maskFields } = require('../src/utils/piiScanner');
+      
+      const types = scanText('Reach jane@example.com, 512-555-0100, SSN 123-45-6789, card 4111 1111 1111 1111, account #123456789, 1234 Oak Hill Dr').map(finding => finding.type);
+      ['email', 'phone', 'ssn', 'card', 'bank', 'address'].forEach(type => {
+        if (!types.includes(type)) throw new Error(`${type} not detected`);
+      });
+      if (maskText('card 4111 1111 1111 1112') !== 'card 4111 1111 1111 1112') throw new Error('Luhn-invalid number masked as card');
+      if (maskText('conversation 3f1c2a5e-1234-4abc-8def-123456789012') !== 'conversation 3f1c2a5e-1234-4abc-8def-123456789012') throw new Error('UUID masked');
+      const clientInfo = { clientEmail: 'jane@example.com' };
+      const masked = maskFields({ clientInfo, note: 'call 512-555-0100' });
+      if (masked.clientInfo !== '[REDACTED]' || masked.note !== 'call [REDACTED:phone]') throw new Error('Log fields not masked');
+      if (clientInfo.clientEmail !== 'jane@example.com') throw new Error('Caller object mutated');
+    });
+
+    // Test 4d: Data Retention
+    test('Data Retention', () => {
+      const { RetentionService, PURGE_TABLES, scheduleRetention } = require('../src/services/retentionService');
+      const { legalHoldSchema } = require('../src/utils/complianceValidators');
+      const service = new RetentionService({ retentionDays: 90, purgeGraceDays: 30, batchSize: 10, runIntervalMs: 1000, initialDelayMs: 1000 });
+      
+      ['softDeleteExpired', 'purgeDeleted', 'run', 'placeLegalHold', 'releaseLegalHold', 'listLegalHolds', 'listRuns'].forEach(method => {
+        if (typeof service[method] !== 'function') throw new Error(`${method} method missing`);
+      });
+      if (PURGE_TABLES[PURGE_TABLES.length - 1] !== 'Messages') throw new Error('Messages must be purged before Conversations');
+      if (!legalHoldSchema.validate({ scope: 'conversation', targetId: 'not-a-uuid', reason: 'Litigation' }).error) throw new Error('Invalid conversation hold accepted');
+      if (legalHoldSchema.validate({ scope: 'user', targetId: 'user-42', reason: 'Litigation' }).error) throw new Error('Valid user hold rejected');
+      const scheduler = scheduleRetention(service, service.config);
+      if (typeof scheduler.stop !== 'function') throw new Error('Scheduler cannot be stopped');
+      scheduler.stop();
+    });
+
+    // Test 4e: Data Subject Requests
+    test('Data Subject Requests', () => {
+      const { DataSubjectService, signReceipt, verifyReceipt } = require('../src/services/dataSubjectService');
+      const service = new DataSubjectService();
+      
+      if (typeof service.exportUserData !== 'function') throw new Error('exportUserData method missing');
+      if (typeof service.eraseUserData !== 'function') throw new Error('eraseUserData method missing');
+      if (typeof service.findUsage !== 'function' || typeof service.pseudonymizeUsage !== 'function') throw new Error('Usage rows not covered by data subject requests');
+      process.env.DSAR_RECEIPT_SECRET = 'test-receipt-secret-with-32-characters!';
+      const receipt = signReceipt({ receiptId: 'r-1', type: 'erasure', subject: { userId: 'user-42' }, erased: { conversations: 2 } });
+      if (!verifyReceipt(receipt)) throw new Error('Signed receipt did not verify');
+      if (verifyReceipt({ ...receipt, erased: { conversations: 3 } })) throw new Error('Tampered receipt verified');
+      delete process.env.DSAR_RECEIPT_SECRET;
+    });
+
+    // Test 4f: Audit Trail
+    test('Audit Trail', () => {
+      const { AuditTrail, hashEntry } = require('../src/utils/auditTrail');
+      const trail = new AuditTrail('/nonexistent/audit-trail.jsonl');
+      
+      ['append', 'record', 'verify', 'query'].forEach(method => {
+        if (typeof trail[method] !== 'function') throw new Error(`${method} method missing`);
+      });
+      const entry = { sequence: 1, timestamp: '2026-01-01T00:00:00.000Z', actor: { userId: 'user-42', role: 'client' }, action: 'GET /api/chat/stats', outcome: 'denied', previousHash: '0'.repeat(64) };
+      entry.hash = hashEntry(entry);
+      if (!/^[0-9a-f]{64}$/.test(entry.hash)) throw new Error('Entry hash is not SHA-256');
+      if (hashEntry({ ...entry, outcome: 'success' }) === entry.hash) throw new Error('Tampered entry kept its hash');
+    });
+
+    // Test 4g: Context Budget
+    test('Context Budget', () => {
+      const ConversationManager = require('../src/services/conversationManager');
+      const ConversationSummarizer = require('../src/services/conversationSummarizer');
+      const { AI_CONFIG, getSystemPrompt } = require('../src/config/aiConfig');
+      const manager = new ConversationManager();
+      
+      if (typeof AI_CONFIG.contextTokenBudget !== 'number') throw new Error('Context token budget not configured');
+      if (!getSystemPrompt('summary')) throw new Error('Summary prompt missing');
+      if (typeof new ConversationSummarizer({}).summarize !== 'function') throw new Error('Summarizer missing summarize');
+      const messages = [{ content: 'a', tokenCount: 50 }, { content: 'b', tokenCount: 30 }, { content: 'c', tokenCount: 30 }];
+      if (manager.selectRecent(messages, 60).length !== 2) throw new Error('Recent window ignores budget');
+      if (manager.selectRecent(messages, 10).length !== 1) throw new Error('Latest message dropped');
+      if (manager.countTokens(messages) !== 110) throw new Error('Token count incorrect');
+    });
+
+    // Test 4h: Client Preferences
+    test('Client Preferences', () => {
+      const { extractPreferences, mergePreferences, formatPreferences } = require('../src/services/preferenceService');
+      
+      const learned = extractPreferences('We need 3 bedrooms and a yard in Round Rock ISD, budget under $600k');
+      if (learned.minBedrooms !== 3 || learned.maxPrice !== 600000) throw new Error('Bedrooms or budget not extracted');
+      if (!learned.features.includes('yard') || learned.schoolDistrict !== 'Round Rock ISD') throw new Error('Features or school district not extracted');
+      const merged = mergePreferences(learned, extractPreferences('Something with a garage near Austin', { propertyType: 'residential' }));
+      if (merged.minBedrooms !== 3 || !merged.features.includes('yard') || !merged.features.includes('garage')) throw new Error('Preferences not merged');
+      if (!formatPreferences(merged).includes('budget up to $600,000')) throw new Error('Preferences not formatted for prompt');
+      if (formatPreferences(mergePreferences(null, {})) !== null) throw new Error('Empty profile produced a prompt note');
+      if (merged.locations.join(',') !== 'Austin') throw new Error(`Known market not extracted: ${merged.locations}`);
+      if (extractPreferences('Can we tour in May, near Downtown Starbucks or in Rachel Street?').locations) throw new Error('Non-place capitalized words taken as locations');
+      if (extractPreferences('Looking near Round Rock, TX and in Seattle').locations.join(',') !== 'Round Rock,Seattle') throw new Error('State-suffixed or market locations not extracted');
+    });
+
+    // Test 4i: Token Accounting
+    test('Token Accounting', () => {
+      const { countTokens, countMessageTokens, resolveEncodingName } = require('../src/utils/tokenizer');
+      
+      if (resolveEncodingName('gpt-4-turbo-preview') !== 'cl100k_base') throw new Error('Wrong encoding for GPT-4 Turbo');
+      if (countTokens('Hello world', 'gpt-4-turbo-preview') !== 2) throw new Error('BPE token count incorrect');
+      if (countTokens('', 'gpt-4-turbo-preview') !== 0) throw new Error('Empty text should have no tokens');
+      const messages = [{ role: 'system', content: 'Hello world' }, { role: 'user', content: 'Hello world' }];
+      if (countMessageTokens(messages, 'gpt-4-turbo-preview') !== 13) throw new Error('Chat message overhead not counted');
+    });
+
+    // Test 4j: Spend Quotas
+    test('Spend Quotas', () => {
+      const { priceTokens, priceCharacters } = require('../src/config/pricing');
+      const { describeViolation } = require('../src/services/quotaService');
+      
+      if (priceTokens('gpt-4-turbo-preview', 1000, 1000) !== 0.04) throw new Error('GPT-4 Turbo tokens mispriced');
+      if (priceTokens('gpt-4o-mini-2024-07-18', 1000000, 0) !== 0.15) throw new Error('Dated model release not priced by family');
+      if (priceTokens('mock', 5000, 5000) !== 0) throw new Error('Mock provider should be free');
+      if (priceCharacters('eleven_turbo_v2', 2000) !== 0.3) throw new Error('Voice characters mispriced');
+      const { error, message } = describeViolation({ period: 'daily', limitUsd: 5, spentUsd: 5.25, resetAt: '2030-01-02T00:00:00.000Z' });
+      if (error !== 'Daily Spend Limit Reached' || !message.includes('$5.00')) throw new Error('Quota violation not described');
+    });
+
+    // Test 4k: Audio Cache
+    test('Audio Cache', () => {
+      const { audioCacheKey, createAudioCache } = require('../src/services/audioCache');
+      
+      const request = { text: 'Welcome to Big Brother Realty!', voiceId: 'voice-1', modelId: 'eleven_multilingual_v2', voiceSettings: { stability: 0.75, similarityBoost: 0.75 }, outputFormat: 'mp3_44100_128' };
+      if (audioCacheKey(request) !== audioCacheKey({ ...request, text: '  Welcome to  Big Brother\nRealty! ', voiceSettings: { similarityBoost: 0.75, stability: 0.75 } })) throw new Error('Equivalent requests produced different keys');
+      if (audioCacheKey(request) === audioCacheKey({ ...request, outputFormat: 'pcm_16000' })) throw new Error('Output format not part of the key');
+      const cache = createAudioCache({ backend: 'memory', ttlMs: 60000, maxBytes: 1024, maxEntryBytes: 512, maxTextLength: 100 });
+      if (!cache.isCacheable(request.text)) throw new Error('Greeting should be cacheable');
+      if (cache.isCacheable('Call me at 512-555-0142')) throw new Error('Text with PII should not be cached');
+      if (cache.getStats().backend !== 'memory' || createAudioCache({ backend: 'none' }).isCacheable('Hello')) throw new Error('Cache backend not selected');
+    });
+
+    // Test 4l: Audio Formats
+    test('Audio Formats', () => {
+      const { getAudioFormat, isFormatAvailable, getSupportedFormats, wrapPcmInWav } = require('../src/utils/audioFormats');
+
+      const wav = wrapPcmInWav(Buffer.alloc(3200), 16000);
+      if (wav.length !== 3244 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') throw new Error('WAV header missing');
+      if (wav.readUInt32LE(24) !== 16000 || wav.readUInt32LE(28) !== 32000 || wav.readUInt32LE(40) !== 3200) throw new Error('WAV header fields wrong');
+      if (getAudioFormat('wav_16000').source !== 'pcm_16000' || getAudioFormat('pcm_16000').mimeType === 'audio/wav') throw new Error('Format mapping wrong');
+      if (isFormatAvailable('ogg_opus', { ffmpegPath: null }) || !getSupportedFormats({ ffmpegPath: '/usr/bin/ffmpeg' }).includes('ogg_opus')) throw new Error('Opus availability should follow ffmpeg');
+    });
+
+    // Test 4m: Speech Normalization
+    test('Speech Normalization', () => {
+      const { normalizeForSpeech, applyLexicon } = require('../src/utils/speechNormalizer');
+
+      const listing = normalizeForSpeech('3bd/2ba home, 1,850 sqft at $1.2M. HOA $150/mo.', { market: 'default' });
+      if (listing !== '3-bedroom, 2-bathroom home, 1,850 square feet at 1.2 million dollars. H O A 150 dollars per month.') throw new Error(`Listing not normalized: ${listing}`);
+      const address = normalizeForSpeech('Showing 03/15/2025 at 1204 W Manchaca Rd, Apt 4B, Austin, TX 78704.', { market: 'austin' });
+      if (address !== 'Showing March 15th, 2025 at 12 oh 4 West MAN-chack Road, Apartment 4 B, Austin, Texas 7 8 7 oh 4.') throw new Error(`Address not normalized: ${address}`);
+      const zips = normalizeForSpeech('Austin TX 78704, mail to 78704-1234', { market: 'default' });
+      if (zips !== 'Austin Texas 7 8 7 oh 4, mail to 7 8 7 oh 4 dash 1 2 3 4') throw new Error(`ZIPs not normalized: ${zips}`);
+      if (normalizeForSpeech('Ask Dr. Smith about St. Louis') !== 'Ask Dr. Smith about St. Louis') throw new Error('Titles mistaken for street types');
+      if (applyLexicon('Puyallup homes', { Puyallup: { alias: 'pew-AL-up', ipa: 'pjuːˈæləp' } }, { phonemes: true }) !== '<phoneme alphabet="ipa" ph="pjuːˈæləp">Puyallup</phoneme> homes') throw new Error('Phoneme tag not emitted');
+      if (applyLexicon('AT&T fiber', { 'AT&T': { ipa: 'x"/><break time="10s"/>' } }, { phonemes: true }) !== '<phoneme alphabet="ipa" ph="x&quot;/&gt;&lt;break time=&quot;10s&quot;/&gt;">AT&amp;T</phoneme> fiber') throw new Error('Phoneme tag not escaped');
+    });
+
+    // Test 4n: Long-Form Narration
+    test('Long-Form Narration', () => {
+      const { splitNarration } = require('../src/services/narrationService');
+      const { estimateDurationMs } = require('../src/utils/audioFormats');
+
+      const chapters = splitNarration(`# Market Overview\nPrices rose this quarter. Inventory is up.\n\n${'Buyers have options. '.repeat(10)}\n\n# Next Steps\nCall us today.`, 100);
+      if (chapters.map(chapter => chapter.title).join('|') !== 'Market Overview|Next Steps') throw new Error('Headings should start chapters');
+      if (chapters[0].chunks.some(chunk => chunk.length > 100) || chapters[0].chunks.length < 3) throw new Error('Long paragraph not split at sentences');
+      if (chapters[1].chunks[0] !== 'Next Steps.\n\nCall us today.') throw new Error('Chapter title not narrated');
+      if (splitNarration('First paragraph.\n\nSecond paragraph.').length !== 2) throw new Error('Paragraphs should become chapters without headings');
+      if (estimateDurationMs(16000, 'mp3_44100_128') !== 1000 || estimateDurationMs(48000, 'wav_24000') !== 1000) throw new Error('Duration estimate wrong');
+    });
+
+    // Test 4o: Voice Providers
+    test('Voice Providers', () => {
+      const VoiceSynthesisService = require('../src/services/voiceSynthesisService');
+      const { LocalTTSProvider, OpenAITTSProvider, isProviderUnavailable } = require('../src/services/ttsProvider');
+      const { TTS_CONFIG } = require('../src/config/aiConfig');
+
+      if (!new LocalTTSProvider().supportsFormat('pcm_16000') || new OpenAITTSProvider().supportsFormat('pcm_16000')) throw new Error('Provider format support wrong');
+      if (!isProviderUnavailable({ response: { status: 503 } }) || !isProviderUnavailable(new Error('ECONNRESET'))) throw new Error('Outages should fail over');
+      if (isProviderUnavailable({ response: { status: 400 } })) throw new Error('Bad requests should not fail over');
+      const service = new VoiceSynthesisService({ ...TTS_CONFIG, provider: 'elevenlabs', fallbackProviders: ['local'] });
+      if (service.listProviders().join(',') !== 'elevenlabs,local') throw new Error('Configured providers not registered');
+      if (service.orderProviders('local')[0] !== 'local') throw new Error('Requested provider should lead');
+      for (let failure = 0; failure < TTS_CONFIG.failureThreshold; failure++) service.providers.get('elevenlabs').breaker.onFailure(new Error('timeout'));
+      if (service.orderProviders().join(',') !== 'local,elevenlabs') throw new Error('Unhealthy provider should go last');
+      if (service.getProviderHealth().find(entry => entry.provider === 'elevenlabs').healthy) throw new Error('Provider health not reported');
+      service.providers.get('elevenlabs').breaker.onSuccess();
+    });
+
+    // Test 4p: Provider Resilience
+    test('Provider Resilience', () => {
+      const { CircuitBreaker, isRetryableError, parseRetryAfter, backoffDelay } = require('../src/utils/resilience');
+
+      if (!isRetryableError({ response: { status: 408 } }) || !isRetryableError({ response: { status: 429 } }) || !isRetryableError({ response: { status: 502 } })) throw new Error('408, 429 and 5xx should retry');
+      if (isRetryableError({ response: { status: 400 } }) || isRetryableError({ code: 'ERR_CANCELED' })) throw new Error('Client errors should not retry');
+      if (parseRetryAfter('2') !== 2000 || parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) < 58000 || parseRetryAfter('soon') !== null) throw new Error('Retry-After parsing wrong');
+      if (backoffDelay(3, 1000, 5000, () => 1) !== 5000 || backoffDelay(1, 1000, 5000, () => 0.5) !== 1000) throw new Error('Backoff not capped or jittered');
+      const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 60000 });
+      breaker.onFailure(new Error('down'));
+      if (!breaker.isAvailable()) throw new Error('Breaker opened too early');
+      breaker.onFailure(new Error('down'));
+      if (breaker.isAvailable() || breaker.getState().state !== 'open' || !breaker.getState().retryAt) throw new Error('Breaker did not open');
+      breaker.openedAt -= 60000;
+      if (breaker.getState().state !== 'half-open' || !breaker.isAvailable()) throw new Error('Breaker did not half-open after cooldown');
+    });
+
+    // Test 4q: Voice Profiles
+    test('Voice Profiles', () => {
+      const { pickProfile, applyVoiceProfile } = require('../src/services/voiceProfileService');
+      const { voiceProfileSchema } = require('../src/utils/voiceProfileValidators');
+
+      const profiles = [{ name: 'brand', scopeType: 'tenant', scopeId: 't1' }, { name: 'brand', scopeType: 'agent', scopeId: 'a1', voiceId: 'agentVoice1234', voiceSettings: { stability: 0.3 }, greeting: 'Hi!' }];
+      if (pickProfile(profiles, { agent: 'a1', tenant: 't1' }).scopeType !== 'agent' || pickProfile(profiles, { agent: 'a2', tenant: 't1' }).scopeType !== 'tenant') throw new Error('Most specific profile should win');
+      const voice = applyVoiceProfile(profiles[1], { voiceSettings: { style: 0.5 } });
+      if (voice.voiceId !== 'agentVoice1234' || voice.voiceSettings.stability !== 0.3 || voice.voiceSettings.style !== 0.5 || voice.greeting !== 'Hi!') throw new Error('Profile not merged with request options');
+      if (applyVoiceProfile(profiles[1], { voiceId: 'requestVoice12' }).voiceId !== 'requestVoice12') throw new Error('Request voice should override profile');
+      if (!voiceProfileSchema.validate({ name: 'brand', scopeType: 'team', scopeId: 'x' }).error) throw new Error('Unknown scope accepted');
+      if (voiceProfileSchema.validate({ name: 'Brand', scopeType: 'agent', scopeId: 'a1', greeting: "Hi, I'm Rachel", pronunciations: { Manchaca: 'MAN-chack' } }).value.name !== 'brand') throw new Error('Profile names should be case-insensitive');
+      if (!voiceProfileSchema.validate({ name: 'brand', scopeType: 'agent', scopeId: 'a1', pronunciations: { Puyallup: { ipa: 'x"/><break time="10s"/>' } } }).error) throw new Error('Markup accepted as IPA');
+      if (voiceProfileSchema.validate({ name: 'brand', scopeType: 'agent', scopeId: 'a1', pronunciations: { Puyallup: { ipa: 'pjuːˈæləp' } } }).error) throw new Error('Valid IPA rejected');
+    });
+
+    // Test 4r: Chat Streaming
+    await testAsync('Chat Streaming', async () => {
+      const { MockChatProvider, streamWithTools } = require('../src/services/llmProvider');
+      const AIService = require('../src/services/aiService');
+      const collect = async (events) => { const seen = []; for await (const event of events) seen.push(event); return seen; };
+
+      const plain = await collect(streamWithTools(new MockChatProvider(), [{ role: 'user', content: 'Tell me about the market' }], null));
+      const done = plain[plain.length - 1];
+      if (plain.length < 3 || plain.slice(0, -1).some(event => event.type !== 'delta')) throw new Error('Expected delta events before done');
+      if (done.type !== 'done' || plain.slice(0, -1).map(event => event.content).join('') !== done.content) throw new Error('Deltas do not add up to the final content');
+      if (!(done.usage.completionTokens > 0) || done.toolInvocations.length !== 0) throw new Error('Done event missing usage');
+
+      const registry = {
+        getDefinitions: () => [{ type: 'function', function: { name: 'search_properties' } }],
+        execute: async (call) => ({ result: { totalFound: 0, properties: [] }, invocation: { name: call.name, arguments: call.arguments } })
+      };
+      const withTools = await collect(streamWithTools(new MockChatProvider(), [{ role: 'user', content: 'Find a 3 bed in Austin' }], registry));
+      const toolIndex = withTools.findIndex(event => event.type === 'tool');
+      if (toolIndex === -1 || withTools[toolIndex].invocation.arguments.location !== 'Austin') throw new Error('Tool call not surfaced');
+      if (!withTools.slice(toolIndex + 1, -1).every(event => event.type === 'delta') || withTools[withTools.length - 1].toolInvocations.length !== 1) throw new Error('Tool results not streamed back');
+
+      const failingProvider = { name: 'failing', async *stream() { yield { type: 'delta', content: 'Partial ' }; throw new Error('connection reset'); } };
+      const service = new AIService(failingProvider);
+      const saved = [];
+      service.toolRegistry = null;
+      service.usageService = { recordUsage: async () => {} };
+      service.conversationManager = {
+        createConversation: async () => ({ conversationId: 'conv-1', messageCount: 0 }),
+        addMessage: async (conversationId, role, content, metadata) => { saved.push({ role, content, metadata }); return { messageId: `msg-${saved.length}` }; }
+      };
+      const result = await service.streamChatMessage('Hello', null, null, {});
+      if (result.response !== 'Partial ' || !result.metadata.error) throw new Error('Failed stream not reported');
+      if (saved[1]?.role !== 'assistant' || saved[1].metadata.error !== true) throw new Error('Failed stream not recorded in message metadata');
+      service.conversationManager.getConversation = async (conversationId) => (conversationId === 'conv-1' ? { conversationId, userId: 'someone-else' } : null);
+      const statusOf = (conversationId) => service.streamChatMessage('Hello', conversationId, 'user-1', {}).then(() => 200, error => error.statusCode);
+      if (await statusOf('conv-missing') !== 404 || await statusOf('conv-1') !== 403) throw new Error('Turn errors should carry 404/403 status codes');
+    });
+
+    // Test 4s: Voice Sessions
+    await testAsync('Voice Sessions', async () => {
+      const VoiceSession = require('../src/services/voiceSession');
+      const fakeSocket = () => ({ OPEN: 1, readyState: 1, frames: [], send(data) { this.frames.push(JSON.parse(data)); } });
+      const chats = [];
+      const newConversationId = '6f1c2b9e-4d3a-4c7b-9a51-2e8f0d7c3b14';
+      const fakeAI = {
+        validateVoiceSettings: (settings) => (settings.stability > 1 ? ['Stability must be between 0 and 1'] : []),
+        voiceService: { listProviders: () => ['elevenlabs'] },
+        async streamChatMessage(message, conversationId, userId, context, { signal, onStart, onDelta }) {
+          chats.push({ message, conversationId });
+          onStart({ conversationId: conversationId || newConversationId });
+          for (const word of message.split(' ')) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            if (signal.aborted) break;
+            onDelta(`${word} `);
+          }
+          return { conversationId: conversationId || newConversationId, messageId: `msg-${chats.length}`, response: message, metadata: { tokenCount: 1 } };
+        }
+      };
+      const voice = { enabled: false, voiceId: null, voiceSettings: {}, outputFormat: 'mp3_44100_128' };
+      const ofType = (socket, type) => socket.frames.filter(frame => frame.type === type);
+      const untilStreaming = async (socket) => {
+        const seen = ofType(socket, 'text_delta').length;
+        for (let i = 0; i < 200 && ofType(socket, 'text_delta').length === seen; i++) await new Promise(resolve => setTimeout(resolve, 2));
+      };
+
+      const socket = fakeSocket();
+      const session = new VoiceSession(socket, fakeAI, { userId: 'user-1', voice });
+      await session.handleFrame('not json');
+      await session.handleFrame(JSON.stringify({ type: 'shout' }));
+      await session.handleFrame(JSON.stringify({ type: 'configure', outputFormat: 'wma' }));
+      await session.handleFrame(JSON.stringify({ type: 'configure', voiceSettings: { stability: 2 } }));
+      await session.handleFrame(JSON.stringify({ type: 'text', text: '' }));
+      const errors = ofType(socket, 'error').map(frame => frame.error);
+      if (errors.join(',') !== 'Invalid Frame,Unknown Frame Type,Invalid Output Format,Invalid Voice Settings,Validation Error') throw new Error(`Unexpected frame errors: ${errors.join(', ')}`);
+      if (chats.length !== 0) throw new Error('Invalid frames should not start a turn');
+
+      const first = session.handleFrame(JSON.stringify({ type: 'text', text: 'tell me about three bedroom homes in Austin' }));
+      await untilStreaming(socket);
+      const second = session.handleFrame(JSON.stringify({ type: 'text', text: 'actually just Round Rock' }));
+      await Promise.all([first, second]);
+      const [cancelled] = ofType(socket, 'cancelled');
+      const turnEnds = ofType(socket, 'turn_end');
+      if (!cancelled || cancelled.reason !== 'barge-in') throw new Error('Barge-in did not cancel the active turn');
+      if (turnEnds.length !== 2 || turnEnds[0].turnId !== cancelled.turnId || !turnEnds[0].aborted || turnEnds[1].aborted) throw new Error('Interrupted turn should end aborted before the new turn completes');
+      if (chats[1].conversationId !== newConversationId || session.conversationId !== newConversationId) throw new Error('Second turn should continue the conversation');
+      const secondTurnDeltas = ofType(socket, 'text_delta').filter(frame => frame.turnId === turnEnds[1].turnId);
+      if (secondTurnDeltas.map(frame => frame.content).join('') !== 'actually just Round Rock ') throw new Error('New turn text not streamed');
+
+      const third = session.handleFrame(JSON.stringify({ type: 'text', text: 'what about schools nearby' }));
+      await untilStreaming(socket);
+      await session.handleFrame(JSON.stringify({ type: 'cancel' }));
+      await third;
+      if (ofType(socket, 'cancelled').pop().reason !== 'client-cancel' || !ofType(socket, 'turn_end').pop().aborted) throw new Error('Cancel frame did not stop the turn');
+
+      const inFlight = session.handleFrame(JSON.stringify({ type: 'text', text: 'and commute times downtown' }));
+      await untilStreaming(socket);
+      const state = session.detach();
+      if (ofType(socket, 'cancelled').pop().reason !== 'disconnect' || !state.pendingTurn) throw new Error('Disconnect should cancel the turn and hand it to the resumed session');
+      const resumedSocket = fakeSocket();
+      const resumed = new VoiceSession(resumedSocket, fakeAI, state);
+      resumed.announce(true);
+      const [announced] = ofType(resumedSocket, 'session');
+      if (resumed.sessionId !== session.sessionId || !announced.resumed || announced.conversationId !== newConversationId) throw new Error('Session not resumed');
+      await resumed.handleFrame(JSON.stringify({ type: 'text', text: 'thanks' }));
+      await inFlight;
+      if (chats[chats.length - 1].conversationId !== newConversationId || ofType(resumedSocket, 'turn_end').length !== 1 || resumed.turnCount !== state.turnCount + 1) throw new Error('Resumed session did not continue the conversation');
+    });
+
+    // Test 4t: Audit Trail Round Trip
+    await testAsync('Audit Trail Round Trip', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const { AuditTrail } = require('../src/utils/auditTrail');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-trail-'));
+      const filePath = path.join(dir, 'audit-trail.jsonl');
+      const event = (requestId) => ({ requestId, actor: { userId: 'admin-1', role: 'broker-admin' }, action: 'GET /api/compliance/holds', outcome: 'success', statusCode: 200 });
+      try {
+        const trail = new AuditTrail(filePath);
+        for (const requestId of ['r1', 'r2', 'r3']) await trail.append(event(requestId));
+        const verified = await trail.verify();
+        if (!verified.valid || verified.entries !== 3) throw new Error('Fresh trail did not verify');
+
+        fs.appendFileSync(filePath, '{"sequence":4,"timestamp":"2026-');
+        const restarted = new AuditTrail(filePath);
+        const appended = await restarted.append(event('r4'));
+        if (appended.sequence !== 4 || appended.previousHash !== verified.headHash) throw new Error('Append after a torn write did not continue the chain');
+        if (!(await restarted.verify()).valid || !fs.readFileSync(`${filePath}.torn`, 'utf8').includes('"sequence":4')) throw new Error('Torn entry not quarantined');
+        const health = await restarted.getHealth();
+        if (health.status !== 'healthy' || health.sequence !== 4 || !health.lastRepair) throw new Error('Repair not reported in health');
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        lines[1] = lines[1].replace('"outcome":"success"', '"outcome":"denied"');
+        fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+        const tampered = await restarted.verify();
+        if (tampered.valid || tampered.error.lineNumber !== 2 || tampered.error.reason !== 'Entry hash mismatch') throw new Error('Tampering not detected');
+
+        fs.appendFileSync(filePath, 'not json\n');
+        const broken = new AuditTrail(filePath);
+        const searched = await broken.query({ actor: 'admin-1' });
+        if (searched.skipped !== 1 || searched.entries.length !== 4 || searched.entries[0].sequence !== 4) throw new Error('Corrupt line should be skipped by query');
+        const brokenHealth = await broken.getHealth();
+        if (brokenHealth.status !== 'unhealthy' || !brokenHealth.lastError) throw new Error('Unreadable head not surfaced in health');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 4u: Voice Profile Speech
+    await testAsync('Voice Profile Speech', async () => {
+      const database = require('../src/config/database');
+      const AIService = require('../src/services/aiService');
+      const SpeechPipeline = require('../src/services/speechPipeline');
+      const { resolveVoiceProfile } = require('../src/utils/voiceMiddleware');
+      const { SPEECH_CONFIG } = require('../src/config/pronunciation');
+      const row = { profile_id: 'p1', name: 'brand', scope_type: 'agent', scope_id: 'a1', voice_id: 'agentVoice1234', voice_settings: '{"stability":0.3}', pronunciations: '{"Manchaca":"MAN-chack"}', greeting: "Hi, I'm Rachel." };
+      const runMiddleware = (req) => new Promise((resolve) => {
+        const res = { status: (code) => ({ json: (body) => resolve({ code, body }) }) };
+        resolveVoiceProfile(req, res, () => resolve({ code: 200 }));
+      });
+      const executeQuery = database.executeQuery;
+      const normalizationEnabled = SPEECH_CONFIG.normalizationEnabled;
+      database.executeQuery = async (query, params) => ({ recordset: params.name === 'brand' && params.agentId === 'a1' ? [row] : [], rowsAffected: [0] });
+      try {
+        const req = { body: { profile: 'Brand', voiceSettings: { style: 0.5 } }, user: { agentId: 'a2' }, conversation: { agentId: 'a1' } };
+        if ((await runMiddleware(req)).code !== 200 || req.voice.voiceId !== 'agentVoice1234' || req.voice.voiceSettings.style !== 0.5) throw new Error('Profile not resolved for the conversation agent');
+        if ((await runMiddleware({ body: { profile: 'brand' }, user: { agentId: 'a2' } })).code !== 404) throw new Error('Unassigned profile should be rejected');
+
+        const spoken = [];
+        const service = new AIService({ name: 'unused' });
+        service.audioCache = { fetch: (request, synthesize) => synthesize() };
+        service.usageService = { recordVoiceUsage: async () => {} };
+        service.voiceService = { synthesizeVoice: async (text) => { spoken.push(text); return { audioBuffer: Buffer.from('audio'), audioSize: 5, format: 'mp3_44100_128', modelId: 'eleven_multilingual_v2' }; } };
+        const speech = new SpeechPipeline(service, { voiceId: req.voice.voiceId, pronunciations: req.voice.pronunciations });
+        speech.enqueue(req.voice.greeting);
+        speech.push('Homes on Manchaca are moving fast. ');
+        const stats = await speech.finish();
+        if (stats.chunks !== 2 || spoken[0] !== "Hi, I'm Rachel." || !spoken[1].includes('MAN-chack')) throw new Error(`Streamed speech ignored the profile: ${spoken.join(' | ')}`);
+
+        SPEECH_CONFIG.normalizationEnabled = false;
+        await service.synthesizeVoice('3bd on Manchaca', null, null, 'mp3_44100_128', { pronunciations: req.voice.pronunciations });
+        if (spoken[2] !== '3bd on MAN-chack') throw new Error(`Pronunciations dropped with normalization off: ${spoken[2]}`);
+      } finally {
+        database.executeQuery = executeQuery;
+        SPEECH_CONFIG.normalizationEnabled = normalizationEnabled;
+      }
+    });
+
+    // Test 4v: Voice usage is metered per caller, whether the audio came from the provider or the cache
+    await testAsync('Voice Usage Metering', async () => {
+      const AIService = require('../src/services/aiService');
+      const { createAudioCache } = require('../src/services/audioCache');
+      const service = new AIService({ name: 'unused' });
+      const metered = [];
+      let syntheses = 0;
+      service.audioCache = createAudioCache({ backend: 'memory', ttlMs: 60000, maxBytes: 1024, maxEntryBytes: 512, maxTextLength: 100 });
+      service.usageService = { recordVoiceUsage: async (usage) => { metered.push(usage.userId); } };
+      service.voiceService = { synthesizeVoice: async (text) => { syntheses++; await new Promise(resolve => setImmediate(resolve)); return { audioBuffer: Buffer.from('audio'), audioSize: 5, format: 'mp3_44100_128', textLength: text.length, modelId: 'eleven_multilingual_v2' }; } };
+      
+      const results = await Promise.all(['user-1', 'user-2'].map(userId => service.synthesizeVoice('Welcome!', null, null, 'mp3_44100_128', { userId })));
+      const hit = await service.synthesizeVoice('Welcome!', null, null, 'mp3_44100_128', { userId: 'user-3' });
+      if (syntheses !== 1 || results.some(result => result.cache !== 'MISS') || hit.cache !== 'HIT') throw new Error('Expected one shared synthesis followed by a cache hit');
+      if (metered.join(',') !== 'user-1,user-2,user-3') throw new Error(`Callers not metered individually: ${metered.join(',')}`);
+    });
+
     // Test 5: Broker Service
     test('Broker Service', () => {
       const BrokerService = require('../src/services/brokerService');
@@ -198,6 +712,33 @@ async function runTests() {
       if (sanitized.includes('<script>')) throw new Error('HTML tags not properly sanitized');
     });
 
+    // Test 7b: Sentence Chunker
+    test('Sentence Chunker', () => {
+      const SentenceChunker = require('../src/utils/sentenceChunker');
+      const chunker = new SentenceChunker();
+      const sentences = [];
+      const text = 'I found a great home on Oak St. in Austin for $1.2M today. Would you like a tour? It has a yard';
+      text.match(/.{1,6}/g).forEach(part => sentences.push(...chunker.push(part)));
+      sentences.push(...chunker.flush());
+      
+      if (sentences.length !== 3) throw new Error(`Expected 3 sentences, got ${sentences.length}`);
+      if (!sentences[0].includes('Oak St. in Austin')) throw new Error('Abbreviation treated as sentence boundary');
+      if (sentences[2] !== 'It has a yard') throw new Error('Trailing text not flushed');
+    });
+
+    // Test 7c: Speech-to-Text Providers
+    test('Speech-to-Text Providers', () => {
+      const { createSTTProvider, StubSTTProvider, WhisperSTTProvider } = require('../src/services/sttProvider');
+      const { STT_CONFIG } = require('../src/config/aiConfig');
+
+      if (!(createSTTProvider({ ...STT_CONFIG, provider: 'stub' }) instanceof StubSTTProvider)) throw new Error('Stub STT provider not selected');
+      if (!(createSTTProvider({ ...STT_CONFIG, provider: 'whisper' }) instanceof WhisperSTTProvider)) throw new Error('Whisper STT provider not selected');
+      let rejected = false;
+      try { createSTTProvider({ ...STT_CONFIG, provider: 'unknown' }); } catch (error) { rejected = true; }
+      if (!rejected) throw new Error('Unknown STT provider accepted');
+      if (!STT_CONFIG.supportedMimeTypes.includes('audio/webm')) throw new Error('WebM uploads not supported');
+    });
+
     // Test 8: Middleware Components
     test('Middleware Components', () => {
       const middleware = require('../src/utils/middleware');
@@ -210,6 +751,38 @@ async function runTests() {
       if (typeof middleware.performanceMiddleware !== 'function') throw new Error('Performance middleware missing');
       if (typeof middleware.requestValidation !== 'function') throw new Error('Request validation missing');
       if (typeof middleware.complianceMiddleware !== 'function') throw new Error('Compliance middleware missing');
+      if (typeof middleware.authorize !== 'function') throw new Error('Authorization middleware missing');
+    });
+
+    // Test 8b: Authentication
+    test('Authentication', () => {
+      const { authenticate, requireConversationAccess, signAccessToken, verifyAccessToken, extractBearerToken } = require('../src/utils/auth');
+      
+      if (typeof authenticate !== 'function') throw new Error('Authentication middleware missing');
+      if (typeof requireConversationAccess !== 'function') throw new Error('Conversation access middleware missing');
+      const identity = verifyAccessToken(signAccessToken('user-123', { role: 'agent', agentId: 'agent-7' }));
+      if (identity.userId !== 'user-123' || identity.role !== 'agent' || identity.agentId !== 'agent-7') throw new Error('Token identity not preserved');
+      if (extractBearerToken('Bearer abc.def.ghi') !== 'abc.def.ghi') throw new Error('Bearer token not extracted');
+      let rejected = false;
+      try { verifyAccessToken(signAccessToken('user-123') + 'tampered'); } catch (error) { rejected = true; }
+      if (!rejected) throw new Error('Tampered token accepted');
+    });
+
+    // Test 8c: Role Permissions
+    test('Role Permissions', () => {
+      const { ROLES, getPermissionScope } = require('../src/config/permissions');
+      const { canAccessConversation } = require('../src/utils/auth');
+      
+      if (ROLES.join(',') !== 'client,agent,broker-admin,system') throw new Error('Unexpected role list');
+      ['stats:read', 'health:detailed'].forEach(permission => {
+        if (getPermissionScope('client', permission) || getPermissionScope('agent', permission)) throw new Error(`${permission} granted to unprivileged role`);
+        if (!getPermissionScope('broker-admin', permission) || !getPermissionScope('system', permission)) throw new Error(`${permission} not granted to privileged role`);
+      });
+      if (ROLES.some(role => !getPermissionScope(role, 'voice:synthesize'))) throw new Error('voice:synthesize missing from a role');
+      const conversation = { userId: 'client-1', agentId: 'agent-7' };
+      if (!canAccessConversation({ userId: 'agent-user', agentId: 'agent-7' }, conversation, getPermissionScope('agent', 'conversations:read'))) throw new Error('Listing agent denied');
+      if (canAccessConversation({ userId: 'agent-user', agentId: 'agent-8' }, conversation, getPermissionScope('agent', 'conversations:read'))) throw new Error('Other agent allowed');
+      if (canAccessConversation({ userId: 'client-2' }, conversation, getPermissionScope('client', 'conversations:read'))) throw new Error('Other client allowed');
     });
 
     // Test 9: Route Handlers
@@ -217,14 +790,21 @@ async function runTests() {
       const chatRoutes = require('../src/routes/chatRoutes');
       const voiceRoutes = require('../src/routes/voiceRoutes');
       const healthRoutes = require('../src/routes/healthRoutes');
+      const brokerRoutes = require('../src/routes/brokerRoutes');
       
       if (!chatRoutes) throw new Error('Chat routes not loaded');
       if (!voiceRoutes) throw new Error('Voice routes not loaded');  
       if (!healthRoutes) throw new Error('Health routes not loaded');
+      if (!brokerRoutes) throw new Error('Broker routes not loaded');
       
       if (typeof chatRoutes !== 'function') throw new Error('Chat routes not properly configured');
       if (typeof voiceRoutes !== 'function') throw new Error('Voice routes not properly configured');
       if (typeof healthRoutes !== 'function') throw new Error('Health routes not properly configured');
+      if (typeof brokerRoutes !== 'function') throw new Error('Broker routes not properly configured');
+      
+      const { attachVoiceSocket, VOICE_SESSION_PATH } = require('../src/routes/voiceSocket');
+      if (typeof attachVoiceSocket !== 'function') throw new Error('Voice socket attachment missing');
+      if (VOICE_SESSION_PATH !== '/api/voice/session') throw new Error('Voice session path changed');
     });
 
     // Test 10: Express Server Configuration